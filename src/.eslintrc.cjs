@@ -4,8 +4,32 @@
 
 module.exports =
 {
+	root: true,
+
 	extends:
 	[
-		"@donutteam/eslint-config",
+		"eslint:recommended",
 	],
-};
\ No newline at end of file
+
+	env:
+	{
+		es2022: true,
+		node: true,
+	},
+
+	parserOptions:
+	{
+		ecmaVersion: 2022,
+		sourceType: "module",
+	},
+
+	rules:
+	{
+		"brace-style": [ "error", "allman", { allowSingleLine: true } ],
+		"comma-dangle": [ "error", "always-multiline" ],
+		"indent": [ "error", "tab", { SwitchCase: 1 } ],
+		"no-unused-vars": [ "error", { args: "none" } ],
+		"quotes": [ "error", "double", { avoidEscape: true } ],
+		"semi": [ "error", "always" ],
+	},
+};
@@ -0,0 +1,200 @@
+//
+// Imports
+//
+
+import { performance } from "node:perf_hooks";
+
+import { DotNetBinaryReader } from "../classes/DotNetBinaryReader.js";
+import { DotNetBinaryWriter } from "../classes/DotNetBinaryWriter.js";
+
+//
+// Functions
+//
+
+/**
+ * Creates a synthetic serialization stream shaped like a large save.
+ * 
+ * The root object holds an array of items. Every item has its own class, defined once by a
+ * ClassWithMembersAndTypes record and then reused by a ClassWithId record, so the number of class
+ * records the reader has to look metadata up in grows with the size of the stream.
+ * 
+ * @param {Number} classCount The number of distinct item classes.
+ * @returns {ArrayBuffer}
+ */
+function createStream(classCount)
+{
+	const recordTypes = DotNetBinaryReader.RecordTypeEnumeration;
+
+	const binaryTypes = DotNetBinaryReader.BinaryTypeEnumeration;
+
+	const primitiveTypes = DotNetBinaryReader.PrimitiveTypeEnumeration;
+
+	const items = [];
+
+	let nextObjectId = 3;
+
+	for (let i = 0; i < classCount; i++)
+	{
+		const metadataId = nextObjectId++;
+
+		items.push(
+			{
+				RecordTypeEnum: recordTypes.ClassWithMembersAndTypes,
+				ClassInfo:
+				{
+					ObjectId: metadataId,
+					Name: `Benchmark.Item${ i }`,
+					MemberCount: 2,
+					MemberNames: [ "id", "name" ],
+				},
+				MemberTypeInfo:
+				{
+					BinaryTypeEnums: [ binaryTypes.Primitive, binaryTypes.String ],
+					AdditionalInfos: [ primitiveTypes.Int32, null ],
+				},
+				LibraryId: 2,
+				MemberValues:
+				[
+					i,
+					{
+						RecordTypeEnum: recordTypes.BinaryObjectString,
+						ObjectId: nextObjectId++,
+						Value: `Item ${ i }`,
+					},
+				],
+			});
+
+		items.push(
+			{
+				RecordTypeEnum: recordTypes.ClassWithId,
+				ObjectId: nextObjectId++,
+				MetadataId: metadataId,
+				MemberValues:
+				[
+					-i,
+					{
+						RecordTypeEnum: recordTypes.MemberReference,
+						IdRef: metadataId + 1,
+					},
+				],
+			});
+	}
+
+	const records =
+	[
+		{
+			RecordTypeEnum: recordTypes.SerializedStreamHeader,
+			RootId: 1,
+			HeaderId: -1,
+			MajorVersion: 1,
+			MinorVersion: 0,
+		},
+		{
+			RecordTypeEnum: recordTypes.BinaryLibrary,
+			LibraryId: 2,
+			LibraryName: "Assembly-CSharp, Version=0.0.0.0, Culture=neutral, PublicKeyToken=null",
+		},
+		{
+			RecordTypeEnum: recordTypes.ArraySingleObject,
+			ArrayInfo:
+			{
+				ObjectId: 1,
+				Length: items.length,
+			},
+			ElementValues: items,
+		},
+	];
+
+	const binaryWriter = new DotNetBinaryWriter();
+
+	binaryWriter.write(records);
+
+	return binaryWriter.toArrayBuffer();
+}
+
+/**
+ * Reads a stream, returning how long it took in milliseconds.
+ * 
+ * @param {ArrayBuffer} arrayBuffer
+ * @returns {Number}
+ */
+function timeRead(arrayBuffer)
+{
+	const start = performance.now();
+
+	new DotNetBinaryReader(arrayBuffer).read();
+
+	return performance.now() - start;
+}
+
+//
+// Application
+//
+
+const classCounts = [ 1000, 2000, 4000, 8000, 16000, 32000 ];
+
+const runCount = 3;
+
+/**
+ * How many times faster than the stream the time to read it can grow before the benchmark fails.
+ * 
+ * Reading is linear, but small streams are read in so little time that timer resolution and garbage
+ * collection can make the time grow a few times faster than the stream. Quadratic growth would make it
+ * grow as much faster as the stream grew, which here is 32 times.
+ */
+const maxGrowthFactor = 4;
+
+const streams = classCounts.map((classCount) => createStream(classCount));
+
+// Note: Warm up so the first size isn't penalised for the JIT compiling the reader
+timeRead(streams[streams.length - 1]);
+
+const results = [];
+
+for (const [ index, classCount ] of classCounts.entries())
+{
+	const arrayBuffer = streams[index];
+
+	let bestTime = Infinity;
+
+	for (let i = 0; i < runCount; i++)
+	{
+		bestTime = Math.min(bestTime, timeRead(arrayBuffer));
+	}
+
+	results.push(
+		{
+			classCount,
+			byteCount: arrayBuffer.byteLength,
+			bestTime,
+		});
+}
+
+console.log("Class records  ClassWithId records  Bytes      Best time   Time per 1000 classes");
+
+for (const result of results)
+{
+	console.log(
+		String(result.classCount).padEnd(15) +
+		String(result.classCount).padEnd(21) +
+		String(result.byteCount).padEnd(11) +
+		`${ result.bestTime.toFixed(1) } ms`.padEnd(12) +
+		`${ (result.bestTime / result.classCount * 1000).toFixed(2) } ms`);
+}
+
+const first = results[0];
+
+const last = results[results.length - 1];
+
+const sizeRatio = last.classCount / first.classCount;
+
+const timeRatio = last.bestTime / first.bestTime;
+
+console.log(`\nThe stream grew ${ sizeRatio }x and the time to read it grew ${ timeRatio.toFixed(1) }x.`);
+
+if (timeRatio > sizeRatio * maxGrowthFactor)
+{
+	console.error(`The time to read a stream grew more than ${ maxGrowthFactor }x faster than the stream, so reading is no longer linear.`);
+
+	process.exitCode = 1;
+}
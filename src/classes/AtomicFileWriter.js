@@ -0,0 +1,92 @@
+//
+// Imports
+//
+
+import fs from "node:fs";
+import path from "node:path";
+
+//
+// Exports
+//
+
+/**
+ * Writes files so that they either end up with all of their new contents or keep their old ones.
+ * 
+ * The data is written to a temporary file next to the file being written, then renamed over it. As a
+ * rename within a directory either happens completely or not at all, the game never sees a file that
+ * was only partly written if the process is stopped or the disk fills up part way through.
+ */
+export class AtomicFileWriter
+{
+	/**
+	 * Matches the names of the temporary files that data is written to, such as .playerInfo.dat.1234.tmp.
+	 * 
+	 * @type {RegExp}
+	 */
+	static temporaryFileNameRegExp = /^\..+\.\d+\.tmp$/;
+
+	/**
+	 * Gets whether a file name is that of a temporary file, left behind if a write was stopped part way through.
+	 * 
+	 * @param {String} fileName
+	 * @returns {Boolean}
+	 * @author Loren Goodwin
+	 */
+	static isTemporaryFileName(fileName)
+	{
+		return AtomicFileWriter.temporaryFileNameRegExp.test(fileName);
+	}
+
+	/**
+	 * Writes data to a file atomically.
+	 * 
+	 * @param {String} filePath
+	 * @param {String|ArrayBufferView} data
+	 * @author Loren Goodwin
+	 */
+	static writeFileSync(filePath, data)
+	{
+		const temporaryPath = path.join(path.dirname(filePath), `.${ path.basename(filePath) }.${ process.pid }.tmp`);
+
+		try
+		{
+			const fileDescriptor = fs.openSync(temporaryPath, "w");
+
+			try
+			{
+				fs.writeFileSync(fileDescriptor, data);
+
+				// Note: Makes sure the data is on disk before the rename, which could otherwise reach the
+				//	disk first and leave an empty file behind after a power cut
+				fs.fsyncSync(fileDescriptor);
+			}
+			finally
+			{
+				fs.closeSync(fileDescriptor);
+			}
+
+			fs.renameSync(temporaryPath, filePath);
+		}
+		catch(error)
+		{
+			fs.rmSync(temporaryPath,
+				{
+					force: true,
+				});
+
+			throw error;
+		}
+	}
+
+	/**
+	 * Copies a file atomically.
+	 * 
+	 * @param {String} sourcePath
+	 * @param {String} destinationPath
+	 * @author Loren Goodwin
+	 */
+	static copyFileSync(sourcePath, destinationPath)
+	{
+		AtomicFileWriter.writeFileSync(destinationPath, fs.readFileSync(sourcePath));
+	}
+}
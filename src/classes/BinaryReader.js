@@ -1,3 +1,9 @@
+//
+// Imports
+//
+
+import { EndOfStreamError } from "./EndOfStreamError.js";
+
 //
 // Exports
 //
@@ -20,161 +26,518 @@ export class BinaryReader
 	/**
 	 * Constructs a new BinaryReader.
 	 * 
-	 * @param {ArrayBuffer} arrayBuffer 
+	 * @param {ArrayBuffer|ArrayBufferView} arrayBuffer The data to read. If this is a view, only the bytes it covers are read.
 	 * @author Loren Goodwin
 	 */
 	constructor(arrayBuffer)
 	{
-		this.view = new DataView(arrayBuffer);
+		this.view = ArrayBuffer.isView(arrayBuffer)
+			? new DataView(arrayBuffer.buffer, arrayBuffer.byteOffset, arrayBuffer.byteLength)
+			: new DataView(arrayBuffer);
+	}
+
+	/**
+	 * The number of bytes left to read.
+	 * 
+	 * @type {Number}
+	 * @author Loren Goodwin
+	 */
+	get remaining()
+	{
+		return Math.max(this.view.byteLength - this.position, 0);
+	}
+
+	/**
+	 * Throws an EndOfStreamError if there aren't enough bytes left to read the given number of bytes.
+	 * 
+	 * Also throws a RangeError if the number of bytes isn't a non-negative integer, such as a negative length read from a corrupt file.
+	 * 
+	 * @param {Number} byteCount
+	 * @param {String} field The name of the field being read, for errors.
+	 * @author Loren Goodwin
+	 */
+	checkRemaining(byteCount, field)
+	{
+		if (!Number.isInteger(byteCount) || byteCount < 0)
+		{
+			throw new RangeError(`Invalid byte count for ${ field } at position ${ this.position }: ${ byteCount } (MUST be a non-negative integer)`);
+		}
+
+		const remaining = this.view.byteLength - this.position;
+
+		if (byteCount > remaining)
+		{
+			throw new EndOfStreamError(
+				{
+					field,
+					position: this.position,
+					byteCount,
+					remaining: Math.max(remaining, 0),
+				});
+		}
+	}
+
+	/**
+	 * Called after every read with what was read. Peeking doesn't count as reading, so it isn't called for peeks.
+	 * 
+	 * Does nothing by default. Subclasses can override this to keep track of where each field is.
+	 * 
+	 * @param {String} field The name of the field that was read.
+	 * @param {Number} start The position the field started at. The current position is where it ended.
+	 * @param {*} value The value that was read, or undefined if the bytes were skipped.
+	 * @author Loren Goodwin
+	 */
+	onRead()
+	{
+	}
+
+	/**
+	 * Moves to the given position.
+	 * 
+	 * @param {Number} position
+	 * @author Loren Goodwin
+	 */
+	seek(position)
+	{
+		if (!Number.isInteger(position) || position < 0 || position > this.view.byteLength)
+		{
+			throw new RangeError(`Cannot seek to position ${ position } of ${ this.view.byteLength } byte(s).`);
+		}
+
+		this.position = position;
+	}
+
+	/**
+	 * Moves forward by the given number of bytes without reading them.
+	 * 
+	 * @param {Number} byteCount
+	 * @param {String} [field] The name of the field being skipped, for errors.
+	 * @author Loren Goodwin
+	 */
+	skip(byteCount, field = "Bytes")
+	{
+		this.checkRemaining(byteCount, field);
+
+		this.position += byteCount;
+
+		this.onRead(field, this.position - byteCount, undefined);
+	}
+
+	/**
+	 * Reads the given number of bytes.
+	 * 
+	 * The bytes are a view of the same memory as the data being read, rather than a copy.
+	 * 
+	 * @param {Number} byteCount
+	 * @param {String} [field] The name of the field being read, for errors.
+	 * @returns {Uint8Array}
+	 * @author Loren Goodwin
+	 */
+	readBytes(byteCount, field = "Bytes")
+	{
+		this.checkRemaining(byteCount, field);
+
+		const bytes = new Uint8Array(this.view.buffer, this.view.byteOffset + this.position, byteCount);
+
+		this.position += byteCount;
+
+		this.onRead(field, this.position - byteCount, bytes);
+
+		return bytes;
+	}
+
+	/**
+	 * Reads the given number of bytes as a new BinaryReader of their own.
+	 * 
+	 * Positions in the new BinaryReader start from 0 at the first of these bytes.
+	 * 
+	 * @param {Number} byteCount
+	 * @param {String} [field] The name of the field being read, for errors.
+	 * @returns {BinaryReader}
+	 * @author Loren Goodwin
+	 */
+	readSubReader(byteCount, field = "Bytes")
+	{
+		return new BinaryReader(this.readBytes(byteCount, field));
+	}
+
+	/**
+	 * Reads a 32-bit integer written 7 bits at a time, with the high bit of each byte set if another byte follows.
+	 * 
+	 * This is the format .NET's BinaryWriter.Write7BitEncodedInt uses.
+	 * 
+	 * @param {String} [field] The name of the field being read, for errors.
+	 * @returns {Number}
+	 * @author Loren Goodwin
+	 */
+	read7BitEncodedInt(field = "7BitEncodedInt")
+	{
+		const start = this.position;
+
+		let int = 0;
+
+		let byte = 0x80;
+
+		for (let i = 0; (byte & 0x80) != 0; i++)
+		{
+			this.checkRemaining(1, field);
+
+			byte = this.view.getUint8(this.position);
+
+			this.position += 1;
+
+			// Note: The fifth byte only has room for the top 4 bits of the integer, so it can't have
+			//	the high bit set either, which also stops the integer being longer than 5 bytes
+			if (i == 4 && (byte & 0xF8) != 0)
+			{
+				throw new RangeError(`${ field } MUST NOT be longer than 5 bytes or exceed 2^31 - 1.`);
+			}
+
+			int += (byte & 0x7F) * 2 ** (7 * i);
+		}
+
+		this.onRead(field, start, int);
+
+		return int;
 	}
 
 	/**
 	 * Returns a signed 8-bit integer.
 	 * 
+	 * @param {String} [field] The name of the field being read, for errors.
 	 * @returns {Number}
 	 * @author Loren Goodwin
 	 */
-	readInt8()
+	readInt8(field = "Int8")
 	{
+		this.checkRemaining(1, field);
+
 		const int = this.view.getInt8(this.position);
 
 		this.position += 1;
 
+		this.onRead(field, this.position - 1, int);
+
 		return int;
 	}
 
 	/**
 	 * Reads a signed 16-bit integer.
 	 * 
+	 * @param {String} [field] The name of the field being read, for errors.
 	 * @returns {Number}
 	 * @author Loren Goodwin
 	 */
-	readInt16()
+	readInt16(field = "Int16")
 	{
+		this.checkRemaining(2, field);
+
 		const int = this.view.getInt16(this.position, true);
 
 		this.position += 2;
 
+		this.onRead(field, this.position - 2, int);
+
 		return int;
 	}
 
 	/**
 	 * Reads a signed 32-bit integer.
 	 * 
+	 * @param {String} [field] The name of the field being read, for errors.
 	 * @returns {Number}
 	 * @author Loren Goodwin
 	 */
-	readInt32()
+	readInt32(field = "Int32")
 	{
+		this.checkRemaining(4, field);
+
 		const int = this.view.getInt32(this.position, true);
 
 		this.position += 4;
 
+		this.onRead(field, this.position - 4, int);
+
 		return int;
 	}
 
 	/**
 	 * Reads a signed 64-bit integer.
 	 * 
+	 * @param {String} [field] The name of the field being read, for errors.
 	 * @returns {BigInt}
 	 * @author Loren Goodwin
 	 */
-	readInt64()
+	readInt64(field = "Int64")
 	{
+		this.checkRemaining(8, field);
+
 		const bigInt = this.view.getBigInt64(this.position, true);
 
 		this.position += 8;
 
+		this.onRead(field, this.position - 8, bigInt);
+
 		return bigInt;
 	}
 
 	/**
 	 * Reads an unsigned 8-bit integer.
 	 * 
+	 * @param {String} [field] The name of the field being read, for errors.
 	 * @returns {Number}
 	 * @author Loren Goodwin
 	 */
-	readUInt8()
+	readUInt8(field = "UInt8")
 	{
+		this.checkRemaining(1, field);
+
 		const int = this.view.getUint8(this.position, true);
 
 		this.position += 1;
 
+		this.onRead(field, this.position - 1, int);
+
 		return int;
 	}
 
 	/**
 	 * Reads an unsigned 16-bit integer.
 	 * 
+	 * @param {String} [field] The name of the field being read, for errors.
 	 * @returns {Number}
 	 * @author Loren Goodwin
 	 */
-	readUInt16()
+	readUInt16(field = "UInt16")
 	{
+		this.checkRemaining(2, field);
+
 		const int = this.view.getUint16(this.position, true);
 
 		this.position += 2;
 
+		this.onRead(field, this.position - 2, int);
+
 		return int;
 	}
 
 	/**
 	 * Reads an unsigned 32-bit integer.
 	 * 
+	 * @param {String} [field] The name of the field being read, for errors.
 	 * @returns {Number}
 	 * @author Loren Goodwin
 	 */
-	readUInt32()
+	readUInt32(field = "UInt32")
 	{
+		this.checkRemaining(4, field);
+
 		const int = this.view.getUint32(this.position, true);
 
 		this.position += 4;
 
+		this.onRead(field, this.position - 4, int);
+
 		return int;
 	}
 	
 	/**
 	 * Reads an unsigned 64-bit integer.
 	 * 
+	 * @param {String} [field] The name of the field being read, for errors.
 	 * @returns {BigInt}
 	 * @author Loren Goodwin
 	 */
-	readUInt64()
+	readUInt64(field = "UInt64")
 	{
+		this.checkRemaining(8, field);
+
 		const bigInt = this.view.getBigUint64(this.position, true);
 
 		this.position += 8;
 
+		this.onRead(field, this.position - 8, bigInt);
+
 		return bigInt;
 	}
 
 	/**
 	 * Returns a 32-bit floating point number.
 	 * 
+	 * @param {String} [field] The name of the field being read, for errors.
 	 * @returns {Number}
 	 * @author Loren Goodwin
 	 */
-	readFloat32()
+	readFloat32(field = "Float32")
 	{
+		this.checkRemaining(4, field);
+
 		const float = this.view.getFloat32(this.position, true);
 
 		this.position += 4;
 
+		this.onRead(field, this.position - 4, float);
+
 		return float;
 	}
 
 	/**
 	 * Reads a 64-bit floating point number.
 	 * 
+	 * @param {String} [field] The name of the field being read, for errors.
 	 * @returns {Number}
 	 * @author Loren Goodwin
 	 */
-	readFloat64()
+	readFloat64(field = "Float64")
 	{
+		this.checkRemaining(8, field);
+
 		const float = this.view.getFloat64(this.position, true);
 
 		this.position += 8;
 
+		this.onRead(field, this.position - 8, float);
+
 		return float;
 	}
+
+	/**
+	 * Reads a signed 8-bit integer without moving the position.
+	 * 
+	 * @param {String} [field] The name of the field being read, for errors.
+	 * @returns {Number}
+	 * @author Loren Goodwin
+	 */
+	peekInt8(field = "Int8")
+	{
+		this.checkRemaining(1, field);
+
+		return this.view.getInt8(this.position);
+	}
+
+	/**
+	 * Reads a signed 16-bit integer without moving the position.
+	 * 
+	 * @param {String} [field] The name of the field being read, for errors.
+	 * @returns {Number}
+	 * @author Loren Goodwin
+	 */
+	peekInt16(field = "Int16")
+	{
+		this.checkRemaining(2, field);
+
+		return this.view.getInt16(this.position, true);
+	}
+
+	/**
+	 * Reads a signed 32-bit integer without moving the position.
+	 * 
+	 * @param {String} [field] The name of the field being read, for errors.
+	 * @returns {Number}
+	 * @author Loren Goodwin
+	 */
+	peekInt32(field = "Int32")
+	{
+		this.checkRemaining(4, field);
+
+		return this.view.getInt32(this.position, true);
+	}
+
+	/**
+	 * Reads a signed 64-bit integer without moving the position.
+	 * 
+	 * @param {String} [field] The name of the field being read, for errors.
+	 * @returns {BigInt}
+	 * @author Loren Goodwin
+	 */
+	peekInt64(field = "Int64")
+	{
+		this.checkRemaining(8, field);
+
+		return this.view.getBigInt64(this.position, true);
+	}
+
+	/**
+	 * Reads an unsigned 8-bit integer without moving the position.
+	 * 
+	 * @param {String} [field] The name of the field being read, for errors.
+	 * @returns {Number}
+	 * @author Loren Goodwin
+	 */
+	peekUInt8(field = "UInt8")
+	{
+		this.checkRemaining(1, field);
+
+		return this.view.getUint8(this.position);
+	}
+
+	/**
+	 * Reads an unsigned 16-bit integer without moving the position.
+	 * 
+	 * @param {String} [field] The name of the field being read, for errors.
+	 * @returns {Number}
+	 * @author Loren Goodwin
+	 */
+	peekUInt16(field = "UInt16")
+	{
+		this.checkRemaining(2, field);
+
+		return this.view.getUint16(this.position, true);
+	}
+
+	/**
+	 * Reads an unsigned 32-bit integer without moving the position.
+	 * 
+	 * @param {String} [field] The name of the field being read, for errors.
+	 * @returns {Number}
+	 * @author Loren Goodwin
+	 */
+	peekUInt32(field = "UInt32")
+	{
+		this.checkRemaining(4, field);
+
+		return this.view.getUint32(this.position, true);
+	}
+
+	/**
+	 * Reads an unsigned 64-bit integer without moving the position.
+	 * 
+	 * @param {String} [field] The name of the field being read, for errors.
+	 * @returns {BigInt}
+	 * @author Loren Goodwin
+	 */
+	peekUInt64(field = "UInt64")
+	{
+		this.checkRemaining(8, field);
+
+		return this.view.getBigUint64(this.position, true);
+	}
+
+	/**
+	 * Reads a 32-bit floating point number without moving the position.
+	 * 
+	 * @param {String} [field] The name of the field being read, for errors.
+	 * @returns {Number}
+	 * @author Loren Goodwin
+	 */
+	peekFloat32(field = "Float32")
+	{
+		this.checkRemaining(4, field);
+
+		return this.view.getFloat32(this.position, true);
+	}
+
+	/**
+	 * Reads a 64-bit floating point number without moving the position.
+	 * 
+	 * @param {String} [field] The name of the field being read, for errors.
+	 * @returns {Number}
+	 * @author Loren Goodwin
+	 */
+	peekFloat64(field = "Float64")
+	{
+		this.checkRemaining(8, field);
+
+		return this.view.getFloat64(this.position, true);
+	}
 }
\ No newline at end of file
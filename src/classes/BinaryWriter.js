@@ -0,0 +1,320 @@
+//
+// Exports
+//
+
+/**
+ * A class for writing binary files.
+ */
+export class BinaryWriter
+{
+	/**
+	 * @type {Number}
+	 */
+	position = 0;
+
+	/**
+	 * The number of bytes that have been written.
+	 * 
+	 * @type {Number}
+	 */
+	length = 0;
+
+	/**
+	 * @type {Uint8Array}
+	 */
+	#bytes;
+
+	/** 
+	 * @type {DataView} 
+	 */
+	view;
+
+	/**
+	 * Constructs a new BinaryWriter.
+	 * 
+	 * @param {Number} [initialCapacity] The initial size of the underlying buffer. It grows as needed.
+	 * @author Loren Goodwin
+	 */
+	constructor(initialCapacity = 1024)
+	{
+		this.#bytes = new Uint8Array(Math.max(initialCapacity, 1));
+
+		this.view = new DataView(this.#bytes.buffer);
+	}
+
+	/**
+	 * Gets an ArrayBuffer containing everything that has been written.
+	 * 
+	 * @returns {ArrayBuffer}
+	 * @author Loren Goodwin
+	 */
+	toArrayBuffer()
+	{
+		return this.#bytes.buffer.slice(0, this.length);
+	}
+
+	/**
+	 * Moves to the given position.
+	 * 
+	 * Moving past the end of what has been written is allowed. Any gap is filled with zeroes once
+	 * something is written there.
+	 * 
+	 * @param {Number} position
+	 * @author Loren Goodwin
+	 */
+	seek(position)
+	{
+		if (!Number.isInteger(position) || position < 0)
+		{
+			throw new RangeError(`Cannot seek to position ${ position }.`);
+		}
+
+		this.position = position;
+	}
+
+	/**
+	 * Moves forward by the given number of bytes without writing anything.
+	 * 
+	 * @param {Number} byteCount
+	 * @author Loren Goodwin
+	 */
+	skip(byteCount)
+	{
+		this.seek(this.position + byteCount);
+	}
+
+	/**
+	 * Writes the given bytes.
+	 * 
+	 * @param {Uint8Array} bytes
+	 * @author Loren Goodwin
+	 */
+	writeBytes(bytes)
+	{
+		this.#ensureCapacity(bytes.length);
+
+		this.#bytes.set(bytes, this.position);
+
+		this.#advance(bytes.length);
+	}
+
+	/**
+	 * Writes a 32-bit integer 7 bits at a time, with the high bit of each byte set if another byte follows.
+	 * 
+	 * This is the format .NET's BinaryWriter.Write7BitEncodedInt uses.
+	 * 
+	 * @param {Number} value
+	 * @author Loren Goodwin
+	 */
+	write7BitEncodedInt(value)
+	{
+		if (!Number.isInteger(value) || value < 0 || value > 0x7FFFFFFF)
+		{
+			throw new RangeError(`Cannot write ${ value } as a 7-bit encoded integer (MUST be between 0 and 2^31 - 1).`);
+		}
+
+		do
+		{
+			const byte = value & 0x7F;
+
+			value >>>= 7;
+
+			this.writeUInt8(value > 0 ? byte | 0x80 : byte);
+		}
+		while (value > 0);
+	}
+
+	/**
+	 * Writes a signed 8-bit integer.
+	 * 
+	 * @param {Number} value
+	 * @author Loren Goodwin
+	 */
+	writeInt8(value)
+	{
+		this.#ensureCapacity(1);
+
+		this.view.setInt8(this.position, value);
+
+		this.#advance(1);
+	}
+
+	/**
+	 * Writes a signed 16-bit integer.
+	 * 
+	 * @param {Number} value
+	 * @author Loren Goodwin
+	 */
+	writeInt16(value)
+	{
+		this.#ensureCapacity(2);
+
+		this.view.setInt16(this.position, value, true);
+
+		this.#advance(2);
+	}
+
+	/**
+	 * Writes a signed 32-bit integer.
+	 * 
+	 * @param {Number} value
+	 * @author Loren Goodwin
+	 */
+	writeInt32(value)
+	{
+		this.#ensureCapacity(4);
+
+		this.view.setInt32(this.position, value, true);
+
+		this.#advance(4);
+	}
+
+	/**
+	 * Writes a signed 64-bit integer.
+	 * 
+	 * @param {BigInt} value
+	 * @author Loren Goodwin
+	 */
+	writeInt64(value)
+	{
+		this.#ensureCapacity(8);
+
+		this.view.setBigInt64(this.position, value, true);
+
+		this.#advance(8);
+	}
+
+	/**
+	 * Writes an unsigned 8-bit integer.
+	 * 
+	 * @param {Number} value
+	 * @author Loren Goodwin
+	 */
+	writeUInt8(value)
+	{
+		this.#ensureCapacity(1);
+
+		this.view.setUint8(this.position, value);
+
+		this.#advance(1);
+	}
+
+	/**
+	 * Writes an unsigned 16-bit integer.
+	 * 
+	 * @param {Number} value
+	 * @author Loren Goodwin
+	 */
+	writeUInt16(value)
+	{
+		this.#ensureCapacity(2);
+
+		this.view.setUint16(this.position, value, true);
+
+		this.#advance(2);
+	}
+
+	/**
+	 * Writes an unsigned 32-bit integer.
+	 * 
+	 * @param {Number} value
+	 * @author Loren Goodwin
+	 */
+	writeUInt32(value)
+	{
+		this.#ensureCapacity(4);
+
+		this.view.setUint32(this.position, value, true);
+
+		this.#advance(4);
+	}
+
+	/**
+	 * Writes an unsigned 64-bit integer.
+	 * 
+	 * @param {BigInt} value
+	 * @author Loren Goodwin
+	 */
+	writeUInt64(value)
+	{
+		this.#ensureCapacity(8);
+
+		this.view.setBigUint64(this.position, value, true);
+
+		this.#advance(8);
+	}
+
+	/**
+	 * Writes a 32-bit floating point number.
+	 * 
+	 * @param {Number} value
+	 * @author Loren Goodwin
+	 */
+	writeFloat32(value)
+	{
+		this.#ensureCapacity(4);
+
+		this.view.setFloat32(this.position, value, true);
+
+		this.#advance(4);
+	}
+
+	/**
+	 * Writes a 64-bit floating point number.
+	 * 
+	 * @param {Number} value
+	 * @author Loren Goodwin
+	 */
+	writeFloat64(value)
+	{
+		this.#ensureCapacity(8);
+
+		this.view.setFloat64(this.position, value, true);
+
+		this.#advance(8);
+	}
+
+	/**
+	 * Moves the position forward after a write, extending the length if needed.
+	 * 
+	 * @param {Number} byteCount
+	 * @author Loren Goodwin
+	 */
+	#advance(byteCount)
+	{
+		this.position += byteCount;
+
+		this.length = Math.max(this.length, this.position);
+	}
+
+	/**
+	 * Grows the underlying buffer if there isn't enough room to write the given number of bytes.
+	 * 
+	 * @param {Number} byteCount
+	 * @author Loren Goodwin
+	 */
+	#ensureCapacity(byteCount)
+	{
+		const requiredCapacity = this.position + byteCount;
+
+		if (requiredCapacity <= this.#bytes.length)
+		{
+			return;
+		}
+
+		let capacity = this.#bytes.length;
+
+		while (capacity < requiredCapacity)
+		{
+			capacity *= 2;
+		}
+
+		const bytes = new Uint8Array(capacity);
+
+		bytes.set(this.#bytes);
+
+		this.#bytes = bytes;
+
+		this.view = new DataView(this.#bytes.buffer);
+	}
+}
@@ -0,0 +1,33 @@
+//
+// Exports
+//
+
+/**
+ * An error thrown when the command line can't be carried out as given, such as when it has an unknown
+ * option or names a save directory that doesn't exist.
+ */
+export class CommandLineError extends Error
+{
+	/**
+	 * The exit code the process should exit with.
+	 * 
+	 * @type {Number}
+	 */
+	exitCode;
+
+	/**
+	 * Constructs a new CommandLineError.
+	 * 
+	 * @param {String} message
+	 * @param {Number} exitCode The exit code the process should exit with.
+	 * @author Loren Goodwin
+	 */
+	constructor(message, exitCode)
+	{
+		super(message);
+
+		this.name = "CommandLineError";
+
+		this.exitCode = exitCode;
+	}
+}
@@ -0,0 +1,281 @@
+//
+// Imports
+//
+
+import fs from "node:fs";
+import path from "node:path";
+
+import { AtomicFileWriter } from "./AtomicFileWriter.js";
+
+//
+// Type Definitions
+//
+
+/**
+ * @typedef {Object} DinkumSaveBackupInfo
+ * @property {String} name The name of the backup, which is when it was made.
+ * @property {String} path The path to the backup's directory.
+ * @property {Number} fileCount The number of files in the backup, including those in subdirectories.
+ */
+
+//
+// Exports
+//
+
+/**
+ * Makes timestamped backups of save directories and restores them.
+ * 
+ * Backups of a save directory are kept in a _BACKUPS directory next to it, in a subdirectory named
+ * after the save directory, such as _BACKUPS/Slot0/2024-01-02T03-04-05-678Z for Slot0. They're kept
+ * outside the save directory so they're never read as part of the save.
+ * 
+ * The _JSON_DUMP directory in a save directory isn't backed up, as it can be made again from the save.
+ * Neither are temporary files left behind by an AtomicFileWriter that was stopped part way through.
+ */
+export class DinkumSaveBackup
+{
+	/**
+	 * The name of the directory backups are kept in, next to the save directories.
+	 * 
+	 * @type {String}
+	 */
+	static directoryName = "_BACKUPS";
+
+	/**
+	 * The names of the directories in a save directory that aren't backed up or restored.
+	 * 
+	 * @type {String[]}
+	 */
+	static #excludedDirectoryNames = [ "_JSON_DUMP" ];
+
+	/**
+	 * Splits the name of a backup into the time it was made and the number added to the end of it if
+	 * another backup was made in the same millisecond.
+	 * 
+	 * @type {RegExp}
+	 */
+	static #nameRegExp = /^(.*?)(?:_(\d+))?$/;
+
+	/**
+	 * Gets the directory the backups of a save directory are kept in.
+	 * 
+	 * @param {String} saveDir
+	 * @returns {String}
+	 * @author Loren Goodwin
+	 */
+	static getBackupsDirectory(saveDir)
+	{
+		const resolvedSaveDir = path.resolve(saveDir);
+
+		return path.join(path.dirname(resolvedSaveDir), DinkumSaveBackup.directoryName, path.basename(resolvedSaveDir));
+	}
+
+	/**
+	 * Backs up every file in a save directory.
+	 * 
+	 * @param {String} saveDir
+	 * @returns {DinkumSaveBackupInfo|null} The backup, or null if the save directory has no files to back up.
+	 * @author Loren Goodwin
+	 */
+	static create(saveDir)
+	{
+		const filePaths = DinkumSaveBackup.#getFilePaths(saveDir);
+
+		if (filePaths.length == 0)
+		{
+			return null;
+		}
+
+		const backupsDir = DinkumSaveBackup.getBackupsDirectory(saveDir);
+
+		// Note: Colons and dots are replaced as colons can't be used in file names on Windows
+		let name = new Date().toISOString().replace(/[:.]/g, "-");
+
+		// Note: Only happens if two backups are made within the same millisecond
+		for (let suffix = 2; fs.existsSync(path.join(backupsDir, name)); suffix++)
+		{
+			name = name.replace(/(_\d+)?$/, `_${ suffix }`);
+		}
+
+		const backupDir = path.join(backupsDir, name);
+
+		for (const filePath of filePaths)
+		{
+			const backupFilePath = path.join(backupDir, filePath);
+
+			fs.mkdirSync(path.dirname(backupFilePath),
+				{
+					recursive: true,
+				});
+
+			fs.copyFileSync(path.join(saveDir, filePath), backupFilePath);
+		}
+
+		return {
+			name,
+			path: backupDir,
+			fileCount: filePaths.length,
+		};
+	}
+
+	/**
+	 * Lists the backups of a save directory, from oldest to newest.
+	 * 
+	 * @param {String} saveDir
+	 * @returns {DinkumSaveBackupInfo[]}
+	 * @author Loren Goodwin
+	 */
+	static list(saveDir)
+	{
+		const backupsDir = DinkumSaveBackup.getBackupsDirectory(saveDir);
+
+		if (!fs.existsSync(backupsDir))
+		{
+			return [];
+		}
+
+		return fs.readdirSync(backupsDir,
+			{
+				withFileTypes: true,
+			})
+			.filter((entry) => entry.isDirectory())
+			.map((entry) =>
+			{
+				const backupDir = path.join(backupsDir, entry.name);
+
+				return {
+					name: entry.name,
+					path: backupDir,
+					fileCount: DinkumSaveBackup.#getFilePaths(backupDir).length,
+				};
+			})
+			.sort((a, b) => DinkumSaveBackup.#compareNames(a.name, b.name));
+	}
+
+	/**
+	 * Rolls a save directory back to a backup.
+	 * 
+	 * The save directory is backed up first, so a restore can be undone by restoring that backup. Every
+	 * file is then written atomically, and any files that weren't in the backup are deleted, along with
+	 * any directories that leaves empty.
+	 * 
+	 * @param {String} saveDir
+	 * @param {DinkumSaveBackupInfo} backup The backup to restore, as returned by list().
+	 * @returns {DinkumSaveBackupInfo|null} The backup of the save directory as it was before the restore, or null if it had no files.
+	 * @author Loren Goodwin
+	 */
+	static restore(saveDir, backup)
+	{
+		const currentBackup = DinkumSaveBackup.create(saveDir);
+
+		const backupFilePaths = DinkumSaveBackup.#getFilePaths(backup.path);
+
+		for (const filePath of backupFilePaths)
+		{
+			const saveFilePath = path.join(saveDir, filePath);
+
+			fs.mkdirSync(path.dirname(saveFilePath),
+				{
+					recursive: true,
+				});
+
+			AtomicFileWriter.copyFileSync(path.join(backup.path, filePath), saveFilePath);
+		}
+
+		for (const filePath of DinkumSaveBackup.#getFilePaths(saveDir))
+		{
+			if (!backupFilePaths.includes(filePath))
+			{
+				fs.rmSync(path.join(saveDir, filePath));
+
+				DinkumSaveBackup.#removeEmptyDirectories(saveDir, path.dirname(filePath));
+			}
+		}
+
+		return currentBackup;
+	}
+
+	/**
+	 * Compares the names of two backups so that they sort from oldest to newest.
+	 * 
+	 * Backups made within the same millisecond have a numbered suffix, which is compared as a number so
+	 * that _10 comes after _2.
+	 * 
+	 * @param {String} name
+	 * @param {String} otherName
+	 * @returns {Number}
+	 * @author Loren Goodwin
+	 */
+	static #compareNames(name, otherName)
+	{
+		const [ , timestamp, suffix ] = DinkumSaveBackup.#nameRegExp.exec(name);
+
+		const [ , otherTimestamp, otherSuffix ] = DinkumSaveBackup.#nameRegExp.exec(otherName);
+
+		// Note: The first backup made in a millisecond has no suffix, and the next one is _2
+		return timestamp.localeCompare(otherTimestamp) || Number(suffix ?? 1) - Number(otherSuffix ?? 1);
+	}
+
+	/**
+	 * Removes a subdirectory of a directory if it's empty, then each of its parents that that leaves
+	 * empty, stopping at the directory itself.
+	 * 
+	 * @param {String} dir
+	 * @param {String} relativeDir The subdirectory to start at, relative to dir.
+	 * @author Loren Goodwin
+	 */
+	static #removeEmptyDirectories(dir, relativeDir)
+	{
+		for (; relativeDir != "." && relativeDir != ""; relativeDir = path.dirname(relativeDir))
+		{
+			const subdirectory = path.join(dir, relativeDir);
+
+			if (fs.readdirSync(subdirectory).length > 0)
+			{
+				return;
+			}
+
+			fs.rmdirSync(subdirectory);
+		}
+	}
+
+	/**
+	 * Gets the paths of every file in a directory and its subdirectories that is backed up, relative to
+	 * the directory.
+	 * 
+	 * @param {String} dir
+	 * @param {String} [relativeDir] The subdirectory to look in, relative to dir. Used for recursion.
+	 * @returns {String[]}
+	 * @author Loren Goodwin
+	 */
+	static #getFilePaths(dir, relativeDir = "")
+	{
+		const filePaths = [];
+
+		const entries = fs.readdirSync(path.join(dir, relativeDir),
+			{
+				withFileTypes: true,
+			});
+
+		for (const entry of entries)
+		{
+			const relativePath = path.join(relativeDir, entry.name);
+
+			if (entry.isDirectory())
+			{
+				if (relativeDir == "" && DinkumSaveBackup.#excludedDirectoryNames.includes(entry.name))
+				{
+					continue;
+				}
+
+				filePaths.push(...DinkumSaveBackup.#getFilePaths(dir, relativePath));
+			}
+			else if (entry.isFile() && !AtomicFileWriter.isTemporaryFileName(entry.name))
+			{
+				filePaths.push(relativePath);
+			}
+		}
+
+		return filePaths.sort();
+	}
+}
@@ -0,0 +1,358 @@
+//
+// Imports
+//
+
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+import { ValveDataFormat } from "./ValveDataFormat.js";
+
+//
+// Type Definitions
+//
+
+/**
+ * @typedef {Object} DinkumSaveLocatorOptions
+ * @property {String} [platform] The platform to search for, in the same form as process.platform. Defaults to the current platform.
+ * @property {String} [homeDir] The user's home directory. Defaults to os.homedir().
+ * @property {Object<String, String|undefined>} [env] The environment variables to use. Defaults to process.env.
+ */
+
+/**
+ * @typedef {Object} DinkumSaveSlot
+ * @property {String} name The name of the slot's directory, such as "Slot0".
+ * @property {Number} number The number of the slot.
+ * @property {String} path The path to the slot's directory.
+ * @property {Number} fileCount The number of .dat files in the slot, including those in subdirectories other than the _JSON_DUMP and _BACKUPS directories this tool makes.
+ * @property {Date|null} modified When the most recently modified of those files was modified, or null if it has none.
+ */
+
+//
+// Exports
+//
+
+/**
+ * Finds the directories Dinkum keeps its saved games in.
+ * 
+ * Dinkum keeps each save in a SlotN directory inside a Dinkum directory. Where that is depends on the
+ * platform, and on Linux, which Steam library the game is installed in, as the game runs under Proton
+ * with its own Windows prefix in each library.
+ * 
+ * Setting the DINKUM_SAVE_DIR environment variable to the directory holding the Slot directories
+ * skips all of this and searches only there.
+ */
+export class DinkumSaveLocator
+{
+	/**
+	 * The Steam app ID of Dinkum.
+	 * 
+	 * @type {String}
+	 */
+	static #steamAppId = "1062520";
+
+	/**
+	 * The path to the Dinkum directory inside the user's LocalLow directory on Windows, or inside
+	 * Application Support on macOS, which is where Unity keeps persistent data.
+	 * 
+	 * @type {String[]}
+	 */
+	static #unityDataPath = [ "James Bendon", "Dinkum" ];
+
+	/**
+	 * The directories this tool makes that can be inside a slot, whose files aren't part of the save.
+	 * 
+	 * @type {String[]}
+	 */
+	static #toolDirectoryNames = [ "_JSON_DUMP", "_BACKUPS" ];
+
+	/**
+	 * The platform being searched, in the same form as process.platform.
+	 * 
+	 * @type {String}
+	 */
+	platform;
+
+	/**
+	 * The user's home directory.
+	 * 
+	 * @type {String}
+	 */
+	homeDir;
+
+	/**
+	 * The environment variables being used.
+	 * 
+	 * @type {Object<String, String|undefined>}
+	 */
+	env;
+
+	/**
+	 * Constructs a new DinkumSaveLocator.
+	 * 
+	 * @param {DinkumSaveLocatorOptions} [options]
+	 * @author Loren Goodwin
+	 */
+	constructor(options = {})
+	{
+		this.platform = options.platform ?? process.platform;
+
+		this.homeDir = options.homeDir ?? os.homedir();
+
+		this.env = options.env ?? process.env;
+	}
+
+	/**
+	 * Gets every directory that Dinkum could keep its Slot directories in, whether or not it exists.
+	 * 
+	 * @returns {String[]}
+	 * @author Loren Goodwin
+	 */
+	getCandidateDirectories()
+	{
+		if (this.env.DINKUM_SAVE_DIR)
+		{
+			return [ path.resolve(this.env.DINKUM_SAVE_DIR) ];
+		}
+
+		switch (this.platform)
+		{
+			case "win32":
+				return [ path.join(this.env.USERPROFILE ?? this.homeDir, "AppData", "LocalLow", ...DinkumSaveLocator.#unityDataPath) ];
+
+			case "darwin":
+				return [ path.join(this.homeDir, "Library", "Application Support", ...DinkumSaveLocator.#unityDataPath) ];
+
+			case "linux":
+				return this.#getSteamLibraryDirectories()
+					.map((libraryDir) => path.join(libraryDir,
+						"steamapps", "compatdata", DinkumSaveLocator.#steamAppId, "pfx", "drive_c", "users",
+						"steamuser", "AppData", "LocalLow", ...DinkumSaveLocator.#unityDataPath));
+
+			default:
+				return [];
+		}
+	}
+
+	/**
+	 * Gets every directory that Dinkum keeps its Slot directories in that exists.
+	 * 
+	 * @returns {String[]}
+	 * @author Loren Goodwin
+	 */
+	getDirectories()
+	{
+		return DinkumSaveLocator.#uniqueDirectories(this.getCandidateDirectories());
+	}
+
+	/**
+	 * Gets every save slot in every directory Dinkum keeps its Slot directories in.
+	 * 
+	 * @returns {DinkumSaveSlot[]}
+	 * @author Loren Goodwin
+	 */
+	getSlots()
+	{
+		const slots = [];
+
+		// Note: The directories are kept in the order they were searched, with the slots in each sorted by number
+		for (const dir of this.getDirectories())
+		{
+			const slotEntries = fs.readdirSync(dir,
+				{
+					withFileTypes: true,
+				})
+				.filter((entry) => entry.isDirectory() && /^Slot\d+$/.test(entry.name))
+				.map((entry) => ({ name: entry.name, number: Number(entry.name.slice("Slot".length)) }))
+				.sort((a, b) => a.number - b.number);
+
+			for (const slotEntry of slotEntries)
+			{
+				const slotPath = path.join(dir, slotEntry.name);
+
+				const files = DinkumSaveLocator.#getSaveFileStats(slotPath);
+
+				slots.push(
+					{
+						name: slotEntry.name,
+						number: slotEntry.number,
+						path: slotPath,
+						fileCount: files.length,
+						modified: files.length > 0
+							? new Date(Math.max(...files.map((stats) => stats.mtimeMs)))
+							: null,
+					});
+			}
+		}
+
+		return slots;
+	}
+
+	/**
+	 * Finds a save slot by its number.
+	 * 
+	 * If more than one directory has a slot with this number, the one in the directory searched first is returned.
+	 * 
+	 * @param {Number} number
+	 * @returns {DinkumSaveSlot|null}
+	 * @author Loren Goodwin
+	 */
+	findSlot(number)
+	{
+		return this.getSlots().find((slot) => slot.number == number) ?? null;
+	}
+
+	/**
+	 * Gets every Steam library directory, including those listed in each Steam installation's libraryfolders.vdf.
+	 * 
+	 * @returns {String[]}
+	 * @author Loren Goodwin
+	 */
+	#getSteamLibraryDirectories()
+	{
+		const steamDirs = DinkumSaveLocator.#uniqueDirectories(this.#getSteamDirectories());
+
+		// Note: Without any Steam installation, the default locations are still searched so they can be
+		//	reported as having been searched
+		if (steamDirs.length == 0)
+		{
+			return this.#getSteamDirectories();
+		}
+
+		const libraryDirs = [];
+
+		for (const steamDir of steamDirs)
+		{
+			libraryDirs.push(steamDir);
+
+			for (const vdfPath of [ path.join(steamDir, "steamapps", "libraryfolders.vdf"), path.join(steamDir, "config", "libraryfolders.vdf") ])
+			{
+				let libraryFolders;
+
+				try
+				{
+					libraryFolders = ValveDataFormat.parse(fs.readFileSync(vdfPath, "utf8"));
+				}
+				catch
+				{
+					continue;
+				}
+
+				// Note: The top-level key has been both "libraryfolders" and "LibraryFolders". Older versions
+				//	of the file had the path as the value of each numbered key, rather than in a block.
+				const libraries = Object.entries(libraryFolders)
+					.find(([ key ]) => key.toLowerCase() == "libraryfolders")?.[1] ?? {};
+
+				for (const [ key, library ] of Object.entries(libraries))
+				{
+					if (!/^\d+$/.test(key))
+					{
+						continue;
+					}
+
+					const libraryDir = typeof library == "string"
+						? library
+						: library?.path;
+
+					if (typeof libraryDir == "string" && libraryDir != "")
+					{
+						libraryDirs.push(libraryDir);
+					}
+				}
+			}
+		}
+
+		return DinkumSaveLocator.#uniqueDirectories(libraryDirs);
+	}
+
+	/**
+	 * Gets every directory a Steam installation could be in on Linux, including Flatpak Steam.
+	 * 
+	 * @returns {String[]}
+	 * @author Loren Goodwin
+	 */
+	#getSteamDirectories()
+	{
+		const flatpakDir = path.join(this.homeDir, ".var", "app", "com.valvesoftware.Steam");
+
+		return [
+			path.join(this.env.XDG_DATA_HOME || path.join(this.homeDir, ".local", "share"), "Steam"),
+			path.join(this.homeDir, ".steam", "steam"),
+			path.join(this.homeDir, ".steam", "root"),
+			path.join(flatpakDir, ".local", "share", "Steam"),
+			path.join(flatpakDir, "data", "Steam"),
+		];
+	}
+
+	/**
+	 * Gets the stats of every .dat file in a save directory, including those in subdirectories other than those this tool makes.
+	 * 
+	 * @param {String} dir
+	 * @returns {fs.Stats[]}
+	 * @author Loren Goodwin
+	 */
+	static #getSaveFileStats(dir)
+	{
+		const fileStats = [];
+
+		for (const entry of fs.readdirSync(dir, { withFileTypes: true }))
+		{
+			const entryPath = path.join(dir, entry.name);
+
+			if (entry.isDirectory())
+			{
+				if (!DinkumSaveLocator.#toolDirectoryNames.includes(entry.name))
+				{
+					fileStats.push(...DinkumSaveLocator.#getSaveFileStats(entryPath));
+				}
+			}
+			else if (entry.isFile() && entry.name.endsWith(".dat"))
+			{
+				fileStats.push(fs.statSync(entryPath));
+			}
+		}
+
+		return fileStats;
+	}
+
+	/**
+	 * Filters directories down to those that exist, without any that are the same directory as one before them.
+	 * 
+	 * The same directory can be reached more than one way, such as through the ~/.steam/steam symlink.
+	 * 
+	 * @param {String[]} dirs
+	 * @returns {String[]}
+	 * @author Loren Goodwin
+	 */
+	static #uniqueDirectories(dirs)
+	{
+		const realDirs = new Set();
+
+		const uniqueDirs = [];
+
+		for (const dir of dirs)
+		{
+			let realDir;
+
+			try
+			{
+				realDir = fs.realpathSync(dir);
+			}
+			catch
+			{
+				continue;
+			}
+
+			if (realDirs.has(realDir) || !fs.statSync(realDir).isDirectory())
+			{
+				continue;
+			}
+
+			realDirs.add(realDir);
+
+			uniqueDirs.push(dir);
+		}
+
+		return uniqueDirs;
+	}
+}
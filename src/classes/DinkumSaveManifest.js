@@ -0,0 +1,194 @@
+//
+// Imports
+//
+
+import fs from "node:fs";
+import path from "node:path";
+
+import { DotNetBinaryReader } from "./DotNetBinaryReader.js";
+import { DotNetSemanticJson } from "./DotNetSemanticJson.js";
+import { DotNetTypedJson } from "./DotNetTypedJson.js";
+
+//
+// Type Definitions
+//
+
+/**
+ * @typedef {Object} DinkumSaveManifestData
+ * @property {Object<String, *>|null} gameVersion The members of the object in the save's versionCheck.dat, or null if the save didn't have one or it couldn't be read.
+ * @property {String} dumpedAt When the dump was made, as an ISO 8601 timestamp.
+ * @property {String} format The format the files were dumped in.
+ */
+
+//
+// Exports
+//
+
+/**
+ * Reads the game version a save was made with and keeps a record of it next to a dump.
+ * 
+ * Dinkum writes a versionCheck.dat file to every save slot. It's serialized the same way as every
+ * other .dat file, as a single object whose members say which version of the game wrote the save. The
+ * game version is taken to be those members, keyed by name. Two saves are from the same version when
+ * they have the same members with the same values.
+ * 
+ * The version is written to a manifest.json file in the dump directory so that importing can check
+ * that the dump is being written back into a save from the same version of the game.
+ */
+export class DinkumSaveManifest
+{
+	/**
+	 * The name of the file the manifest is written to in a dump directory.
+	 * 
+	 * @type {String}
+	 */
+	static fileName = "manifest.json";
+
+	/**
+	 * The name of the file in a save directory that the game keeps its version in.
+	 * 
+	 * @type {String}
+	 */
+	static versionCheckFileName = "versionCheck.dat";
+
+	/**
+	 * Reads the game version from the versionCheck.dat file in a save directory.
+	 * 
+	 * @param {String} saveDir
+	 * @param {import("./Logger.js").Logger} [logger] The logger to write progress to.
+	 * @returns {Object<String, *>|null} The primitive members of the object in versionCheck.dat, keyed by name, or null if the save has no versionCheck.dat.
+	 * @author Loren Goodwin
+	 */
+	static readGameVersion(saveDir, logger)
+	{
+		const versionCheckPath = path.join(saveDir, DinkumSaveManifest.versionCheckFileName);
+
+		if (!fs.existsSync(versionCheckPath))
+		{
+			return null;
+		}
+
+		const records = new DotNetBinaryReader(new Uint8Array(fs.readFileSync(versionCheckPath)).buffer,
+			{
+				strict: false,
+				logger,
+			}).read();
+
+		const root = DotNetSemanticJson.fromRecords(records).$root;
+
+		if (root == null || typeof root != "object" || Array.isArray(root))
+		{
+			throw new Error(`${ versionCheckPath } doesn't hold an object.`);
+		}
+
+		// Note: Properties like $type and $id only say how the object was serialized, so they're left out
+		const members = Object.entries(root)
+			.filter(([ name, value ]) => !name.startsWith("$") && DotNetTypedJson.getType(value) != null);
+
+		if (members.length == 0)
+		{
+			throw new Error(`The ${ root.$type } object in ${ versionCheckPath } doesn't have any members that could be a version.`);
+		}
+
+		return Object.fromEntries(members);
+	}
+
+	/**
+	 * Creates a manifest for a dump of a save directory.
+	 * 
+	 * If the save has a versionCheck.dat that can't be read, the game version is left out rather than
+	 * failing the dump.
+	 * 
+	 * @param {String} saveDir The save directory being dumped.
+	 * @param {String} format The format the files are being dumped in.
+	 * @param {import("./Logger.js").Logger} [logger] The logger to write progress to.
+	 * @returns {DinkumSaveManifestData}
+	 * @author Loren Goodwin
+	 */
+	static create(saveDir, format, logger)
+	{
+		let gameVersion = null;
+
+		try
+		{
+			gameVersion = DinkumSaveManifest.readGameVersion(saveDir, logger);
+		}
+		catch(error)
+		{
+			logger?.info(`Couldn't read ${ DinkumSaveManifest.versionCheckFileName }, so the game version won't be recorded:`, error.message);
+		}
+
+		return {
+			gameVersion,
+			dumpedAt: new Date().toISOString(),
+			format,
+		};
+	}
+
+	/**
+	 * Reads the manifest in a dump directory.
+	 * 
+	 * @param {String} dumpDir
+	 * @returns {DinkumSaveManifestData|null} The manifest, or null if the dump directory doesn't have one.
+	 * @author Loren Goodwin
+	 */
+	static read(dumpDir)
+	{
+		const manifestPath = path.join(dumpDir, DinkumSaveManifest.fileName);
+
+		if (!fs.existsSync(manifestPath))
+		{
+			return null;
+		}
+
+		return JSON.parse(fs.readFileSync(manifestPath, "utf8"));
+	}
+
+	/**
+	 * Writes a manifest to a dump directory.
+	 * 
+	 * @param {String} dumpDir
+	 * @param {DinkumSaveManifestData} manifest
+	 * @author Loren Goodwin
+	 */
+	static write(dumpDir, manifest)
+	{
+		fs.writeFileSync(path.join(dumpDir, DinkumSaveManifest.fileName), JSON.stringify(manifest, null, "\t") + "\n");
+	}
+
+	/**
+	 * Gets whether two game versions are the same, by comparing each of their members.
+	 * 
+	 * @param {Object<String, *>} gameVersion
+	 * @param {Object<String, *>} otherGameVersion
+	 * @returns {Boolean}
+	 * @author Loren Goodwin
+	 */
+	static isSameGameVersion(gameVersion, otherGameVersion)
+	{
+		const names = Object.keys(gameVersion);
+
+		if (names.length != Object.keys(otherGameVersion).length)
+		{
+			return false;
+		}
+
+		// Note: Typed values such as { "$Int64": "1" } are compared by what they hold
+		return names.every((name) => Object.hasOwn(otherGameVersion, name) &&
+			JSON.stringify(gameVersion[name]) == JSON.stringify(otherGameVersion[name]));
+	}
+
+	/**
+	 * Formats a game version to be shown on a single line, such as version=1.
+	 * 
+	 * @param {Object<String, *>} gameVersion
+	 * @returns {String}
+	 * @author Loren Goodwin
+	 */
+	static formatGameVersion(gameVersion)
+	{
+		return Object.entries(gameVersion)
+			.map(([ name, value ]) => `${ name }=${ JSON.stringify(value) }`)
+			.join(", ");
+	}
+}
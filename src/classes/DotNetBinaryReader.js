@@ -5,12 +5,45 @@
 import assert from "node:assert";
 
 import { BinaryReader } from "./BinaryReader.js";
+import { DotNetValidationError } from "./DotNetValidationError.js";
+import { EndOfStreamError } from "./EndOfStreamError.js";
+import { Logger } from "./Logger.js";
 
 //
 // Type Definitions
 //
 
-// TODO
+/**
+ * @typedef {Object} DotNetBinaryReaderOptions
+ * @property {Boolean} [strict] Whether read() throws a DotNetValidationError if the serialization stream breaks any of the rules it checks. Defaults to true, unless recover is true.
+ * @property {Boolean} [recover] Whether read() skips over records it can't read rather than throwing. Defaults to false.
+ * @property {Logger} [logger] The logger to write progress to. Every record read is logged at the trace level. Defaults to a silent logger.
+ * @property {Boolean} [annotate] Whether read() collects the position of every field it reads in annotations. Defaults to false.
+ */
+
+/**
+ * @typedef {Object} DotNetBinaryReaderAnnotation
+ * @property {String} field The name of the field, record or structure.
+ * @property {Number} start The byte offset of the first byte.
+ * @property {Number} length The number of bytes.
+ * @property {*} [value] The value that was read. Only records and structures have children instead.
+ * @property {DotNetBinaryReaderAnnotation[]} [children] The fields that make up a record or structure.
+ */
+
+/**
+ * @typedef {Object} DotNetBinaryReaderViolation
+ * @property {String} rule The name of the rule that was broken, such as "ObjectIdUnique".
+ * @property {String} message A description of what broke the rule.
+ * @property {Number} recordIndex The index of the top-level record the violation was found in.
+ * @property {Number} position The byte offset of the start of the record the violation was found in, or for a rule about a LibraryId or MemberReference IdRef, the byte offset of the LibraryId or IdRef itself.
+ */
+
+/**
+ * @typedef {Object} DotNetBinaryReaderUnparsedRange
+ * @property {Number} start The byte offset of the start of the record that couldn't be read.
+ * @property {Number} end The byte offset reading resumed from, or the end of the data if it couldn't resume.
+ * @property {String} message The error that stopped the record from being read.
+ */
 
 //
 // Exports
@@ -53,6 +86,22 @@ export class DotNetBinaryReader extends BinaryReader
 			PrimitiveArray: 7,
 		};
 	
+	/**
+	 * An enumeration containing the kinds of DateTime values, stored in the top two bits of a DateTime.
+	 * 
+	 * LocalAmbiguousDst is a Local time in the hour that's repeated when daylight saving time ends. .NET
+	 * marks these so it can tell the first, daylight saving, occurrence of that hour from the second.
+	 * 
+	 * @see https://winprotocoldoc.blob.core.windows.net/productionwindowsarchives/MS-NRBF/[MS-NRBF].pdf#%5B%7B%22num%22%3A67%2C%22gen%22%3A0%7D%2C%7B%22name%22%3A%22XYZ%22%7D%2C69%2C299%2C0%5D
+	 */
+	static DateTimeKindEnumeration =
+		{
+			Unspecified: 0,
+			Utc: 1,
+			Local: 2,
+			LocalAmbiguousDst: 3,
+		};
+
 	/**
 	 * An enumeration containing valid primitive types.
 	 * 
@@ -115,368 +164,1403 @@ export class DotNetBinaryReader extends BinaryReader
 	static #fs = null;
 
 	/**
-	 * Reads a Microsoft .NET BinaryFormatter file from the disk.
+	 * The decoder used for LengthPrefixedStrings and Chars, both of which are UTF-8 encoded.
 	 * 
-	 * Only works in Node.js.
+	 * A leading byte order mark is kept as a U+FEFF character rather than stripped, as it's part of the
+	 * string and would otherwise be lost when the string is written back.
 	 * 
-	 * @param {String} path The path to the file.
-	 * @author Loren Goodwin
+	 * @type {TextDecoder}
 	 */
-	static async readFile(path)
-	{
-		console.log(`[DotNetBinaryReader] Reading from file: ${ path }`);
-
-		if (DotNetBinaryReader.#fs == null)
+	static #textDecoder = new TextDecoder("utf-8",
 		{
-			DotNetBinaryReader.#fs = await import("node:fs");
-		}
-
-		const fs = DotNetBinaryReader.#fs;
-
-		const nodeBuffer = await fs.promises.readFile(path);
-
-		const arrayBuffer = new Uint8Array(nodeBuffer).buffer;
-
-		const binaryReader = new DotNetBinaryReader(arrayBuffer);
+			fatal: true,
+			ignoreBOM: true,
+		});
 
-		return binaryReader.read();
-	}
+	/**
+	 * The types of record that can be at the top level of a stream, other than the SerializationHeader.
+	 * 
+	 * Used to find plausible places to resume reading from when recovering.
+	 * 
+	 * @type {Number[]}
+	 */
+	static #recoverableRecordTypes =
+		[
+			DotNetBinaryReader.RecordTypeEnumeration.ClassWithId,
+			DotNetBinaryReader.RecordTypeEnumeration.SystemClassWithMembers,
+			DotNetBinaryReader.RecordTypeEnumeration.ClassWithMembers,
+			DotNetBinaryReader.RecordTypeEnumeration.SystemClassWithMembersAndTypes,
+			DotNetBinaryReader.RecordTypeEnumeration.ClassWithMembersAndTypes,
+			DotNetBinaryReader.RecordTypeEnumeration.BinaryObjectString,
+			DotNetBinaryReader.RecordTypeEnumeration.BinaryArray,
+			DotNetBinaryReader.RecordTypeEnumeration.MessageEnd,
+			DotNetBinaryReader.RecordTypeEnumeration.BinaryLibrary,
+			DotNetBinaryReader.RecordTypeEnumeration.ArraySinglePrimitive,
+			DotNetBinaryReader.RecordTypeEnumeration.ArraySingleObject,
+			DotNetBinaryReader.RecordTypeEnumeration.ArraySingleString,
+		];
 
 	/**
-	 * Reads the entire file.
+	 * Every class record read so far that defines its own metadata, including those nested in other records,
+	 * keyed by the ObjectId in its ClassInfo.
 	 * 
-	 * @returns {Array}
-	 * @author Loren Goodwin
-	 * @author Proddy
+	 * Used to find the metadata for ClassWithId records.
+	 * 
+	 * @type {Map<Number, Object>}
 	 */
-	read()
-	{
-		/**
-		 * An array of all records in the serialization stream.
-		 * 
-		 * @type {Array}
-		 */
-		const records = [];
-		
-		// eslint-disable-next-line no-constant-condition
-		while(true)
-		{
-			let recordType = this.readInt8();
+	#classRecords = new Map();
 
-			switch (recordType)
-			{
-				case DotNetBinaryReader.RecordTypeEnumeration.SerializedStreamHeader:
-					records.push(this.#readSerializationHeader(records));
-					break;
+	/**
+	 * Whether read() throws a DotNetValidationError if the serialization stream breaks any of the rules it checks.
+	 * 
+	 * @type {Boolean}
+	 */
+	strict;
 
-				case DotNetBinaryReader.RecordTypeEnumeration.ClassWithId:
-					records.push(this.#readClassWithId(records));
-					break;
+	/**
+	 * Whether read() skips over records it can't read rather than throwing.
+	 * 
+	 * @type {Boolean}
+	 */
+	recover;
 
-				case DotNetBinaryReader.RecordTypeEnumeration.SystemClassWithMembers:			
-					throw new Error("Record type not implemented:", recordType);	
+	/**
+	 * The logger progress is written to.
+	 * 
+	 * @type {Logger}
+	 */
+	logger;
 
-				case DotNetBinaryReader.RecordTypeEnumeration.ClassWithMembers:
-					throw new Error("Record type not implemented:", recordType);
+	/**
+	 * Where every record and field was read from by the last call to read(), or null if annotate wasn't set.
+	 * 
+	 * @type {DotNetBinaryReaderAnnotation[]|null}
+	 */
+	annotations = null;
 
-				case DotNetBinaryReader.RecordTypeEnumeration.SystemClassWithMembersAndTypes:
-					throw new Error("Record type not implemented:", recordType);
+	/**
+	 * Whether read() collects annotations.
+	 * 
+	 * @type {Boolean}
+	 */
+	#annotate;
 
-				case DotNetBinaryReader.RecordTypeEnumeration.ClassWithMembersAndTypes:
-					records.push(this.#readClassWithMembersAndTypes(records));
-					break;
+	/**
+	 * The records and structures being read that fields are currently being added to, innermost last.
+	 * 
+	 * @type {DotNetBinaryReaderAnnotation[]}
+	 */
+	#annotationStack = [];
 
-				case DotNetBinaryReader.RecordTypeEnumeration.BinaryObjectString:
-					throw new Error("Record type not implemented:", recordType);
+	/**
+	 * Every rule the serialization stream broke, found by the last call to read().
+	 * 
+	 * Only the rules that don't stop the rest of the stream from being read are collected here. Anything
+	 * else, such as an invalid record type, is thrown straight away.
+	 * 
+	 * @type {DotNetBinaryReaderViolation[]}
+	 */
+	violations = [];
 
-				case DotNetBinaryReader.RecordTypeEnumeration.BinaryArray:
-					records.push(this.#readBinaryArray(records));
-					break;
+	/**
+	 * Every range of bytes that was skipped over by the last call to read(), when recover is true.
+	 * 
+	 * @type {DotNetBinaryReaderUnparsedRange[]}
+	 */
+	unparsedRanges = [];
 
-				case DotNetBinaryReader.RecordTypeEnumeration.MemberPrimitiveTyped:
-					throw new Error("Record type not implemented:", recordType);
+	/**
+	 * The index of the top-level record being read.
+	 * 
+	 * @type {Number}
+	 */
+	#recordIndex = 0;
 
-				case DotNetBinaryReader.RecordTypeEnumeration.MemberReference:
-					records.push(this.#readMemberReference(records));
-					break;
+	/**
+	 * The position of the start of the record being read.
+	 * 
+	 * @type {Number}
+	 */
+	#recordPosition = 0;
 
-				case DotNetBinaryReader.RecordTypeEnumeration.ObjectNull:
-					throw new Error("Record type not implemented:", recordType);
+	/**
+	 * Every ObjectId read so far.
+	 * 
+	 * @type {Set<Number>}
+	 */
+	#objectIds = new Set();
 
-				case DotNetBinaryReader.RecordTypeEnumeration.MessageEnd:
-					console.log(`[DotNetBinaryReader] Reading MessageEnd record starting at position ${ this.position }`);
-					return records;
+	/**
+	 * Every LibraryId read so far.
+	 * 
+	 * @type {Set<Number>}
+	 */
+	#libraryIds = new Set();
 
-				case DotNetBinaryReader.RecordTypeEnumeration.BinaryLibrary:
-					records.push(this.#readBinaryLibrary(records));
-					break;
+	/**
+	 * Every MemberReference read so far, with where it was read, so they can be resolved once the whole stream is read.
+	 * 
+	 * @type {{ IdRef: Number, recordIndex: Number, position: Number }[]}
+	 */
+	#memberReferences = [];
 
-				case DotNetBinaryReader.RecordTypeEnumeration.ObjectNullMultiple256:
-					throw new Error("Record type not implemented:", recordType);
+	/**
+	 * What has been added to the indexes since the current attempt to read a record started, so it can be undone if the attempt fails.
+	 * 
+	 * Only used when recover is true.
+	 * 
+	 * @type {{ objectIds: Number[], libraryIds: Number[], classRecords: [ Number, Object|undefined ][], memberReferenceCount: Number, violationCount: Number, annotationCount: Number|undefined }|null}
+	 */
+	#attempt = null;
 
-				case DotNetBinaryReader.RecordTypeEnumeration.ObjectNullMultiple:
-					throw new Error("Record type not implemented:", recordType);
+	/**
+	 * Constructs a new DotNetBinaryReader.
+	 * 
+	 * @param {ArrayBuffer} arrayBuffer
+	 * @param {DotNetBinaryReaderOptions} [options]
+	 * @author Loren Goodwin
+	 */
+	constructor(arrayBuffer, options = {})
+	{
+		super(arrayBuffer);
 
-				case DotNetBinaryReader.RecordTypeEnumeration.ArraySinglePrimitive:
-					records.push(this.#readArraySinglePrimitive(records));
-					break;
+		this.recover = options.recover ?? false;
 
-				case DotNetBinaryReader.RecordTypeEnumeration.ArraySingleObject:
-					throw new Error("Record type not implemented:", recordType);
+		this.strict = options.strict ?? !this.recover;
 
-				case DotNetBinaryReader.RecordTypeEnumeration.ArraySingleString:
-					throw new Error("Record type not implemented:", recordType);
+		this.logger = options.logger ?? new Logger({ level: "silent" });
 
-				case DotNetBinaryReader.RecordTypeEnumeration.MethodCall:
-					throw new Error("Record type not implemented:", recordType);
+		this.#annotate = options.annotate ?? false;
+	}
 
-				case DotNetBinaryReader.RecordTypeEnumeration.MethodReturn:
-					throw new Error("Record type not implemented:", recordType);
+	/**
+	 * Gets the ObjectId of a record, if it has one.
+	 * 
+	 * @param {Object} record Any kind of record.
+	 * @returns {Number|undefined}
+	 * @author Loren Goodwin
+	 */
+	static getObjectId(record)
+	{
+		switch (record?.RecordTypeEnum)
+		{
+			case DotNetBinaryReader.RecordTypeEnumeration.SystemClassWithMembers:
+			case DotNetBinaryReader.RecordTypeEnumeration.ClassWithMembers:
+			case DotNetBinaryReader.RecordTypeEnumeration.SystemClassWithMembersAndTypes:
+			case DotNetBinaryReader.RecordTypeEnumeration.ClassWithMembersAndTypes:
+				return record.ClassInfo.ObjectId;
+
+			case DotNetBinaryReader.RecordTypeEnumeration.ClassWithId:
+			case DotNetBinaryReader.RecordTypeEnumeration.BinaryObjectString:
+			case DotNetBinaryReader.RecordTypeEnumeration.BinaryArray:
+				return record.ObjectId;
+
+			case DotNetBinaryReader.RecordTypeEnumeration.ArraySinglePrimitive:
+			case DotNetBinaryReader.RecordTypeEnumeration.ArraySingleObject:
+			case DotNetBinaryReader.RecordTypeEnumeration.ArraySingleString:
+				return record.ArrayInfo.ObjectId;
 
-				default:
-					throw new TypeError(`Invalid record type: ${ recordType }`);
-			}	
+			default:
+				return undefined;
 		}
 	}
 
-	//
-	// Value Functions
-	//
+	/**
+	 * Gets the year, month and day of a number of days since 0001-01-01 in the proleptic Gregorian calendar.
+	 * 
+	 * @param {Number} days
+	 * @returns {Array<Number>} The year, the month from 1 to 12 and the day of the month from 1 to 31.
+	 * @author Loren Goodwin
+	 * @see https://howardhinnant.github.io/date_algorithms.html#civil_from_days
+	 */
+	static #getCivilDate(days)
+	{
+		// Note: The algorithm counts days from 0000-03-01, so that the leap day is the last day of its year
+		const daysSinceMarch = days + 306;
+
+		const era = Math.floor(daysSinceMarch / 146097);
+		const dayOfEra = daysSinceMarch - era * 146097;
+		const yearOfEra = Math.floor((dayOfEra - Math.floor(dayOfEra / 1460) + Math.floor(dayOfEra / 36524) - Math.floor(dayOfEra / 146096)) / 365);
+		const dayOfYear = dayOfEra - (365 * yearOfEra + Math.floor(yearOfEra / 4) - Math.floor(yearOfEra / 100));
+		const monthSinceMarch = Math.floor((5 * dayOfYear + 2) / 153);
+
+		const month = monthSinceMarch < 10 ? monthSinceMarch + 3 : monthSinceMarch - 9;
+
+		return [
+			era * 400 + yearOfEra + (month <= 2 ? 1 : 0),
+			month,
+			dayOfYear - Math.floor((153 * monthSinceMarch + 2) / 5) + 1,
+		];
+	}
 
 	/**
-	 * Reads the appropriate value type for the given BinaryTypeEnum.
+	 * Gets the name of a RecordTypeEnum value.
 	 * 
-	 * @param {BinaryTypeEnum} binaryTypeEnum
-	 * @returns {*}
+	 * @param {Number} recordType
+	 * @returns {String} The name, or the number itself if it isn't a valid RecordTypeEnum.
+	 * @author Loren Goodwin
 	 */
-	#readAdditionalInfo(binaryTypeEnum)
+	static #getRecordTypeName(recordType)
 	{
-		switch(binaryTypeEnum)
-		{
-			// TODO: Validate that this int is in PrimitiveTypeEnumeration
-			case DotNetBinaryReader.BinaryTypeEnumeration.Primitive:
-				return this.readInt8();
+		return Object.keys(DotNetBinaryReader.RecordTypeEnumeration)
+			.find((recordTypeName) => DotNetBinaryReader.RecordTypeEnumeration[recordTypeName] == recordType) ?? String(recordType);
+	}
 
-			case DotNetBinaryReader.BinaryTypeEnumeration.String:
-				return null;
+	/**
+	 * Reads a Microsoft .NET BinaryFormatter file from the disk.
+	 * 
+	 * Only works in Node.js.
+	 * 
+	 * @param {String} path The path to the file.
+	 * @param {DotNetBinaryReaderOptions} [options]
+	 * @author Loren Goodwin
+	 */
+	static async readFile(path, options)
+	{
+		options?.logger?.debug(`[DotNetBinaryReader] Reading from file: ${ path }`);
 
-			case DotNetBinaryReader.BinaryTypeEnumeration.Object:
-				return null;
+		if (DotNetBinaryReader.#fs == null)
+		{
+			DotNetBinaryReader.#fs = await import("node:fs");
+		}
 
-			// TODO
-			case DotNetBinaryReader.BinaryTypeEnumeration.SystemClass:
-				throw new Error("SystemClass AdditionalInfos not implemented.");
+		const fs = DotNetBinaryReader.#fs;
 
-			case DotNetBinaryReader.BinaryTypeEnumeration.Class:
-				return this.#readClassTypeInfo();
+		const nodeBuffer = await fs.promises.readFile(path);
 
-			case DotNetBinaryReader.BinaryTypeEnumeration.ObjectArray:
-				return null;
+		const arrayBuffer = new Uint8Array(nodeBuffer).buffer;
 
-			case DotNetBinaryReader.BinaryTypeEnumeration.StringArray:
-				return null;
+		const binaryReader = new DotNetBinaryReader(arrayBuffer, options);
 
-			// TODO: Validate that this int is in PrimitiveTypeEnumeration
-			case DotNetBinaryReader.BinaryTypeEnumeration.PrimitiveArray:
-				return this.readInt8();
-		}
+		return binaryReader.read();
 	}
 
 	/**
-	 * Reads a Char.
+	 * Adds every field read to annotations, if they're being collected.
 	 * 
-	 * @returns {String}
+	 * @param {String} field
+	 * @param {Number} start
+	 * @param {*} value
 	 * @author Loren Goodwin
 	 */
-	#readChar()
+	onRead(field, start, value)
 	{
-		// TODO: Actually fucking read Unicode characters, they can be multiple bytes!!!
-		const int = this.readInt8();
+		if (this.annotations == null)
+		{
+			return;
+		}
 
-		return String.fromCharCode(int);
+		(this.#annotationStack.at(-1)?.children ?? this.annotations).push(
+			{
+				field,
+				start,
+				length: this.position - start,
+				value,
+			});
 	}
 
 	/**
-	 * Reads class member values according to the given class record's specifications.
+	 * Reads the entire file.
+	 * 
+	 * Any rules the serialization stream breaks are collected in violations. If the reader is strict
+	 * and there are any, a DotNetValidationError is thrown once the whole stream has been read.
+	 * 
+	 * If recover is true, a record that can't be read is skipped by searching for the next position a
+	 * record can be read from. Everything skipped over is collected in unparsedRanges.
 	 * 
-	 * @param {ClassRecord} record Any kind of class record.
 	 * @returns {Array}
 	 * @author Loren Goodwin
+	 * @author Proddy
 	 */
-	#readClassMemberValues(record)
+	read()
 	{
-		const memberValues = [];
+		/**
+		 * An array of all records in the serialization stream.
+		 * 
+		 * @type {Array}
+		 */
+		const records = [];
 
-		for(let i = 0; i < record.ClassInfo.MemberCount; i++)
-		{
-			const binaryTypeEnum = record.MemberTypeInfo.BinaryTypeEnums[i];
-			const additionalInfo = record.MemberTypeInfo.AdditionalInfos[i];
+		this.violations = [];
 
-			switch(binaryTypeEnum)
-			{
-				case DotNetBinaryReader.BinaryTypeEnumeration.Primitive:
-					memberValues[i] = this.#readPrimitive(additionalInfo);
-					break;
+		this.unparsedRanges = [];
 
-				case DotNetBinaryReader.BinaryTypeEnumeration.String:
-					memberValues[i] = this.#readLengthPrefixedString();
-					break;
+		this.annotations = this.#annotate ? [] : null;
 
-				case DotNetBinaryReader.BinaryTypeEnumeration.Object:
-					throw new Error("Not implemented.");
+		this.#annotationStack = [];
 
-				case DotNetBinaryReader.BinaryTypeEnumeration.SystemClass:
-					throw new Error("Not implemented.");
+		this.#objectIds.clear();
 
-				case DotNetBinaryReader.BinaryTypeEnumeration.Class:
-					memberValues[i] =
-					{
-						RecordTypeEnum: this.readInt8(),
-						IdRef: this.readInt32(),
-					};
-					
-					break;
+		this.#libraryIds.clear();
 
-				case DotNetBinaryReader.BinaryTypeEnumeration.ObjectArray:
-					throw new Error("Not implemented.");
+		this.#classRecords.clear();
 
-				case DotNetBinaryReader.BinaryTypeEnumeration.StringArray:
-					throw new Error("Not implemented.");
+		this.#memberReferences = [];
 
-				case DotNetBinaryReader.BinaryTypeEnumeration.PrimitiveArray:
-					throw new Error("Not implemented.");
-			}
-		}
+		let record = this.#readTopLevelRecord(records);
 
-		/*
-		for(let i = 0; i < record.ClassInfo.MemberCount; i++)
+		while (record != null && record.RecordTypeEnum != DotNetBinaryReader.RecordTypeEnumeration.MessageEnd)
 		{
-			const binaryTypeEnum = record.MemberTypeInfo.BinaryTypeEnums[i];
-			const additionalInfo = record.MemberTypeInfo.AdditionalInfos[i];
+			records.push(record);
 
-			if
-			(
-				binaryTypeEnum != DotNetBinaryReader.BinaryTypeEnumeration.PrimitiveArray
-			)
-			{
-				continue;
-			}
+			record = this.#readTopLevelRecord(records);
+		}
+
+		this.#validateReferences(records);
 
-			debugger;
+		this.logger.debug(`[DotNetBinaryReader] Read ${ records.length } record(s) ending at position ${ this.position }, breaking ${ this.violations.length } rule(s)`);
+
+		if (this.strict && this.violations.length > 0)
+		{
+			throw new DotNetValidationError(this.violations);
 		}
-		*/
 
-		return memberValues;
+		return records;
 	}
 
 	/**
-	 * Reads a Decimal value.
+	 * Reads the next top-level record, skipping over anything that can't be read if recover is true.
 	 * 
-	 * @returns {String}
+	 * @param {Array} previousRecords An array of records read before this one.
+	 * @returns {Object|null} The record, or null if recover is true and there's nowhere left to read a record from.
 	 * @author Loren Goodwin
-	 * @see https://winprotocoldoc.blob.core.windows.net/productionwindowsarchives/MS-NRBF/[MS-NRBF].pdf#%5B%7B%22num%22%3A69%2C%22gen%22%3A0%7D%2C%7B%22name%22%3A%22XYZ%22%7D%2C69%2C647%2C0%5D
 	 */
-	#readDecimal()
+	#readTopLevelRecord(previousRecords)
 	{
-		const decimal = this.#readLengthPrefixedString();
-
-		// TODO: Fucking more shit here
-		//	See documentation for Decimal
+		this.#recordIndex = previousRecords.length;
 
-		return decimal;
+		return this.recover
+			? this.#readRecordOrRecover(previousRecords)
+			: this.#readRecord(previousRecords);
 	}
 
 	/**
-	 * Reads a length prefixed string.
+	 * Reads a single top-level record, or if that fails, skips to the next position a record can be read from.
 	 * 
-	 * This function assumes the next byte is a string length followed by the bytes of the string.
-	 * 
-	 * @returns {String}
+	 * @param {Array} previousRecords An array of records read before this one.
+	 * @returns {Object|null} The record, or null if there's nowhere left to read a record from.
 	 * @author Loren Goodwin
 	 */
-	#readLengthPrefixedString() 
+	#readRecordOrRecover(previousRecords)
 	{
-		const length = this.readUInt8();
+		const start = this.position;
 
-		let buffer = [];
+		let message;
 
-		for (let i = 0; i < length; i++) 
+		try
 		{
-			buffer.push(this.readUInt8());
+			return this.#attemptReadRecord(previousRecords);
 		}
-	
-		return String.fromCharCode.apply(String, buffer);
-	}
-	
-	/**
-	 * Reads a primitive value.
-	 * 
-	 * @param {Number} type The type of primitive to read.
-	 * @returns {Number|String}
-	 * @author Loren Goodwin
-	 * @author Proddy
-	 * @see https://winprotocoldoc.blob.core.windows.net/productionwindowsarchives/MS-NRBF/[MS-NRBF].pdf#%5B%7B%22num%22%3A77%2C%22gen%22%3A0%7D%2C%7B%22name%22%3A%22XYZ%22%7D%2C69%2C625%2C0%5D
-	 */
-	#readPrimitive(type)
-	{
-		switch (type)
+		catch(error)
 		{
-			case DotNetBinaryReader.PrimitiveTypeEnumeration.Boolean:
-				return this.readInt8() != 0;
+			message = error.message;
+		}
 
-			case DotNetBinaryReader.PrimitiveTypeEnumeration.Byte:
-				return this.readUInt8();
+		for (let position = start + 1; position < this.view.byteLength; position++)
+		{
+			const recordType = this.view.getUint8(position);
 
-			case DotNetBinaryReader.PrimitiveTypeEnumeration.Char:
-				return this.#readChar();
+			if (!DotNetBinaryReader.#recoverableRecordTypes.includes(recordType))
+			{
+				continue;
+			}
+
+			// Note: A MessageEnd is a single byte, so it's only plausible as the very last one
+			if (recordType == DotNetBinaryReader.RecordTypeEnumeration.MessageEnd && position != this.view.byteLength - 1)
+			{
+				continue;
+			}
+
+			this.seek(position);
+
+			try
+			{
+				const record = this.#attemptReadRecord(previousRecords, true);
+
+				this.#addUnparsedRange(start, position, message);
+
+				return record;
+			}
+			catch
+			{
+				continue;
+			}
+		}
+
+		this.#addUnparsedRange(start, this.view.byteLength, message);
+
+		return null;
+	}
+
+	/**
+	 * Reads a single record, undoing any changes it made to the indexes if it fails.
+	 * 
+	 * @param {Array} previousRecords An array of records read before this one.
+	 * @param {Boolean} [rejectViolations] Whether the attempt fails if the record breaks any rules.
+	 * @returns {Object}
+	 * @author Loren Goodwin
+	 */
+	#attemptReadRecord(previousRecords, rejectViolations = false)
+	{
+		const start = this.position;
+
+		this.#attempt =
+		{
+			objectIds: [],
+			libraryIds: [],
+			classRecords: [],
+			memberReferenceCount: this.#memberReferences.length,
+			violationCount: this.violations.length,
+			annotationCount: this.annotations?.length,
+		};
+
+		try
+		{
+			const record = this.#readRecord(previousRecords);
+
+			if (rejectViolations && this.violations.length > this.#attempt.violationCount)
+			{
+				throw new Error(`Record at position ${ start } broke ${ this.violations.length - this.#attempt.violationCount } rule(s).`);
+			}
+
+			// Note: Only value types nested in other records have negative ObjectIds
+			if (rejectViolations && DotNetBinaryReader.getObjectId(record) <= 0)
+			{
+				throw new Error(`Record at position ${ start } has an ObjectId that isn't positive.`);
+			}
+
+			return record;
+		}
+		catch(error)
+		{
+			for (const objectId of this.#attempt.objectIds)
+			{
+				this.#objectIds.delete(objectId);
+			}
+
+			for (const libraryId of this.#attempt.libraryIds)
+			{
+				this.#libraryIds.delete(libraryId);
+			}
+
+			// Note: Undone in reverse so a class record replaced more than once gets its original back
+			for (const [ objectId, classRecord ] of this.#attempt.classRecords.reverse())
+			{
+				if (classRecord == null)
+				{
+					this.#classRecords.delete(objectId);
+				}
+				else
+				{
+					this.#classRecords.set(objectId, classRecord);
+				}
+			}
+
+			this.#memberReferences.length = this.#attempt.memberReferenceCount;
+
+			this.violations.length = this.#attempt.violationCount;
+
+			if (this.annotations != null)
+			{
+				this.annotations.length = this.#attempt.annotationCount;
+			}
+
+			throw error;
+		}
+		finally
+		{
+			this.#attempt = null;
+		}
+	}
+
+	/**
+	 * Adds a range of bytes that was skipped over to unparsedRanges, and to annotations if they're being collected.
+	 * 
+	 * @param {Number} start
+	 * @param {Number} end
+	 * @param {String} message
+	 * @author Loren Goodwin
+	 */
+	#addUnparsedRange(start, end, message)
+	{
+		this.unparsedRanges.push({ start, end, message });
+
+		if (this.annotations == null)
+		{
+			return;
+		}
+
+		// Note: The record reading resumed from has already been added by the time the range is known
+		const index = this.annotations.findLastIndex((annotation) => annotation.start < start) + 1;
+
+		this.annotations.splice(index, 0,
+			{
+				field: "Unparsed bytes",
+				start,
+				length: end - start,
+				value: message,
+			});
+	}
+
+	/**
+	 * Reads a record or structure, adding it to annotations with the fields it's made up of as its children.
+	 * 
+	 * @param {String} field The name of the record or structure.
+	 * @param {Function} read The function that reads it.
+	 * @returns {*} Whatever read returns.
+	 * @author Loren Goodwin
+	 */
+	#annotateGroup(field, read)
+	{
+		if (this.annotations == null)
+		{
+			return read();
+		}
+
+		const annotation =
+		{
+			field,
+			start: this.position,
+			length: 0,
+			children: [],
+		};
+
+		(this.#annotationStack.at(-1)?.children ?? this.annotations).push(annotation);
+
+		this.#annotationStack.push(annotation);
+
+		try
+		{
+			return read();
+		}
+		finally
+		{
+			annotation.length = this.position - annotation.start;
+
+			this.#annotationStack.pop();
+		}
+	}
+
+	/**
+	 * Reads a value that's made up of more than one read, such as a LengthPrefixedString, adding it to
+	 * annotations as a single field.
+	 * 
+	 * @param {String} field The name of the field.
+	 * @param {Function} read The function that reads it.
+	 * @returns {*} Whatever read returns.
+	 * @author Loren Goodwin
+	 */
+	#annotateValue(field, read)
+	{
+		if (this.annotations == null)
+		{
+			return read();
+		}
+
+		const start = this.position;
+
+		// Note: Collects the individual reads somewhere they are thrown away, unless reading fails part
+		//	way through, in which case they show how far it got
+		const annotation =
+		{
+			field,
+			start,
+			length: 0,
+			children: [],
+		};
+
+		this.#annotationStack.push(annotation);
+
+		let value;
+
+		try
+		{
+			value = read();
+		}
+		catch(error)
+		{
+			(this.#annotationStack.at(-2)?.children ?? this.annotations).push(...annotation.children);
+
+			throw error;
+		}
+		finally
+		{
+			this.#annotationStack.pop();
+		}
+
+		this.onRead(field, start, value);
+
+		return value;
+	}
+
+	/**
+	 * Adds a class record that defines its own metadata to the index used by ClassWithId records.
+	 * 
+	 * @param {Object} record
+	 * @author Loren Goodwin
+	 */
+	#addClassRecord(record)
+	{
+		this.#attempt?.classRecords.push([ record.ClassInfo.ObjectId, this.#classRecords.get(record.ClassInfo.ObjectId) ]);
+
+		this.#classRecords.set(record.ClassInfo.ObjectId, record);
+	}
+
+	/**
+	 * Adds a violation of a rule to violations if the condition is false.
+	 * 
+	 * @param {Boolean} condition
+	 * @param {String} rule The name of the rule.
+	 * @param {String} message
+	 * @param {Number} [recordIndex] Defaults to the index of the top-level record being read.
+	 * @param {Number} [position] Defaults to the position of the start of the record being read.
+	 * @author Loren Goodwin
+	 */
+	#validate(condition, rule, message, recordIndex = this.#recordIndex, position = this.#recordPosition)
+	{
+		if (condition)
+		{
+			return;
+		}
+
+		this.violations.push(
+			{
+				rule,
+				message,
+				recordIndex,
+				position,
+			});
+	}
+
+	/**
+	 * Validates that an ObjectId hasn't been used by any record before this one.
+	 * 
+	 * @param {Number} objectId
+	 * @author Loren Goodwin
+	 */
+	#validateObjectId(objectId)
+	{
+		if (this.#objectIds.has(objectId))
+		{
+			this.#validate(false, "ObjectIdUnique", `ObjectId ${ objectId } MUST NOT be used by more than one record.`);
+
+			return;
+		}
+
+		this.#objectIds.add(objectId);
+
+		this.#attempt?.objectIds.push(objectId);
+	}
+
+	/**
+	 * Validates that a LibraryId refers to a BinaryLibrary record read before this one.
+	 * 
+	 * A record can have a LibraryId in each of its member types as well as its own, so the violation is
+	 * reported at the position of the LibraryId that broke the rule.
+	 * 
+	 * @param {Number} libraryId
+	 * @param {Number} position The position the LibraryId was read from.
+	 * @author Loren Goodwin
+	 */
+	#validateLibraryId(libraryId, position)
+	{
+		this.#validate(this.#libraryIds.has(libraryId), "LibraryIdDefined", `LibraryId ${ libraryId } MUST refer to a BinaryLibrary record that precedes it.`, this.#recordIndex, position);
+	}
+
+	/**
+	 * Validates the IDs that can refer to records anywhere in the stream, once the whole stream has been read.
+	 * 
+	 * @param {Array} records
+	 * @author Loren Goodwin
+	 */
+	#validateReferences(records)
+	{
+		for (const memberReference of this.#memberReferences)
+		{
+			this.#validate(
+				this.#objectIds.has(memberReference.IdRef),
+				"MemberReferenceResolves",
+				`MemberReference IdRef ${ memberReference.IdRef } MUST refer to the ObjectId of a class, array or BinaryObjectString record.`,
+				memberReference.recordIndex,
+				memberReference.position);
+		}
+
+		const header = records[0];
+
+		if (header?.RecordTypeEnum != DotNetBinaryReader.RecordTypeEnumeration.SerializedStreamHeader)
+		{
+			return;
+		}
+
+		this.#validate(
+			this.#objectIds.has(header.RootId),
+			"RootIdResolves",
+			`SerializationHeader RootId ${ header.RootId } MUST refer to the ObjectId of a record in the stream.`,
+			0,
+			0);
+
+		this.#validate(
+			header.HeaderId == -1 || header.HeaderId == 0 || this.#objectIds.has(header.HeaderId),
+			"HeaderIdValid",
+			`SerializationHeader HeaderId ${ header.HeaderId } MUST be -1, 0 or the ObjectId of a record in the stream.`,
+			0,
+			0);
+	}
+
+	/**
+	 * Reads a single record of any type, including its leading RecordTypeEnum.
+	 * 
+	 * @param {Array} previousRecords An array of records read before this one.
+	 * @returns {Object}
+	 * @author Loren Goodwin
+	 * @author Proddy
+	 */
+	#readRecord(previousRecords)
+	{
+		const parentRecordPosition = this.#recordPosition;
+
+		this.#recordPosition = this.position;
+
+		let recordType;
+
+		try
+		{
+			return this.#annotateGroup("Record", () =>
+			{
+				recordType = this.readInt8("RecordTypeEnum");
+
+				if (this.annotations != null)
+				{
+					this.#annotationStack.at(-1).field = `${ DotNetBinaryReader.#getRecordTypeName(recordType) } record`;
+				}
+
+				return this.#readRecordOfType(recordType, previousRecords);
+			});
+		}
+		catch(error)
+		{
+			// Note: Only the innermost record adds its type, as that's the record the field belongs to
+			if (error instanceof EndOfStreamError && error.recordType == null && recordType != null)
+			{
+				throw new EndOfStreamError(
+					{
+						...error,
+						recordType: DotNetBinaryReader.#getRecordTypeName(recordType),
+					});
+			}
+
+			throw error;
+		}
+		finally
+		{
+			this.#recordPosition = parentRecordPosition;
+		}
+	}
+
+	/**
+	 * Reads a single record of the given type.
+	 * 
+	 * @param {Number} recordType The RecordTypeEnum of the record.
+	 * @param {Array} previousRecords An array of records read before this one.
+	 * @returns {Object}
+	 * @author Loren Goodwin
+	 */
+	#readRecordOfType(recordType, previousRecords)
+	{
+		switch (recordType)
+		{
+			case DotNetBinaryReader.RecordTypeEnumeration.SerializedStreamHeader:
+				return this.#readSerializationHeader(previousRecords);
+
+			case DotNetBinaryReader.RecordTypeEnumeration.ClassWithId:
+				return this.#readClassWithId(previousRecords);
+
+			case DotNetBinaryReader.RecordTypeEnumeration.SystemClassWithMembers:
+				return this.#readSystemClassWithMembers(previousRecords);
+
+			case DotNetBinaryReader.RecordTypeEnumeration.ClassWithMembers:
+				return this.#readClassWithMembers(previousRecords);
+
+			case DotNetBinaryReader.RecordTypeEnumeration.SystemClassWithMembersAndTypes:
+				return this.#readSystemClassWithMembersAndTypes(previousRecords);
+
+			case DotNetBinaryReader.RecordTypeEnumeration.ClassWithMembersAndTypes:
+				return this.#readClassWithMembersAndTypes(previousRecords);
+
+			case DotNetBinaryReader.RecordTypeEnumeration.BinaryObjectString:
+				return this.#readBinaryObjectString(previousRecords);
+
+			case DotNetBinaryReader.RecordTypeEnumeration.BinaryArray:
+				return this.#readBinaryArray(previousRecords);
+
+			case DotNetBinaryReader.RecordTypeEnumeration.MemberPrimitiveTyped:
+				return this.#readMemberPrimitiveTyped(previousRecords);
+
+			case DotNetBinaryReader.RecordTypeEnumeration.MemberReference:
+				return this.#readMemberReference(previousRecords);
+
+			case DotNetBinaryReader.RecordTypeEnumeration.ObjectNull:
+				return this.#readObjectNull(previousRecords);
+
+			case DotNetBinaryReader.RecordTypeEnumeration.MessageEnd:
+				return this.#readMessageEnd(previousRecords);
+
+			case DotNetBinaryReader.RecordTypeEnumeration.BinaryLibrary:
+				return this.#readBinaryLibrary(previousRecords);
+
+			case DotNetBinaryReader.RecordTypeEnumeration.ObjectNullMultiple256:
+				return this.#readObjectNullMultiple256(previousRecords);
+
+			case DotNetBinaryReader.RecordTypeEnumeration.ObjectNullMultiple:
+				return this.#readObjectNullMultiple(previousRecords);
+
+			case DotNetBinaryReader.RecordTypeEnumeration.ArraySinglePrimitive:
+				return this.#readArraySinglePrimitive(previousRecords);
+
+			case DotNetBinaryReader.RecordTypeEnumeration.ArraySingleObject:
+				return this.#readArraySingleObject(previousRecords);
+
+			case DotNetBinaryReader.RecordTypeEnumeration.ArraySingleString:
+				return this.#readArraySingleString(previousRecords);
+
+			case DotNetBinaryReader.RecordTypeEnumeration.MethodCall:
+				throw new Error(`Record type not implemented: ${ recordType }`);
+
+			case DotNetBinaryReader.RecordTypeEnumeration.MethodReturn:
+				throw new Error(`Record type not implemented: ${ recordType }`);
+
+			default:
+				throw new TypeError(`Invalid record type: ${ recordType }`);
+		}
+	}
+
+	/**
+	 * Reads a record used as a member or element value.
+	 * 
+	 * A class or array record in this position can be preceded by the BinaryLibrary records it needs.
+	 * These are kept on the record they precede as BinaryLibraries, so that the value stays in the right
+	 * position and the libraries can be written back in the same place.
+	 * 
+	 * @param {Array} previousRecords An array of records read before this one.
+	 * @returns {Object}
+	 * @author Loren Goodwin
+	 */
+	#readValueRecord(previousRecords)
+	{
+		const binaryLibraries = [];
+
+		let record = this.#readRecord(previousRecords);
+
+		while (record.RecordTypeEnum == DotNetBinaryReader.RecordTypeEnumeration.BinaryLibrary)
+		{
+			binaryLibraries.push(record);
+
+			record = this.#readRecord(previousRecords);
+		}
+
+		if (binaryLibraries.length > 0)
+		{
+			record.BinaryLibraries = binaryLibraries;
+		}
+
+		return record;
+	}
+
+	//
+	// Value Functions
+	//
+
+	/**
+	 * Reads the appropriate value type for the given BinaryTypeEnum.
+	 * 
+	 * @param {BinaryTypeEnum} binaryTypeEnum
+	 * @param {String} field The name of the field being read, for errors.
+	 * @returns {*}
+	 */
+	#readAdditionalInfo(binaryTypeEnum, field)
+	{
+		switch(binaryTypeEnum)
+		{
+			case DotNetBinaryReader.BinaryTypeEnumeration.Primitive:
+				return this.#readPrimitiveTypeEnum(field);
+
+			case DotNetBinaryReader.BinaryTypeEnumeration.String:
+				return null;
+
+			case DotNetBinaryReader.BinaryTypeEnumeration.Object:
+				return null;
+
+			case DotNetBinaryReader.BinaryTypeEnumeration.SystemClass:
+				return this.#readLengthPrefixedString(field);
+
+			case DotNetBinaryReader.BinaryTypeEnumeration.Class:
+				return this.#annotateGroup(field, () => this.#readClassTypeInfo());
+
+			case DotNetBinaryReader.BinaryTypeEnumeration.ObjectArray:
+				return null;
+
+			case DotNetBinaryReader.BinaryTypeEnumeration.StringArray:
+				return null;
+
+			case DotNetBinaryReader.BinaryTypeEnumeration.PrimitiveArray:
+				return this.#readPrimitiveTypeEnum(field);
+		}
+	}
+
+	/**
+	 * Reads the element values of an array.
+	 * 
+	 * Primitive elements are stored back to back without any record headers. All other elements are
+	 * records of their own, where a single ObjectNullMultiple or ObjectNullMultiple256 record
+	 * stands in for several consecutive null elements. Those records are kept as-is rather than
+	 * being expanded, so the returned array can hold fewer entries than the length of the array.
+	 * 
+	 * @param {Number} length The total number of elements in the array.
+	 * @param {Number} binaryTypeEnum The BinaryTypeEnum of the elements.
+	 * @param {*} additionalInfo The AdditionalInfo for the BinaryTypeEnum.
+	 * @param {Array} previousRecords An array of records read before this one.
+	 * @returns {Array}
+	 * @author Loren Goodwin
+	 */
+	#readArrayElementValues(length, binaryTypeEnum, additionalInfo, previousRecords)
+	{
+		const elementValues = [];
+
+		if (binaryTypeEnum == DotNetBinaryReader.BinaryTypeEnumeration.Primitive)
+		{
+			for (let i = 0; i < length; i++)
+			{
+				elementValues.push(this.#readPrimitive(additionalInfo, `ElementValues[${ i }]`));
+			}
+
+			return elementValues;
+		}
+
+		let elementCount = 0;
+
+		while (elementCount < length)
+		{
+			const record = this.#annotateGroup(`ElementValues[${ elementCount }]`, () => this.#readValueRecord(previousRecords));
+
+			switch (record.RecordTypeEnum)
+			{
+				case DotNetBinaryReader.RecordTypeEnumeration.ObjectNullMultiple:
+				case DotNetBinaryReader.RecordTypeEnumeration.ObjectNullMultiple256:
+					elementCount += record.NullCount;
+					break;
+
+				default:
+					elementCount += 1;
+					break;
+			}
+
+			elementValues.push(record);
+		}
+
+		assert(elementCount == length, `Array elements overflowed the array length: ${ elementCount } > ${ length }`);
+
+		return elementValues;
+	}
+
+	/**
+	 * Reads a Char.
+	 * 
+	 * @param {String} field The name of the field being read, for errors.
+	 * @returns {String}
+	 * @author Loren Goodwin
+	 */
+	#readChar(field)
+	{
+		const leadByte = this.readUInt8(field);
+
+		let byteCount;
+
+		if (leadByte < 0x80)
+		{
+			byteCount = 1;
+		}
+		else if (leadByte >= 0xC2 && leadByte <= 0xDF)
+		{
+			byteCount = 2;
+		}
+		else if (leadByte >= 0xE0 && leadByte <= 0xEF)
+		{
+			byteCount = 3;
+		}
+		else
+		{
+			// Note: A four byte sequence is a character outside the Basic Multilingual Plane, which takes two UTF-16 code units and doesn't fit in a Char
+			throw new TypeError(`Invalid UTF-8 lead byte in Char: ${ leadByte }`);
+		}
+
+		const bytes = new Uint8Array(byteCount);
+
+		bytes[0] = leadByte;
+
+		bytes.set(this.readBytes(byteCount - 1, field), 1);
+
+		return DotNetBinaryReader.#textDecoder.decode(bytes);
+	}
+
+	/**
+	 * Reads class member values according to the given class record's specifications.
+	 * 
+	 * Class records without a MemberTypeInfo (ClassWithMembers and SystemClassWithMembers) carry no type
+	 * information for their members, so each member value is read as a record of its own.
+	 * 
+	 * @param {ClassRecord} record Any kind of class record.
+	 * @param {Array} previousRecords An array of records read before this one.
+	 * @returns {Array}
+	 * @author Loren Goodwin
+	 */
+	#readClassMemberValues(record, previousRecords)
+	{
+		const memberValues = [];
+
+		if (record.MemberTypeInfo == null)
+		{
+			for(let i = 0; i < record.ClassInfo.MemberCount; i++)
+			{
+				memberValues[i] = this.#annotateGroup(record.ClassInfo.MemberNames[i], () => this.#readValueRecord(previousRecords));
+			}
+
+			return memberValues;
+		}
+
+		for(let i = 0; i < record.ClassInfo.MemberCount; i++)
+		{
+			const binaryTypeEnum = record.MemberTypeInfo.BinaryTypeEnums[i];
+			const additionalInfo = record.MemberTypeInfo.AdditionalInfos[i];
+
+			switch(binaryTypeEnum)
+			{
+				case DotNetBinaryReader.BinaryTypeEnumeration.Primitive:
+					memberValues[i] = this.#readPrimitive(additionalInfo, record.ClassInfo.MemberNames[i]);
+					break;
+
+				// Note: Everything that isn't a primitive is written as a record of its own. This can be the
+				//	object itself (e.g. a BinaryObjectString, a class or an array), a MemberReference to an
+				//	object elsewhere in the stream or an ObjectNull. Object members can also hold a
+				//	MemberPrimitiveTyped record for boxed primitives.
+				case DotNetBinaryReader.BinaryTypeEnumeration.String:
+				case DotNetBinaryReader.BinaryTypeEnumeration.Object:
+				case DotNetBinaryReader.BinaryTypeEnumeration.SystemClass:
+				case DotNetBinaryReader.BinaryTypeEnumeration.Class:
+				case DotNetBinaryReader.BinaryTypeEnumeration.ObjectArray:
+				case DotNetBinaryReader.BinaryTypeEnumeration.StringArray:
+				case DotNetBinaryReader.BinaryTypeEnumeration.PrimitiveArray:
+					memberValues[i] = this.#annotateGroup(record.ClassInfo.MemberNames[i], () => this.#readValueRecord(previousRecords));
+					break;
+
+				default:
+					throw new TypeError(`Invalid BinaryTypeEnum: ${ binaryTypeEnum }`);
+			}
+		}
+
+		return memberValues;
+	}
+
+	/**
+	 * Reads a DateTime value.
+	 * 
+	 * The Value is an ISO 8601 timestamp with all seven fractional digits of the underlying 100 nanosecond
+	 * ticks, so it can be converted back into the exact same DateTime. It is not adjusted for the Kind in
+	 * any way; a "Z" suffix is only present when the Kind is Utc.
+	 * 
+	 * The 62 bits of ticks reach past the year 9999 that .NET stops at, so the date is worked out from
+	 * the ticks with integer arithmetic rather than a Date, and years after 9999 are written with five
+	 * digits instead of being clamped or rejected.
+	 * 
+	 * @param {String} field The name of the field being read, for errors.
+	 * @returns {{ Kind: Number, Value: String }}
+	 * @author Loren Goodwin
+	 * @see https://winprotocoldoc.blob.core.windows.net/productionwindowsarchives/MS-NRBF/[MS-NRBF].pdf#%5B%7B%22num%22%3A67%2C%22gen%22%3A0%7D%2C%7B%22name%22%3A%22XYZ%22%7D%2C69%2C299%2C0%5D
+	 */
+	#readDateTime(field)
+	{
+		const int = this.readUInt64(field);
+
+		const ticks = int & 0x3FFFFFFFFFFFFFFFn;
+
+		const timeOfDay = ticks % 864000000000n;
+
+		const [ year, month, day ] = DotNetBinaryReader.#getCivilDate(Number(ticks / 864000000000n));
+
+		const hours = timeOfDay / 36000000000n;
+		const minutes = timeOfDay / 600000000n % 60n;
+		const seconds = timeOfDay / 10000000n % 60n;
+		const fraction = timeOfDay % 10000000n;
+
+		const kind = Number(int >> 62n);
+
+		return {
+			Kind: kind,
+			Value: year.toString().padStart(4, "0") + "-" +
+				month.toString().padStart(2, "0") + "-" +
+				day.toString().padStart(2, "0") + "T" +
+				hours.toString().padStart(2, "0") + ":" +
+				minutes.toString().padStart(2, "0") + ":" +
+				seconds.toString().padStart(2, "0") + "." +
+				fraction.toString().padStart(7, "0") +
+				(kind == DotNetBinaryReader.DateTimeKindEnumeration.Utc ? "Z" : ""),
+		};
+	}
+
+	/**
+	 * Reads a Decimal value.
+	 * 
+	 * @param {String} field The name of the field being read, for errors.
+	 * @returns {String}
+	 * @author Loren Goodwin
+	 * @see https://winprotocoldoc.blob.core.windows.net/productionwindowsarchives/MS-NRBF/[MS-NRBF].pdf#%5B%7B%22num%22%3A69%2C%22gen%22%3A0%7D%2C%7B%22name%22%3A%22XYZ%22%7D%2C69%2C647%2C0%5D
+	 */
+	#readDecimal(field)
+	{
+		const decimal = this.#readLengthPrefixedString(field);
+
+		const match = /^-?(\d+)(?:\.(\d+))?$/.exec(decimal);
+
+		this.#validate(match, "DecimalFormat", `Invalid Decimal: ${ decimal } (MUST be digits with an optional minus sign and fractional part)`);
+
+		// Note: A Decimal is a 96-bit integer of every digit, scaled down by a power of ten from 0 to 28
+		this.#validate(match == null || (match[2]?.length ?? 0) <= 28, "DecimalFormat", `Invalid Decimal: ${ decimal } (MUST have at most 28 digits after the decimal point)`);
+
+		this.#validate(match == null || BigInt(match[1] + (match[2] ?? "")) <= 79228162514264337593543950335n, "DecimalFormat", `Invalid Decimal: ${ decimal } (MUST be within the range and precision of a Decimal)`);
+
+		// Note: Returned as the original string rather than a Number to preserve its exact value and formatting
+		return decimal;
+	}
+
+	/**
+	 * Reads a length prefixed string.
+	 * 
+	 * The length is the number of UTF-8 encoded bytes in the string, written as a variable-length
+	 * integer where each byte holds 7 bits of the length and a flag saying whether another byte follows.
+	 * 
+	 * @param {String} field The name of the field being read, for errors.
+	 * @returns {String}
+	 * @author Loren Goodwin
+	 * @see https://winprotocoldoc.blob.core.windows.net/productionwindowsarchives/MS-NRBF/[MS-NRBF].pdf#%5B%7B%22num%22%3A64%2C%22gen%22%3A0%7D%2C%7B%22name%22%3A%22XYZ%22%7D%2C69%2C453%2C0%5D
+	 */
+	#readLengthPrefixedString(field)
+	{
+		return this.#annotateValue(field, () =>
+		{
+			const length = this.read7BitEncodedInt(`${ field } length`);
+
+			return DotNetBinaryReader.#textDecoder.decode(this.readBytes(length, field));
+		});
+	}
+	
+	/**
+	 * Reads a primitive value.
+	 * 
+	 * @param {Number} type The type of primitive to read.
+	 * @param {String} field The name of the field being read, for errors.
+	 * @returns {Number|String}
+	 * @author Loren Goodwin
+	 * @author Proddy
+	 * @see https://winprotocoldoc.blob.core.windows.net/productionwindowsarchives/MS-NRBF/[MS-NRBF].pdf#%5B%7B%22num%22%3A77%2C%22gen%22%3A0%7D%2C%7B%22name%22%3A%22XYZ%22%7D%2C69%2C625%2C0%5D
+	 */
+	#readPrimitive(type, field)
+	{
+		return this.#annotateValue(field, () => this.#readPrimitiveOfType(type, field));
+	}
+
+	/**
+	 * Reads a primitive value without annotating it.
+	 * 
+	 * @param {Number} type The type of primitive to read.
+	 * @param {String} field The name of the field being read, for errors.
+	 * @returns {Number|String}
+	 * @author Loren Goodwin
+	 */
+	#readPrimitiveOfType(type, field)
+	{
+		switch (type)
+		{
+			case DotNetBinaryReader.PrimitiveTypeEnumeration.Boolean:
+				return this.readInt8(field) != 0;
+
+			case DotNetBinaryReader.PrimitiveTypeEnumeration.Byte:
+				return this.readUInt8(field);
+
+			case DotNetBinaryReader.PrimitiveTypeEnumeration.Char:
+				return this.#readChar(field);
+
+			case DotNetBinaryReader.PrimitiveTypeEnumeration.Unused:
+				throw new Error(`Invalid primitive type: ${ type }`);
+
+			case DotNetBinaryReader.PrimitiveTypeEnumeration.Decimal:
+				return this.#readDecimal(field);
+
+			case DotNetBinaryReader.PrimitiveTypeEnumeration.Double:
+				return this.readFloat64(field);
+
+			case DotNetBinaryReader.PrimitiveTypeEnumeration.Int16:
+				return this.readInt16(field);
+			
+			case DotNetBinaryReader.PrimitiveTypeEnumeration.Int32:
+				return this.readInt32(field);
+
+			case DotNetBinaryReader.PrimitiveTypeEnumeration.Int64:
+				return this.readInt64(field);
+		
+			case DotNetBinaryReader.PrimitiveTypeEnumeration.SByte:
+				return this.readInt8(field);
+
+			case DotNetBinaryReader.PrimitiveTypeEnumeration.Single:
+				return this.readFloat32(field);
+
+			case DotNetBinaryReader.PrimitiveTypeEnumeration.TimeSpan:
+				return this.#readTimeSpan(field);
+
+			case DotNetBinaryReader.PrimitiveTypeEnumeration.DateTime:
+				return this.#readDateTime(field);
+
+			case DotNetBinaryReader.PrimitiveTypeEnumeration.UInt16:
+				return this.readUInt16(field);
+
+			case DotNetBinaryReader.PrimitiveTypeEnumeration.UInt32:
+				return this.readUInt32(field);
+
+			case DotNetBinaryReader.PrimitiveTypeEnumeration.UInt64:
+				return this.readUInt64(field);
+
+			// Note: #readPrimitiveTypeEnum has already reported this as a PrimitiveTypeValid violation
+			case DotNetBinaryReader.PrimitiveTypeEnumeration.Null:
+				return null;
+
+			case DotNetBinaryReader.PrimitiveTypeEnumeration.String:
+				return this.#readLengthPrefixedString(field);
+
+			default:
+				throw new Error(`Invalid primitive type: ${ type }`);
+		}
+	}
+
+	/**
+	 * Reads a PrimitiveTypeEnumeration value.
+	 * 
+	 * Everywhere one of these is read, it MUST NOT be Null or String.
+	 * 
+	 * @param {String} field The name of the field being read, for errors.
+	 * @returns {Number}
+	 * @author Loren Goodwin
+	 */
+	#readPrimitiveTypeEnum(field)
+	{
+		const primitiveTypeEnum = this.readUInt8(field);
 
-			case DotNetBinaryReader.PrimitiveTypeEnumeration.Unused:
-				throw new Error("Invalid primitive type:", type);
+		assert(
+			Object.values(DotNetBinaryReader.PrimitiveTypeEnumeration).includes(primitiveTypeEnum) &&
+				primitiveTypeEnum != DotNetBinaryReader.PrimitiveTypeEnumeration.Unused,
+			`Invalid PrimitiveTypeEnumeration: ${ primitiveTypeEnum }`);
 
-			case DotNetBinaryReader.PrimitiveTypeEnumeration.Decimal:
-				return this.#readDecimal();
+		this.#validate(
+			primitiveTypeEnum != DotNetBinaryReader.PrimitiveTypeEnumeration.Null &&
+				primitiveTypeEnum != DotNetBinaryReader.PrimitiveTypeEnumeration.String,
+			"PrimitiveTypeValid",
+			`PrimitiveTypeEnumeration MUST NOT be Null (17) or String (18): ${ primitiveTypeEnum }`);
 
-			case DotNetBinaryReader.PrimitiveTypeEnumeration.Double:
-				return this.readFloat64();
+		return primitiveTypeEnum;
+	}
 
-			case DotNetBinaryReader.PrimitiveTypeEnumeration.Int16:
-				return this.readInt16();
-			
-			case DotNetBinaryReader.PrimitiveTypeEnumeration.Int32:
-				return this.readInt32();
+	/**
+	 * Reads a TimeSpan value.
+	 * 
+	 * The TimeSpan is returned in the same constant format .NET uses, [-][d.]hh:mm:ss[.fffffff], which
+	 * keeps every one of its 100 nanosecond ticks.
+	 * 
+	 * @param {String} field The name of the field being read, for errors.
+	 * @returns {String}
+	 * @author Loren Goodwin
+	 * @see https://winprotocoldoc.blob.core.windows.net/productionwindowsarchives/MS-NRBF/[MS-NRBF].pdf#%5B%7B%22num%22%3A67%2C%22gen%22%3A0%7D%2C%7B%22name%22%3A%22XYZ%22%7D%2C69%2C533%2C0%5D
+	 */
+	#readTimeSpan(field)
+	{
+		const ticks = this.readInt64(field);
+
+		const absoluteTicks = ticks < 0n ? -ticks : ticks;
+
+		const days = absoluteTicks / 864000000000n;
+		const hours = absoluteTicks / 36000000000n % 24n;
+		const minutes = absoluteTicks / 600000000n % 60n;
+		const seconds = absoluteTicks / 10000000n % 60n;
+		const fraction = absoluteTicks % 10000000n;
+
+		return (ticks < 0n ? "-" : "") +
+			(days > 0n ? days + "." : "") +
+			hours.toString().padStart(2, "0") + ":" +
+			minutes.toString().padStart(2, "0") + ":" +
+			seconds.toString().padStart(2, "0") +
+			(fraction > 0n ? "." + fraction.toString().padStart(7, "0") : "");
+	}
 
-			case DotNetBinaryReader.PrimitiveTypeEnumeration.Int64:
-				return this.readInt64();
-		
-			case DotNetBinaryReader.PrimitiveTypeEnumeration.SByte:
-				return this.readInt8();
+	/**
+	 * Reshapes the flat element values of a multi-dimensional array into nested arrays.
+	 * 
+	 * Elements are stored in row-major order, so the last dimension varies the fastest. Any
+	 * ObjectNullMultiple or ObjectNullMultiple256 records are expanded into one ObjectNull record per
+	 * element first, since a run of nulls may span more than one row.
+	 * 
+	 * Indices into the nested arrays are always zero-based. The LowerBounds of an offset array are
+	 * left on the record for reference.
+	 * 
+	 * Jagged arrays are deliberately not nested here. Each of their elements is an array of its own,
+	 * with its own ObjectId, which is usually a MemberReference to a record later in the stream and can
+	 * be shared with other objects. Replacing those with the arrays would lose that identity and stop
+	 * the records from being written back as they were read, so they're left as they are and nested by
+	 * DotNetObjectResolver and the semantic view instead.
+	 * 
+	 * @param {Array} elementValues The flat element values, as read by #readArrayElementValues.
+	 * @param {Array<Number>} lengths The length of each dimension.
+	 * @returns {Array}
+	 * @author Loren Goodwin
+	 */
+	#reshapeRectangularArray(elementValues, lengths)
+	{
+		const expandedElementValues = [];
 
-			case DotNetBinaryReader.PrimitiveTypeEnumeration.Single:
-				return this.readFloat32();
+		for (const elementValue of elementValues)
+		{
+			switch (elementValue?.RecordTypeEnum)
+			{
+				case DotNetBinaryReader.RecordTypeEnumeration.ObjectNullMultiple:
+				case DotNetBinaryReader.RecordTypeEnumeration.ObjectNullMultiple256:
+					for (let i = 0; i < elementValue.NullCount; i++)
+					{
+						expandedElementValues.push(
+							{
+								RecordTypeEnum: DotNetBinaryReader.RecordTypeEnumeration.ObjectNull,
+							});
+					}
 
-			case DotNetBinaryReader.PrimitiveTypeEnumeration.TimeSpan:
-			case DotNetBinaryReader.PrimitiveTypeEnumeration.DateTime:
-				return this.readInt64();
+					break;
 
-			case DotNetBinaryReader.PrimitiveTypeEnumeration.UInt16:
-				return this.readUInt16();
+				default:
+					expandedElementValues.push(elementValue);
+					break;
+			}
+		}
 
-			case DotNetBinaryReader.PrimitiveTypeEnumeration.UInt32:
-				return this.readUInt32();
+		const nest = (offset, dimension) =>
+		{
+			const stride = lengths.slice(dimension + 1).reduce((product, length) => product * length, 1);
 
-			case DotNetBinaryReader.PrimitiveTypeEnumeration.UInt64:
-				return this.readUInt64();
+			const nestedValues = [];
 
-			// TODO: implement this
-			case DotNetBinaryReader.PrimitiveTypeEnumeration.Null:
-				throw new Error("Unimplemented primitive type:", type);
+			for (let i = 0; i < lengths[dimension]; i++)
+			{
+				nestedValues.push(dimension == lengths.length - 1
+					? expandedElementValues[offset + i]
+					: nest(offset + i * stride, dimension + 1));
+			}
 
-			case DotNetBinaryReader.PrimitiveTypeEnumeration.String:
-				return this.#readLengthPrefixedString();
+			return nestedValues;
+		};
 
-			default:
-				throw new Error("Invalid primitive type:", type);
-		}
+		return nest(0, 0);
 	}
 
 	//
@@ -494,15 +1578,13 @@ export class DotNetBinaryReader extends BinaryReader
 	{
 		const arrayInfo = {};
 
-		arrayInfo.ObjectId = this.readInt32();
+		arrayInfo.ObjectId = this.readInt32("ArrayInfo ObjectId");
 
-		assert(
-			arrayInfo.ObjectId > 0 && Number.isInteger(arrayInfo.ObjectId),
-			"ArrayInfo ObjectId MUST be a positive integer.");
+		this.#validate(arrayInfo.ObjectId > 0, "ObjectIdPositive", `ArrayInfo ObjectId ${ arrayInfo.ObjectId } MUST be a positive integer.`);
 
-		// TODO: Validate that ObjectId is unique from all other ObjectIds
+		this.#validateObjectId(arrayInfo.ObjectId);
 
-		arrayInfo.Length = this.readInt32();
+		arrayInfo.Length = this.readInt32("ArrayInfo Length");
 
 		assert(
 			arrayInfo.Length >= 0 && Number.isInteger(arrayInfo.Length), 
@@ -522,11 +1604,13 @@ export class DotNetBinaryReader extends BinaryReader
 	{
 		const classTypeInfo = {};
 
-		classTypeInfo.TypeName = this.#readLengthPrefixedString();
+		classTypeInfo.TypeName = this.#readLengthPrefixedString("ClassTypeInfo TypeName");
 
-		classTypeInfo.LibraryId = this.readInt32();
+		const libraryIdPosition = this.position;
 
-		// TODO: Validate that the LibraryId exists in a BinaryLibrary record read before this record
+		classTypeInfo.LibraryId = this.readInt32("ClassTypeInfo LibraryId");
+
+		this.#validateLibraryId(classTypeInfo.LibraryId, libraryIdPosition);
 
 		return classTypeInfo;
 	}
@@ -542,14 +1626,15 @@ export class DotNetBinaryReader extends BinaryReader
 	{
 		const classInfo = {};
 
-		classInfo.ObjectId = this.readInt32();
+		classInfo.ObjectId = this.readInt32("ClassInfo ObjectId");
 
-		// TODO: Validate that ObjectId is unique
-		// TODO: "If the ObjectId is referenced by a MemberReference record elsewhere in the serialization stream, the ObjectId MUST be positive"
-		
-		classInfo.Name = this.#readLengthPrefixedString();
+		// Note: Doesn't need to check that the ObjectId is positive if it is referenced by a MemberReference
+		//	record, as the IdRef of a MemberReference is already checked to be positive
+		this.#validateObjectId(classInfo.ObjectId);
+	
+		classInfo.Name = this.#readLengthPrefixedString("ClassInfo Name");
 
-		classInfo.MemberCount = this.readInt32();
+		classInfo.MemberCount = this.readInt32("ClassInfo MemberCount");
 
 		assert(
 			classInfo.MemberCount >= 0 && Number.isInteger(classInfo.MemberCount), 
@@ -559,7 +1644,7 @@ export class DotNetBinaryReader extends BinaryReader
 
 		for(let i = 0; i < classInfo.MemberCount; i++)
 		{
-			classInfo.MemberNames.push(this.#readLengthPrefixedString());
+			classInfo.MemberNames.push(this.#readLengthPrefixedString(`ClassInfo MemberNames[${ i }]`));
 		}
 
 		return classInfo;
@@ -578,7 +1663,7 @@ export class DotNetBinaryReader extends BinaryReader
 
 		for(let i = 0; i < classInfo.MemberCount; i++)
 		{
-			memberTypeInfo.BinaryTypeEnums.push(this.readUInt8());
+			memberTypeInfo.BinaryTypeEnums.push(this.readUInt8(`MemberTypeInfo BinaryTypeEnums[${ i }]`));
 		}
 
 		memberTypeInfo.AdditionalInfos = [];
@@ -587,9 +1672,7 @@ export class DotNetBinaryReader extends BinaryReader
 		{
 			const binaryTypeEnum = memberTypeInfo.BinaryTypeEnums[i];
 
-			memberTypeInfo.AdditionalInfos.push(this.#readAdditionalInfo(binaryTypeEnum));
-
-			// TODO: "When the BinaryTypeEnum value is Primitive, the PrimitiveTypeEnumeration value in AdditionalInfo MUST NOT be Null (17) or String (18)."
+			memberTypeInfo.AdditionalInfos.push(this.#readAdditionalInfo(binaryTypeEnum, `MemberTypeInfo AdditionalInfos[${ i }]`));
 		}
 
 		return memberTypeInfo;
@@ -608,17 +1691,75 @@ export class DotNetBinaryReader extends BinaryReader
 	 */
 	#readArraySinglePrimitive(previousRecords)
 	{
-		console.log(`[DotNetBinaryReader] Reading ArraySinglePrimitive record starting at position ${ this.position }`);
+		this.logger.trace(`[DotNetBinaryReader] Reading ArraySinglePrimitive record starting at position ${ this.position }`);
 
 		const record = {};
 
 		record.RecordTypeEnum = DotNetBinaryReader.RecordTypeEnumeration.ArraySinglePrimitive;
 
-		record.ArrayInfo = this.#readArrayInfo();
+		record.ArrayInfo = this.#annotateGroup("ArrayInfo", () => this.#readArrayInfo());
+
+		record.PrimitiveTypeEnum = this.#readPrimitiveTypeEnum("PrimitiveTypeEnum");
+
+		record.ElementValues = this.#readArrayElementValues(
+			record.ArrayInfo.Length,
+			DotNetBinaryReader.BinaryTypeEnumeration.Primitive,
+			record.PrimitiveTypeEnum,
+			previousRecords);
+
+		return record;
+	}
+
+	/**
+	 * Reads an ArraySingleObject record.
+	 * 
+	 * @param {Array} previousRecords An array of records read before this one.
+	 * @returns {ArraySingleObject}
+	 * @author Loren Goodwin
+	 * @see https://winprotocoldoc.blob.core.windows.net/productionwindowsarchives/MS-NRBF/[MS-NRBF].pdf#%5B%7B%22num%22%3A120%2C%22gen%22%3A0%7D%2C%7B%22name%22%3A%22XYZ%22%7D%2C69%2C205%2C0%5D
+	 */
+	#readArraySingleObject(previousRecords)
+	{
+		this.logger.trace(`[DotNetBinaryReader] Reading ArraySingleObject record starting at position ${ this.position }`);
+
+		const record = {};
+
+		record.RecordTypeEnum = DotNetBinaryReader.RecordTypeEnumeration.ArraySingleObject;
+
+		record.ArrayInfo = this.#annotateGroup("ArrayInfo", () => this.#readArrayInfo());
+
+		record.ElementValues = this.#readArrayElementValues(
+			record.ArrayInfo.Length,
+			DotNetBinaryReader.BinaryTypeEnumeration.Object,
+			null,
+			previousRecords);
+
+		return record;
+	}
+
+	/**
+	 * Reads an ArraySingleString record.
+	 * 
+	 * @param {Array} previousRecords An array of records read before this one.
+	 * @returns {ArraySingleString}
+	 * @author Loren Goodwin
+	 * @see https://winprotocoldoc.blob.core.windows.net/productionwindowsarchives/MS-NRBF/[MS-NRBF].pdf#%5B%7B%22num%22%3A122%2C%22gen%22%3A0%7D%2C%7B%22name%22%3A%22XYZ%22%7D%2C69%2C619%2C0%5D
+	 */
+	#readArraySingleString(previousRecords)
+	{
+		this.logger.trace(`[DotNetBinaryReader] Reading ArraySingleString record starting at position ${ this.position }`);
+
+		const record = {};
+
+		record.RecordTypeEnum = DotNetBinaryReader.RecordTypeEnumeration.ArraySingleString;
 
-		record.PrimitiveTypeEnum = this.readInt8();
+		record.ArrayInfo = this.#annotateGroup("ArrayInfo", () => this.#readArrayInfo());
 
-		assert(record.PrimitiveTypeEnum >= 0 && record.PrimitiveTypeEnum <= 16, "ArraySinglePrimitive PrimitiveTypeEnum invalid.");
+		record.ElementValues = this.#readArrayElementValues(
+			record.ArrayInfo.Length,
+			DotNetBinaryReader.BinaryTypeEnumeration.String,
+			null,
+			previousRecords);
 
 		return record;
 	}
@@ -633,21 +1774,23 @@ export class DotNetBinaryReader extends BinaryReader
 	 */
 	#readBinaryArray(previousRecords)
 	{
-		console.log(`[DotNetBinaryReader] Reading BinaryArray record starting at position ${ this.position }`);
+		this.logger.trace(`[DotNetBinaryReader] Reading BinaryArray record starting at position ${ this.position }`);
 
 		const record = {};
 
 		record.RecordTypeEnum = DotNetBinaryReader.RecordTypeEnumeration.BinaryArray;
 
-		record.ObjectId = this.readInt32();
+		record.ObjectId = this.readInt32("ObjectId");
 
-		// TODO: Verify that the ObjectId has NOT been used already in the previous records
+		this.#validate(record.ObjectId > 0, "ObjectIdPositive", `BinaryArray ObjectId ${ record.ObjectId } MUST be a positive integer.`);
 
-		record.BinaryArrayTypeEnum = this.readInt8();
+		this.#validateObjectId(record.ObjectId);
+
+		record.BinaryArrayTypeEnum = this.readInt8("BinaryArrayTypeEnum");
 
 		assert(record.BinaryArrayTypeEnum >= 0 && record.BinaryArrayTypeEnum <= 5, `Invalid BinaryArrayTypeEnum: ${ record.BinaryArrayTypeEnum }`);
 
-		record.Rank = this.readInt32();
+		record.Rank = this.readInt32("Rank");
 
 		assert(record.Rank > 0, "BinaryArray Rank must be a positive integer.");
 
@@ -655,7 +1798,7 @@ export class DotNetBinaryReader extends BinaryReader
 
 		for(let i = 0; i < record.Rank; i++)
 		{
-			record.Lengths.push(this.readInt32());
+			record.Lengths.push(this.readInt32(`Lengths[${ i }]`));
 		}
 
 		assert(record.Rank == record.Lengths.length, "BinaryArray Rank must equal the number of Lengths.");
@@ -671,19 +1814,26 @@ export class DotNetBinaryReader extends BinaryReader
 	
 			for(let i = 0; i < record.Rank; i++)
 			{
-				record.LowerBounds.push(this.readInt32());
+				record.LowerBounds.push(this.readInt32(`LowerBounds[${ i }]`));
 			}
 		}
 
-		record.TypeEnum = this.readInt8();
+		record.TypeEnum = this.readInt8("TypeEnum");
 
 		assert(
 			(record.TypeEnum >= 0 && record.TypeEnum <= 22) && !(record.TypeEnum >= 18 && record.TypeEnum <= 20),
 			"BinaryArray TypeEnum invalid.");
 
-		record.AdditionalTypeInfo = this.#readAdditionalInfo(record.TypeEnum);
+		record.AdditionalTypeInfo = this.#readAdditionalInfo(record.TypeEnum, "AdditionalTypeInfo");
+
+		const length = record.Lengths.reduce((product, length) => product * length, 1);
 
-		// TODO: READ ARRAY VALUES
+		record.ElementValues = this.#readArrayElementValues(length, record.TypeEnum, record.AdditionalTypeInfo, previousRecords);
+
+		if (record.Rank > 1)
+		{
+			record.ElementValues = this.#reshapeRectangularArray(record.ElementValues, record.Lengths);
+		}
 
 		return record;
 	}
@@ -699,19 +1849,53 @@ export class DotNetBinaryReader extends BinaryReader
 	 */
 	#readBinaryLibrary(previousRecords)
 	{
-		console.log(`[DotNetBinaryReader] Reading BinaryLibrary record starting at position ${ this.position }`);
+		this.logger.trace(`[DotNetBinaryReader] Reading BinaryLibrary record starting at position ${ this.position }`);
 
 		const record =
 		{
 			RecordTypeEnum: DotNetBinaryReader.RecordTypeEnumeration.BinaryLibrary,
 
-			LibraryId: this.readUInt32(),
-			LibraryName: this.#readLengthPrefixedString(),
+			LibraryId: this.readUInt32("LibraryId"),
+			LibraryName: this.#readLengthPrefixedString("LibraryName"),
+		};
+
+		this.#validate(record.LibraryId > 0, "LibraryIdPositive", `Invalid BinaryLibrary LibraryId: ${ record.LibraryId } (MUST be a positive integer)`);
+
+		this.#validate(!this.#libraryIds.has(record.LibraryId), "LibraryIdUnique", `LibraryId ${ record.LibraryId } MUST NOT be used by more than one BinaryLibrary record.`);
+
+		if (!this.#libraryIds.has(record.LibraryId))
+		{
+			this.#libraryIds.add(record.LibraryId);
+
+			this.#attempt?.libraryIds.push(record.LibraryId);
+		}
+
+		return record;
+	}
+
+	/**
+	 * Reads a BinaryObjectString record.
+	 * 
+	 * @param {Array} previousRecords An array of records read before this one.
+	 * @returns {BinaryObjectString}
+	 * @author Loren Goodwin
+	 * @see https://winprotocoldoc.blob.core.windows.net/productionwindowsarchives/MS-NRBF/[MS-NRBF].pdf#%5B%7B%22num%22%3A124%2C%22gen%22%3A0%7D%2C%7B%22name%22%3A%22XYZ%22%7D%2C69%2C539%2C0%5D
+	 */
+	#readBinaryObjectString(previousRecords)
+	{
+		this.logger.trace(`[DotNetBinaryReader] Reading BinaryObjectString record starting at position ${ this.position }`);
+
+		const record =
+		{
+			RecordTypeEnum: DotNetBinaryReader.RecordTypeEnumeration.BinaryObjectString,
+
+			ObjectId: this.readInt32("ObjectId"),
+			Value: this.#readLengthPrefixedString("Value"),
 		};
 
-		// TODO: Validate that the LibraryId has NOT already been used in any previous records.
+		this.#validate(record.ObjectId > 0, "ObjectIdPositive", `Invalid BinaryObjectString ObjectId: ${ record.ObjectId } (MUST be a positive integer)`);
 
-		assert(record.LibraryId > 0, `Invalid BinaryLibrary LibraryId: ${ record.libraryId } (MUST be a positive integer)`);
+		this.#validateObjectId(record.ObjectId);
 
 		return record;
 	}
@@ -725,42 +1909,25 @@ export class DotNetBinaryReader extends BinaryReader
 	 */
 	#readClassWithId(previousRecords)
 	{
-		console.log(`[DotNetBinaryReader] Reading ClassWithId record starting at position ${ this.position }`);
+		this.logger.trace(`[DotNetBinaryReader] Reading ClassWithId record starting at position ${ this.position }`);
 
 		const record = {};
 
 		record.RecordTypeEnum = DotNetBinaryReader.RecordTypeEnumeration.ClassWithId;
 
-		record.ObjectId = this.readInt32();
-
-		// TODO: Validate that this object ID is unique from all other records
-
-		record.MetadataId = this.readInt32();
+		record.ObjectId = this.readInt32("ObjectId");
 
-		let relevantClassRecord;
+		this.#validateObjectId(record.ObjectId);
 
-		for (const previousRecord of previousRecords)
-		{
-			if 
-			(
-				previousRecord.RecordTypeEnum != DotNetBinaryReader.RecordTypeEnumeration.SystemClassWithMembers &&
-				previousRecord.RecordTypeEnum != DotNetBinaryReader.RecordTypeEnumeration.SystemClassWithMembersAndTypes &&
-				previousRecord.RecordTypeEnum != DotNetBinaryReader.RecordTypeEnumeration.ClassWithMembers &&
-				previousRecord.RecordTypeEnum != DotNetBinaryReader.RecordTypeEnumeration.ClassWithMembersAndTypes
-			)
-			{
-				continue;
-			}
+		record.MetadataId = this.readInt32("MetadataId");
 
-			if (previousRecord.ClassInfo.ObjectId == record.MetadataId)
-			{
-				relevantClassRecord = previousRecord;
-			}
-		}
+		// Note: Uses this.#classRecords rather than previousRecords, as the class record may be nested
+		//	inside the member values of another record
+		const relevantClassRecord = this.#classRecords.get(record.MetadataId);
 
 		assert(relevantClassRecord, "ClassWithId MetadataId refers to a class record that did not preceed it.");
 
-		record.MemberValues = this.#readClassMemberValues(relevantClassRecord);
+		record.MemberValues = this.#readClassMemberValues(relevantClassRecord, previousRecords);
 
 		return record;
 	}
@@ -776,7 +1943,7 @@ export class DotNetBinaryReader extends BinaryReader
 	 */
 	#readClassWithMembersAndTypes(previousRecords)
 	{
-		console.log(`[DotNetBinaryReader] Reading ClassWithMembersAndTypes record starting at position ${ this.position }`);
+		this.logger.trace(`[DotNetBinaryReader] Reading ClassWithMembersAndTypes record starting at position ${ this.position }`);
 
 		const record = {};
 
@@ -790,27 +1957,105 @@ export class DotNetBinaryReader extends BinaryReader
 		// ClassInfo
 		//
 
-		record.ClassInfo = this.#readClassInfo();
+		record.ClassInfo = this.#annotateGroup("ClassInfo", () => this.#readClassInfo());
 
 		//
 		// MemberTypeInfo
 		//
 
-		record.MemberTypeInfo = this.#readMemberTypeInfo(record.ClassInfo);
+		record.MemberTypeInfo = this.#annotateGroup("MemberTypeInfo", () => this.#readMemberTypeInfo(record.ClassInfo));
 
 		//
 		// Library ID
 		//
 
-		record.LibraryId = this.readUInt32();
+		const libraryIdPosition = this.position;
+
+		record.LibraryId = this.readUInt32("LibraryId");
 
-		// TODO: Validate that a BinaryLibrary with the same LibraryId exists in previousRecords
+		this.#validateLibraryId(record.LibraryId, libraryIdPosition);
 
 		//
 		// Values
 		//
 
-		record.MemberValues = this.#readClassMemberValues(record);
+		this.#addClassRecord(record);
+
+		record.MemberValues = this.#readClassMemberValues(record, previousRecords);
+
+		return record;
+	}
+
+	/**
+	 * Reads a ClassWithMembers record.
+	 * 
+	 * @param {Array} previousRecords An array of records read before this one.
+	 * @returns {ClassWithMembers}
+	 * @author Loren Goodwin
+	 * @see https://winprotocoldoc.blob.core.windows.net/productionwindowsarchives/MS-NRBF/[MS-NRBF].pdf#%5B%7B%22num%22%3A103%2C%22gen%22%3A0%7D%2C%7B%22name%22%3A%22XYZ%22%7D%2C69%2C195%2C0%5D
+	 */
+	#readClassWithMembers(previousRecords)
+	{
+		this.logger.trace(`[DotNetBinaryReader] Reading ClassWithMembers record starting at position ${ this.position }`);
+
+		const record = {};
+
+		record.RecordTypeEnum = DotNetBinaryReader.RecordTypeEnumeration.ClassWithMembers;
+
+		record.ClassInfo = this.#annotateGroup("ClassInfo", () => this.#readClassInfo());
+
+		const libraryIdPosition = this.position;
+
+		record.LibraryId = this.readUInt32("LibraryId");
+
+		this.#validateLibraryId(record.LibraryId, libraryIdPosition);
+
+		this.#addClassRecord(record);
+
+		record.MemberValues = this.#readClassMemberValues(record, previousRecords);
+
+		return record;
+	}
+
+	/**
+	 * Reads a MessageEnd record.
+	 * 
+	 * @param {Array} previousRecords An array of records read before this one.
+	 * @returns {MessageEnd}
+	 * @author Loren Goodwin
+	 * @see https://winprotocoldoc.blob.core.windows.net/productionwindowsarchives/MS-NRBF/[MS-NRBF].pdf#%5B%7B%22num%22%3A138%2C%22gen%22%3A0%7D%2C%7B%22name%22%3A%22XYZ%22%7D%2C69%2C722%2C0%5D
+	 */
+	#readMessageEnd(previousRecords)
+	{
+		this.logger.trace(`[DotNetBinaryReader] Reading MessageEnd record starting at position ${ this.position }`);
+
+		const record =
+		{
+			RecordTypeEnum: DotNetBinaryReader.RecordTypeEnumeration.MessageEnd,
+		};
+
+		return record;
+	}
+
+	/**
+	 * Reads a MemberPrimitiveTyped record.
+	 * 
+	 * @param {Array} previousRecords An array of records read before this one.
+	 * @returns {MemberPrimitiveTyped}
+	 * @author Loren Goodwin
+	 * @see https://winprotocoldoc.blob.core.windows.net/productionwindowsarchives/MS-NRBF/[MS-NRBF].pdf#%5B%7B%22num%22%3A126%2C%22gen%22%3A0%7D%2C%7B%22name%22%3A%22XYZ%22%7D%2C69%2C720%2C0%5D
+	 */
+	#readMemberPrimitiveTyped(previousRecords)
+	{
+		this.logger.trace(`[DotNetBinaryReader] Reading MemberPrimitiveTyped record starting at position ${ this.position }`);
+
+		const record = {};
+
+		record.RecordTypeEnum = DotNetBinaryReader.RecordTypeEnumeration.MemberPrimitiveTyped;
+
+		record.PrimitiveTypeEnum = this.#readPrimitiveTypeEnum("PrimitiveTypeEnum");
+
+		record.Value = this.#readPrimitive(record.PrimitiveTypeEnum, "Value");
 
 		return record;
 	}
@@ -825,22 +2070,94 @@ export class DotNetBinaryReader extends BinaryReader
 	 */
 	#readMemberReference(previousRecords)
 	{
-		console.log(`[DotNetBinaryReader] Reading MemberReference record starting at position ${ this.position }`);
+		this.logger.trace(`[DotNetBinaryReader] Reading MemberReference record starting at position ${ this.position }`);
+
+		// Note: Violations point at the IdRef rather than the start of the record, as the record this is
+		//	nested in can hold any number of MemberReferences
+		const idRefPosition = this.position;
 
 		const record =
 		{
 			RecordTypeEnum: DotNetBinaryReader.RecordTypeEnumeration.MemberReference,
-			IdRef: this.readInt32(),
+			IdRef: this.readInt32("IdRef"),
 		};
 
-		assert(record.IdRef >= 0, "MemberReference IdRef MUST be a positive integer.");
+		this.#validate(record.IdRef > 0, "ObjectIdPositive", `MemberReference IdRef ${ record.IdRef } MUST be a positive integer.`, this.#recordIndex, idRefPosition);
 		
-		// TODO: Something for this requirement:
-		//
-		// A Class, Array, or BinaryObjectString record MUST exist in the serialization stream with the
-		// value as its ObjectId. Unlike other ID references, there is no restriction on where the record
-		// that defines the ID appears in the serialization stream; that is, it MAY appear after the
-		// referencing record.<9>
+		// Note: The record with this ObjectId MAY appear after this record, so these are resolved once the
+		//	whole stream has been read
+		this.#memberReferences.push(
+			{
+				IdRef: record.IdRef,
+				recordIndex: this.#recordIndex,
+				position: idRefPosition,
+			});
+
+		return record;
+	}
+
+	/**
+	 * Reads an ObjectNull record.
+	 * 
+	 * @param {Array} previousRecords An array of records read before this one.
+	 * @returns {ObjectNull}
+	 * @author Loren Goodwin
+	 * @see https://winprotocoldoc.blob.core.windows.net/productionwindowsarchives/MS-NRBF/[MS-NRBF].pdf#%5B%7B%22num%22%3A131%2C%22gen%22%3A0%7D%2C%7B%22name%22%3A%22XYZ%22%7D%2C69%2C525%2C0%5D
+	 */
+	#readObjectNull(previousRecords)
+	{
+		this.logger.trace(`[DotNetBinaryReader] Reading ObjectNull record starting at position ${ this.position }`);
+
+		const record =
+		{
+			RecordTypeEnum: DotNetBinaryReader.RecordTypeEnumeration.ObjectNull,
+		};
+
+		return record;
+	}
+
+	/**
+	 * Reads an ObjectNullMultiple record.
+	 * 
+	 * @param {Array} previousRecords An array of records read before this one.
+	 * @returns {ObjectNullMultiple}
+	 * @author Loren Goodwin
+	 * @see https://winprotocoldoc.blob.core.windows.net/productionwindowsarchives/MS-NRBF/[MS-NRBF].pdf#%5B%7B%22num%22%3A131%2C%22gen%22%3A0%7D%2C%7B%22name%22%3A%22XYZ%22%7D%2C69%2C360%2C0%5D
+	 */
+	#readObjectNullMultiple(previousRecords)
+	{
+		this.logger.trace(`[DotNetBinaryReader] Reading ObjectNullMultiple record starting at position ${ this.position }`);
+
+		const record =
+		{
+			RecordTypeEnum: DotNetBinaryReader.RecordTypeEnumeration.ObjectNullMultiple,
+
+			NullCount: this.readInt32("NullCount"),
+		};
+
+		this.#validate(record.NullCount > 0, "NullCountPositive", `Invalid ObjectNullMultiple NullCount: ${ record.NullCount } (MUST be a positive integer)`);
+
+		return record;
+	}
+
+	/**
+	 * Reads an ObjectNullMultiple256 record.
+	 * 
+	 * @param {Array} previousRecords An array of records read before this one.
+	 * @returns {ObjectNullMultiple256}
+	 * @author Loren Goodwin
+	 * @see https://winprotocoldoc.blob.core.windows.net/productionwindowsarchives/MS-NRBF/[MS-NRBF].pdf#%5B%7B%22num%22%3A131%2C%22gen%22%3A0%7D%2C%7B%22name%22%3A%22XYZ%22%7D%2C69%2C195%2C0%5D
+	 */
+	#readObjectNullMultiple256(previousRecords)
+	{
+		this.logger.trace(`[DotNetBinaryReader] Reading ObjectNullMultiple256 record starting at position ${ this.position }`);
+
+		const record =
+		{
+			RecordTypeEnum: DotNetBinaryReader.RecordTypeEnumeration.ObjectNullMultiple256,
+
+			NullCount: this.readUInt8("NullCount"),
+		};
 
 		return record;
 	}
@@ -855,27 +2172,79 @@ export class DotNetBinaryReader extends BinaryReader
 	 */
 	#readSerializationHeader(previousRecords)
 	{
-		console.log(`[DotNetBinaryReader] Reading SerializationHeader record starting at position ${ this.position }`);
+		this.logger.trace(`[DotNetBinaryReader] Reading SerializationHeader record starting at position ${ this.position }`);
 		
 		const record =
 		{
 			RecordTypeEnum: DotNetBinaryReader.RecordTypeEnumeration.SerializedStreamHeader,
 
-			RootId: this.readInt32(),
-			HeaderId: this.readInt32(),
-			MajorVersion: this.readInt32(),
-			MinorVersion: this.readInt32(),
+			RootId: this.readInt32("RootId"),
+			HeaderId: this.readInt32("HeaderId"),
+			MajorVersion: this.readInt32("MajorVersion"),
+			MinorVersion: this.readInt32("MinorVersion"),
 		};
 
-		// TODO: Validate RootId
-		//	See https://winprotocoldoc.blob.core.windows.net/productionwindowsarchives/MS-NRBF/[MS-NRBF].pdf#%5B%7B%22num%22%3A136%2C%22gen%22%3A0%7D%2C%7B%22name%22%3A%22XYZ%22%7D%2C69%2C431%2C0%5D
+		this.#validate(previousRecords.length == 0, "SerializationHeaderFirst", "SerializationHeader MUST be the first record in the stream.");
 
-		// TODO: Validate HeaderId
-		// 	See https://winprotocoldoc.blob.core.windows.net/productionwindowsarchives/MS-NRBF/[MS-NRBF].pdf#%5B%7B%22num%22%3A136%2C%22gen%22%3A0%7D%2C%7B%22name%22%3A%22XYZ%22%7D%2C69%2C431%2C0%5D
+		// Note: RootId and HeaderId can refer to records after this one, so they are validated once the
+		//	whole stream has been read
+		//	See https://winprotocoldoc.blob.core.windows.net/productionwindowsarchives/MS-NRBF/[MS-NRBF].pdf#%5B%7B%22num%22%3A136%2C%22gen%22%3A0%7D%2C%7B%22name%22%3A%22XYZ%22%7D%2C69%2C431%2C0%5D
 		
-		assert(record.MajorVersion == 1, `Invalid serialized stream header major version: ${ record.MajorVersion }`);
+		this.#validate(record.MajorVersion == 1, "HeaderVersion", `Invalid SerializedStreamHeader MajorVersion: ${ record.MajorVersion } (MUST be 1)`);
+
+		this.#validate(record.MinorVersion == 0, "HeaderVersion", `Invalid SerializedStreamHeader MinorVersion: ${ record.MinorVersion } (MUST be 0)`);
+
+		return record;
+	}
+
+	/**
+	 * Reads a SystemClassWithMembers record.
+	 * 
+	 * @param {Array} previousRecords An array of records read before this one.
+	 * @returns {SystemClassWithMembers}
+	 * @author Loren Goodwin
+	 * @see https://winprotocoldoc.blob.core.windows.net/productionwindowsarchives/MS-NRBF/[MS-NRBF].pdf#%5B%7B%22num%22%3A103%2C%22gen%22%3A0%7D%2C%7B%22name%22%3A%22XYZ%22%7D%2C69%2C616%2C0%5D
+	 */
+	#readSystemClassWithMembers(previousRecords)
+	{
+		this.logger.trace(`[DotNetBinaryReader] Reading SystemClassWithMembers record starting at position ${ this.position }`);
+
+		const record = {};
+
+		record.RecordTypeEnum = DotNetBinaryReader.RecordTypeEnumeration.SystemClassWithMembers;
+
+		record.ClassInfo = this.#annotateGroup("ClassInfo", () => this.#readClassInfo());
+
+		this.#addClassRecord(record);
+
+		record.MemberValues = this.#readClassMemberValues(record, previousRecords);
+
+		return record;
+	}
+
+	/**
+	 * Reads a SystemClassWithMembersAndTypes record.
+	 * 
+	 * @param {Array} previousRecords An array of records read before this one.
+	 * @returns {SystemClassWithMembersAndTypes}
+	 * @author Loren Goodwin
+	 * @see https://winprotocoldoc.blob.core.windows.net/productionwindowsarchives/MS-NRBF/[MS-NRBF].pdf#%5B%7B%22num%22%3A103%2C%22gen%22%3A0%7D%2C%7B%22name%22%3A%22XYZ%22%7D%2C69%2C722%2C0%5D
+	 */
+	#readSystemClassWithMembersAndTypes(previousRecords)
+	{
+		this.logger.trace(`[DotNetBinaryReader] Reading SystemClassWithMembersAndTypes record starting at position ${ this.position }`);
+
+		const record = {};
+
+		record.RecordTypeEnum = DotNetBinaryReader.RecordTypeEnumeration.SystemClassWithMembersAndTypes;
+
+		record.ClassInfo = this.#annotateGroup("ClassInfo", () => this.#readClassInfo());
+
+		record.MemberTypeInfo = this.#annotateGroup("MemberTypeInfo", () => this.#readMemberTypeInfo(record.ClassInfo));
+
+		this.#addClassRecord(record);
 
-		assert(record.MinorVersion == 0, `Invalid SerializedStreamHeader MinorVersion: ${ record.MinorVersion }`);
+		record.MemberValues = this.#readClassMemberValues(record, previousRecords);
 
 		return record;
 	}
@@ -0,0 +1,840 @@
+//
+// Imports
+//
+
+import { BinaryWriter } from "./BinaryWriter.js";
+import { DotNetBinaryReader } from "./DotNetBinaryReader.js";
+
+//
+// Exports
+//
+
+/**
+ * A binary writer with additional functions specific to Microsoft .NET BinaryFormatter files.
+ * 
+ * This is the counterpart to DotNetBinaryReader. It writes the records in the same shape that
+ * DotNetBinaryReader.read() returns them, so that reading a file and writing its records back
+ * produces the same bytes.
+ */
+export class DotNetBinaryWriter extends BinaryWriter
+{
+	/**
+	 * @type {import("node:fs")}
+	 */
+	static #fs = null;
+
+	/**
+	 * The encoder used for LengthPrefixedStrings and Chars, both of which are UTF-8 encoded.
+	 * 
+	 * @type {TextEncoder}
+	 */
+	static #textEncoder = new TextEncoder();
+
+	/**
+	 * Every class record written so far that defines its own metadata, keyed by ObjectId.
+	 * 
+	 * Used to find the metadata for ClassWithId records.
+	 * 
+	 * @type {Map<Number, Object>}
+	 */
+	#classRecords = new Map();
+
+	/**
+	 * Gets the number of days between 0001-01-01 and a date in the proleptic Gregorian calendar.
+	 * 
+	 * @param {Number} year
+	 * @param {Number} month From 1 to 12.
+	 * @param {Number} day From 1 to 31.
+	 * @returns {Number}
+	 * @author Loren Goodwin
+	 * @see https://howardhinnant.github.io/date_algorithms.html#days_from_civil
+	 */
+	static #getDayNumber(year, month, day)
+	{
+		// Note: The algorithm counts years from March, so that the leap day is the last day of its year
+		const yearSinceMarch = month <= 2 ? year - 1 : year;
+
+		const era = Math.floor(yearSinceMarch / 400);
+		const yearOfEra = yearSinceMarch - era * 400;
+		const dayOfYear = Math.floor((153 * (month > 2 ? month - 3 : month + 9) + 2) / 5) + day - 1;
+		const dayOfEra = yearOfEra * 365 + Math.floor(yearOfEra / 4) - Math.floor(yearOfEra / 100) + dayOfYear;
+
+		return era * 146097 + dayOfEra - 306;
+	}
+
+	/**
+	 * Writes a Microsoft .NET BinaryFormatter file to the disk.
+	 * 
+	 * Only works in Node.js.
+	 * 
+	 * @param {String} path The path to the file.
+	 * @param {Array} records The records to write, in the shape returned by DotNetBinaryReader.read().
+	 * @param {Object} [options]
+	 * @param {import("./Logger.js").Logger} [options.logger] The logger to write progress to.
+	 * @author Loren Goodwin
+	 */
+	static async writeFile(path, records, options = {})
+	{
+		options.logger?.debug(`[DotNetBinaryWriter] Writing to file: ${ path }`);
+
+		if (DotNetBinaryWriter.#fs == null)
+		{
+			DotNetBinaryWriter.#fs = await import("node:fs");
+		}
+
+		const fs = DotNetBinaryWriter.#fs;
+
+		const binaryWriter = new DotNetBinaryWriter();
+
+		binaryWriter.write(records);
+
+		await fs.promises.writeFile(path, new Uint8Array(binaryWriter.toArrayBuffer()));
+	}
+
+	/**
+	 * Writes the given records followed by a MessageEnd record.
+	 * 
+	 * @param {Array} records The records to write, in the shape returned by DotNetBinaryReader.read().
+	 * @author Loren Goodwin
+	 */
+	write(records)
+	{
+		for (const record of records)
+		{
+			this.#writeRecord(record);
+		}
+
+		this.#writeRecord(
+			{
+				RecordTypeEnum: DotNetBinaryReader.RecordTypeEnumeration.MessageEnd,
+			});
+	}
+
+	/**
+	 * Writes a single record of any type, including its leading RecordTypeEnum.
+	 * 
+	 * @param {Object} record
+	 * @author Loren Goodwin
+	 */
+	#writeRecord(record)
+	{
+		for (const binaryLibrary of record.BinaryLibraries ?? [])
+		{
+			this.#writeRecord(binaryLibrary);
+		}
+
+		this.writeInt8(record.RecordTypeEnum);
+
+		switch (record.RecordTypeEnum)
+		{
+			case DotNetBinaryReader.RecordTypeEnumeration.SerializedStreamHeader:
+				return this.#writeSerializationHeader(record);
+
+			case DotNetBinaryReader.RecordTypeEnumeration.ClassWithId:
+				return this.#writeClassWithId(record);
+
+			case DotNetBinaryReader.RecordTypeEnumeration.SystemClassWithMembers:
+				return this.#writeSystemClassWithMembers(record);
+
+			case DotNetBinaryReader.RecordTypeEnumeration.ClassWithMembers:
+				return this.#writeClassWithMembers(record);
+
+			case DotNetBinaryReader.RecordTypeEnumeration.SystemClassWithMembersAndTypes:
+				return this.#writeSystemClassWithMembersAndTypes(record);
+
+			case DotNetBinaryReader.RecordTypeEnumeration.ClassWithMembersAndTypes:
+				return this.#writeClassWithMembersAndTypes(record);
+
+			case DotNetBinaryReader.RecordTypeEnumeration.BinaryObjectString:
+				return this.#writeBinaryObjectString(record);
+
+			case DotNetBinaryReader.RecordTypeEnumeration.BinaryArray:
+				return this.#writeBinaryArray(record);
+
+			case DotNetBinaryReader.RecordTypeEnumeration.MemberPrimitiveTyped:
+				return this.#writeMemberPrimitiveTyped(record);
+
+			case DotNetBinaryReader.RecordTypeEnumeration.MemberReference:
+				return this.#writeMemberReference(record);
+
+			case DotNetBinaryReader.RecordTypeEnumeration.ObjectNull:
+				return;
+
+			case DotNetBinaryReader.RecordTypeEnumeration.MessageEnd:
+				return;
+
+			case DotNetBinaryReader.RecordTypeEnumeration.BinaryLibrary:
+				return this.#writeBinaryLibrary(record);
+
+			case DotNetBinaryReader.RecordTypeEnumeration.ObjectNullMultiple256:
+				return this.#writeObjectNullMultiple256(record);
+
+			case DotNetBinaryReader.RecordTypeEnumeration.ObjectNullMultiple:
+				return this.#writeObjectNullMultiple(record);
+
+			case DotNetBinaryReader.RecordTypeEnumeration.ArraySinglePrimitive:
+				return this.#writeArraySinglePrimitive(record);
+
+			case DotNetBinaryReader.RecordTypeEnumeration.ArraySingleObject:
+			case DotNetBinaryReader.RecordTypeEnumeration.ArraySingleString:
+				return this.#writeArraySingleObjectOrString(record);
+
+			default:
+				throw new TypeError(`Record type not supported: ${ record.RecordTypeEnum }`);
+		}
+	}
+
+	//
+	// Value Functions
+	//
+
+	/**
+	 * Writes the appropriate value type for the given BinaryTypeEnum.
+	 * 
+	 * @param {Number} binaryTypeEnum
+	 * @param {*} additionalInfo
+	 * @author Loren Goodwin
+	 */
+	#writeAdditionalInfo(binaryTypeEnum, additionalInfo)
+	{
+		switch (binaryTypeEnum)
+		{
+			case DotNetBinaryReader.BinaryTypeEnumeration.Primitive:
+			case DotNetBinaryReader.BinaryTypeEnumeration.PrimitiveArray:
+				this.writeInt8(additionalInfo);
+				break;
+
+			case DotNetBinaryReader.BinaryTypeEnumeration.SystemClass:
+				this.#writeLengthPrefixedString(additionalInfo);
+				break;
+
+			case DotNetBinaryReader.BinaryTypeEnumeration.Class:
+				this.#writeLengthPrefixedString(additionalInfo.TypeName);
+				this.writeInt32(additionalInfo.LibraryId);
+				break;
+		}
+	}
+
+	/**
+	 * Writes the element values of an array.
+	 * 
+	 * Multi-dimensional arrays are flattened back into row-major order and any runs of ObjectNull records
+	 * in them are compressed the same way .NET does it, undoing the expansion done by DotNetBinaryReader.
+	 * 
+	 * @param {Array} elementValues
+	 * @param {Number} binaryTypeEnum The BinaryTypeEnum of the elements.
+	 * @param {*} additionalInfo The AdditionalInfo for the BinaryTypeEnum.
+	 * @param {Number} [rank] The number of dimensions in the array.
+	 * @author Loren Goodwin
+	 */
+	#writeArrayElementValues(elementValues, binaryTypeEnum, additionalInfo, rank = 1)
+	{
+		if (rank > 1)
+		{
+			elementValues = elementValues.flat(rank - 1);
+
+			if (binaryTypeEnum != DotNetBinaryReader.BinaryTypeEnumeration.Primitive)
+			{
+				elementValues = this.#compressNullElements(elementValues);
+			}
+		}
+
+		for (const elementValue of elementValues)
+		{
+			if (binaryTypeEnum == DotNetBinaryReader.BinaryTypeEnumeration.Primitive)
+			{
+				this.#writePrimitive(additionalInfo, elementValue);
+			}
+			else
+			{
+				this.#writeRecord(elementValue);
+			}
+		}
+	}
+
+	/**
+	 * Writes a Char.
+	 * 
+	 * @param {String} value
+	 * @author Loren Goodwin
+	 */
+	#writeChar(value)
+	{
+		// Note: A lone surrogate is one code unit, but can't be encoded as UTF-8 and would be replaced with U+FFFD
+		if (typeof value != "string" || value.length != 1 || /[\uD800-\uDFFF]/.test(value))
+		{
+			throw new TypeError(`Invalid Char: ${ value } (MUST be a single UTF-16 code unit that isn't a surrogate)`);
+		}
+
+		this.writeBytes(DotNetBinaryWriter.#textEncoder.encode(value));
+	}
+
+	/**
+	 * Writes class member values according to the given class record's specifications.
+	 * 
+	 * @param {Object} classRecord The class record that defines the metadata for the values.
+	 * @param {Array} memberValues
+	 * @author Loren Goodwin
+	 */
+	#writeClassMemberValues(classRecord, memberValues)
+	{
+		for (let i = 0; i < classRecord.ClassInfo.MemberCount; i++)
+		{
+			if (classRecord.MemberTypeInfo?.BinaryTypeEnums[i] == DotNetBinaryReader.BinaryTypeEnumeration.Primitive)
+			{
+				this.#writePrimitive(classRecord.MemberTypeInfo.AdditionalInfos[i], memberValues[i]);
+			}
+			else
+			{
+				this.#writeRecord(memberValues[i]);
+			}
+		}
+	}
+
+	/**
+	 * Checks that a value is a BigInt, or an integer Number, within the given range.
+	 * 
+	 * Like #checkInteger, but for 64-bit integers, which DataView also silently wraps when they're out of range.
+	 * 
+	 * @param {*} value
+	 * @param {BigInt} minimum
+	 * @param {BigInt} maximum
+	 * @param {String} typeName The name of the primitive type, for the error message.
+	 * @returns {BigInt}
+	 * @author Loren Goodwin
+	 */
+	#checkBigInt(value, minimum, maximum, typeName)
+	{
+		const bigInt = Number.isInteger(value) ? BigInt(value) : value;
+
+		if (typeof bigInt != "bigint" || bigInt < minimum || bigInt > maximum)
+		{
+			throw new TypeError(`Invalid ${ typeName }: ${ value } (MUST be an integer from ${ minimum } to ${ maximum })`);
+		}
+
+		return bigInt;
+	}
+
+	/**
+	 * Checks that a value is an integer within the given range.
+	 * 
+	 * DataView silently wraps or zeroes out-of-range values, which would otherwise hide mistakes in edited files.
+	 * 
+	 * @param {*} value
+	 * @param {Number} minimum
+	 * @param {Number} maximum
+	 * @param {String} typeName The name of the primitive type, for the error message.
+	 * @returns {Number}
+	 * @author Loren Goodwin
+	 */
+	#checkInteger(value, minimum, maximum, typeName)
+	{
+		if (!Number.isInteger(value) || value < minimum || value > maximum)
+		{
+			throw new TypeError(`Invalid ${ typeName }: ${ value } (MUST be an integer from ${ minimum } to ${ maximum })`);
+		}
+
+		return value;
+	}
+
+	/**
+	 * Compresses runs of ObjectNull records into ObjectNullMultiple256 and ObjectNullMultiple records.
+	 * 
+	 * @param {Array} elementValues
+	 * @returns {Array}
+	 * @author Loren Goodwin
+	 */
+	#compressNullElements(elementValues)
+	{
+		const compressedElementValues = [];
+
+		let nullCount = 0;
+
+		const flushNulls = () =>
+		{
+			if (nullCount == 1)
+			{
+				compressedElementValues.push(
+					{
+						RecordTypeEnum: DotNetBinaryReader.RecordTypeEnumeration.ObjectNull,
+					});
+			}
+			else if (nullCount > 1)
+			{
+				compressedElementValues.push(
+					{
+						RecordTypeEnum: nullCount < 256
+							? DotNetBinaryReader.RecordTypeEnumeration.ObjectNullMultiple256
+							: DotNetBinaryReader.RecordTypeEnumeration.ObjectNullMultiple,
+						NullCount: nullCount,
+					});
+			}
+
+			nullCount = 0;
+		};
+
+		for (const elementValue of elementValues)
+		{
+			if (elementValue.RecordTypeEnum == DotNetBinaryReader.RecordTypeEnumeration.ObjectNull)
+			{
+				nullCount += 1;
+
+				continue;
+			}
+
+			flushNulls();
+
+			compressedElementValues.push(elementValue);
+		}
+
+		flushNulls();
+
+		return compressedElementValues;
+	}
+
+	/**
+	 * Writes a DateTime value.
+	 * 
+	 * The date is turned back into ticks with integer arithmetic rather than a Date, so that the five
+	 * digit years DotNetBinaryReader gives for ticks past the year 9999 can be written too.
+	 * 
+	 * @param {{ Kind: Number, Value: String }} value
+	 * @author Loren Goodwin
+	 */
+	#writeDateTime(value)
+	{
+		const match = /^(\d{4,5})-(\d{2})-(\d{2})T(\d{2}):(\d{2}):(\d{2})(?:\.(\d{1,7}))?Z?$/.exec(value.Value);
+
+		if (match == null)
+		{
+			throw new TypeError(`Invalid DateTime: ${ value.Value }`);
+		}
+
+		const [ year, month, day, hours, minutes, seconds ] = match.slice(1, 7).map(Number);
+
+		const isLeapYear = year % 4 == 0 && (year % 100 != 0 || year % 400 == 0);
+
+		const daysInMonth = [ 31, isLeapYear ? 29 : 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31 ][month - 1];
+
+		if (year < 1 || month < 1 || month > 12 || day < 1 || day > daysInMonth || hours > 23 || minutes > 59 || seconds > 59)
+		{
+			throw new TypeError(`Invalid DateTime: ${ value.Value }`);
+		}
+
+		const ticks = ((BigInt(DotNetBinaryWriter.#getDayNumber(year, month, day)) * 24n + BigInt(hours)) * 60n + BigInt(minutes)) * 600000000n +
+			BigInt(seconds) * 10000000n +
+			BigInt((match[7] ?? "").padEnd(7, "0"));
+
+		if (ticks > 0x3FFFFFFFFFFFFFFFn)
+		{
+			throw new TypeError(`Invalid DateTime: ${ value.Value } (MUST fit in 62 bits of ticks)`);
+		}
+
+		const kind = this.#checkInteger(value.Kind, 0, 3, "DateTime Kind");
+
+		this.writeUInt64(ticks | BigInt(kind) << 62n);
+	}
+
+	/**
+	 * Writes a length prefixed string.
+	 * 
+	 * @param {String} value
+	 * @author Loren Goodwin
+	 */
+	#writeLengthPrefixedString(value)
+	{
+		const bytes = DotNetBinaryWriter.#textEncoder.encode(value);
+
+		this.write7BitEncodedInt(bytes.length);
+
+		this.writeBytes(bytes);
+	}
+
+	/**
+	 * Writes a primitive value.
+	 * 
+	 * @param {Number} type The type of primitive to write.
+	 * @param {*} value
+	 * @author Loren Goodwin
+	 */
+	#writePrimitive(type, value)
+	{
+		switch (type)
+		{
+			case DotNetBinaryReader.PrimitiveTypeEnumeration.Boolean:
+				return this.writeInt8(value ? 1 : 0);
+
+			case DotNetBinaryReader.PrimitiveTypeEnumeration.Byte:
+				return this.writeUInt8(this.#checkInteger(value, 0, 255, "Byte"));
+
+			case DotNetBinaryReader.PrimitiveTypeEnumeration.Char:
+				return this.#writeChar(value);
+
+			case DotNetBinaryReader.PrimitiveTypeEnumeration.Decimal:
+				return this.#writeLengthPrefixedString(value);
+
+			case DotNetBinaryReader.PrimitiveTypeEnumeration.Double:
+				return this.writeFloat64(value);
+
+			case DotNetBinaryReader.PrimitiveTypeEnumeration.Int16:
+				return this.writeInt16(this.#checkInteger(value, -32768, 32767, "Int16"));
+
+			case DotNetBinaryReader.PrimitiveTypeEnumeration.Int32:
+				return this.writeInt32(this.#checkInteger(value, -2147483648, 2147483647, "Int32"));
+
+			case DotNetBinaryReader.PrimitiveTypeEnumeration.Int64:
+				return this.writeInt64(this.#checkBigInt(value, -0x8000000000000000n, 0x7FFFFFFFFFFFFFFFn, "Int64"));
+
+			case DotNetBinaryReader.PrimitiveTypeEnumeration.SByte:
+				return this.writeInt8(this.#checkInteger(value, -128, 127, "SByte"));
+
+			case DotNetBinaryReader.PrimitiveTypeEnumeration.Single:
+				return this.writeFloat32(value);
+
+			case DotNetBinaryReader.PrimitiveTypeEnumeration.TimeSpan:
+				return this.#writeTimeSpan(value);
+
+			case DotNetBinaryReader.PrimitiveTypeEnumeration.DateTime:
+				return this.#writeDateTime(value);
+
+			case DotNetBinaryReader.PrimitiveTypeEnumeration.UInt16:
+				return this.writeUInt16(this.#checkInteger(value, 0, 65535, "UInt16"));
+
+			case DotNetBinaryReader.PrimitiveTypeEnumeration.UInt32:
+				return this.writeUInt32(this.#checkInteger(value, 0, 4294967295, "UInt32"));
+
+			case DotNetBinaryReader.PrimitiveTypeEnumeration.UInt64:
+				return this.writeUInt64(this.#checkBigInt(value, 0n, 0xFFFFFFFFFFFFFFFFn, "UInt64"));
+
+			// Note: A Null has no bytes, and is only read from streams that break the PrimitiveTypeValid rule
+			case DotNetBinaryReader.PrimitiveTypeEnumeration.Null:
+				return;
+
+			case DotNetBinaryReader.PrimitiveTypeEnumeration.String:
+				return this.#writeLengthPrefixedString(value);
+
+			default:
+				throw new TypeError(`Invalid primitive type: ${ type }`);
+		}
+	}
+
+	/**
+	 * Writes a TimeSpan value.
+	 * 
+	 * @param {String} value A TimeSpan in the format [-][d.]hh:mm:ss[.fffffff].
+	 * @author Loren Goodwin
+	 */
+	#writeTimeSpan(value)
+	{
+		const match = /^(-)?(?:(\d+)\.)?(\d{2}):(\d{2}):(\d{2})(?:\.(\d{1,7}))?$/.exec(value);
+
+		if (match == null)
+		{
+			throw new TypeError(`Invalid TimeSpan: ${ value }`);
+		}
+
+		const ticks = BigInt(match[2] ?? 0) * 864000000000n +
+			BigInt(match[3]) * 36000000000n +
+			BigInt(match[4]) * 600000000n +
+			BigInt(match[5]) * 10000000n +
+			BigInt((match[6] ?? "").padEnd(7, "0"));
+
+		this.writeInt64(match[1] == "-" ? -ticks : ticks);
+	}
+
+	//
+	// Structure Functions
+	//
+
+	/**
+	 * Writes an ArrayInfo structure.
+	 * 
+	 * @param {ArrayInfo} arrayInfo
+	 * @author Loren Goodwin
+	 */
+	#writeArrayInfo(arrayInfo)
+	{
+		this.writeInt32(arrayInfo.ObjectId);
+		this.writeInt32(arrayInfo.Length);
+	}
+
+	/**
+	 * Writes a ClassInfo structure.
+	 * 
+	 * @param {ClassInfo} classInfo
+	 * @author Loren Goodwin
+	 */
+	#writeClassInfo(classInfo)
+	{
+		this.writeInt32(classInfo.ObjectId);
+
+		this.#writeLengthPrefixedString(classInfo.Name);
+
+		this.writeInt32(classInfo.MemberCount);
+
+		for (const memberName of classInfo.MemberNames)
+		{
+			this.#writeLengthPrefixedString(memberName);
+		}
+	}
+
+	/**
+	 * Writes a MemberTypeInfo structure.
+	 * 
+	 * @param {MemberTypeInfo} memberTypeInfo
+	 * @author Loren Goodwin
+	 */
+	#writeMemberTypeInfo(memberTypeInfo)
+	{
+		for (const binaryTypeEnum of memberTypeInfo.BinaryTypeEnums)
+		{
+			this.writeUInt8(binaryTypeEnum);
+		}
+
+		for (const [ index, additionalInfo ] of memberTypeInfo.AdditionalInfos.entries())
+		{
+			this.#writeAdditionalInfo(memberTypeInfo.BinaryTypeEnums[index], additionalInfo);
+		}
+	}
+
+	//
+	// Record Functions
+	//
+
+	/**
+	 * Writes an ArraySinglePrimitive record.
+	 * 
+	 * @param {ArraySinglePrimitive} record
+	 * @author Loren Goodwin
+	 */
+	#writeArraySinglePrimitive(record)
+	{
+		this.#writeArrayInfo(record.ArrayInfo);
+
+		this.writeInt8(record.PrimitiveTypeEnum);
+
+		this.#writeArrayElementValues(record.ElementValues, DotNetBinaryReader.BinaryTypeEnumeration.Primitive, record.PrimitiveTypeEnum);
+	}
+
+	/**
+	 * Writes an ArraySingleObject or ArraySingleString record.
+	 * 
+	 * Both records have the same layout, with each element written as a record of its own.
+	 * 
+	 * @param {ArraySingleObject|ArraySingleString} record
+	 * @author Loren Goodwin
+	 */
+	#writeArraySingleObjectOrString(record)
+	{
+		this.#writeArrayInfo(record.ArrayInfo);
+
+		this.#writeArrayElementValues(record.ElementValues, DotNetBinaryReader.BinaryTypeEnumeration.Object, null);
+	}
+
+	/**
+	 * Writes a BinaryArray record.
+	 * 
+	 * @param {BinaryArray} record
+	 * @author Loren Goodwin
+	 */
+	#writeBinaryArray(record)
+	{
+		this.writeInt32(record.ObjectId);
+
+		this.writeInt8(record.BinaryArrayTypeEnum);
+
+		this.writeInt32(record.Rank);
+
+		for (const length of record.Lengths)
+		{
+			this.writeInt32(length);
+		}
+
+		for (const lowerBound of record.LowerBounds ?? [])
+		{
+			this.writeInt32(lowerBound);
+		}
+
+		this.writeInt8(record.TypeEnum);
+
+		this.#writeAdditionalInfo(record.TypeEnum, record.AdditionalTypeInfo);
+
+		this.#writeArrayElementValues(record.ElementValues, record.TypeEnum, record.AdditionalTypeInfo, record.Rank);
+	}
+
+	/**
+	 * Writes a BinaryLibrary record.
+	 * 
+	 * @param {BinaryLibrary} record
+	 * @author Loren Goodwin
+	 */
+	#writeBinaryLibrary(record)
+	{
+		this.writeUInt32(record.LibraryId);
+
+		this.#writeLengthPrefixedString(record.LibraryName);
+	}
+
+	/**
+	 * Writes a BinaryObjectString record.
+	 * 
+	 * @param {BinaryObjectString} record
+	 * @author Loren Goodwin
+	 */
+	#writeBinaryObjectString(record)
+	{
+		this.writeInt32(record.ObjectId);
+
+		this.#writeLengthPrefixedString(record.Value);
+	}
+
+	/**
+	 * Writes a ClassWithId record.
+	 * 
+	 * @param {ClassWithId} record
+	 * @author Loren Goodwin
+	 */
+	#writeClassWithId(record)
+	{
+		this.writeInt32(record.ObjectId);
+
+		this.writeInt32(record.MetadataId);
+
+		const classRecord = this.#classRecords.get(record.MetadataId);
+
+		if (classRecord == null)
+		{
+			throw new Error(`ClassWithId MetadataId refers to a class record that was not written before it: ${ record.MetadataId }`);
+		}
+
+		this.#writeClassMemberValues(classRecord, record.MemberValues);
+	}
+
+	/**
+	 * Writes a ClassWithMembers record.
+	 * 
+	 * @param {ClassWithMembers} record
+	 * @author Loren Goodwin
+	 */
+	#writeClassWithMembers(record)
+	{
+		this.#writeClassInfo(record.ClassInfo);
+
+		this.writeUInt32(record.LibraryId);
+
+		this.#classRecords.set(record.ClassInfo.ObjectId, record);
+
+		this.#writeClassMemberValues(record, record.MemberValues);
+	}
+
+	/**
+	 * Writes a ClassWithMembersAndTypes record.
+	 * 
+	 * @param {ClassWithMembersAndTypes} record
+	 * @author Loren Goodwin
+	 */
+	#writeClassWithMembersAndTypes(record)
+	{
+		this.#writeClassInfo(record.ClassInfo);
+
+		this.#writeMemberTypeInfo(record.MemberTypeInfo);
+
+		this.writeUInt32(record.LibraryId);
+
+		this.#classRecords.set(record.ClassInfo.ObjectId, record);
+
+		this.#writeClassMemberValues(record, record.MemberValues);
+	}
+
+	/**
+	 * Writes a MemberPrimitiveTyped record.
+	 * 
+	 * @param {MemberPrimitiveTyped} record
+	 * @author Loren Goodwin
+	 */
+	#writeMemberPrimitiveTyped(record)
+	{
+		this.writeUInt8(record.PrimitiveTypeEnum);
+
+		this.#writePrimitive(record.PrimitiveTypeEnum, record.Value);
+	}
+
+	/**
+	 * Writes a MemberReference record.
+	 * 
+	 * @param {MemberReference} record
+	 * @author Loren Goodwin
+	 */
+	#writeMemberReference(record)
+	{
+		this.writeInt32(record.IdRef);
+	}
+
+	/**
+	 * Writes an ObjectNullMultiple record.
+	 * 
+	 * @param {ObjectNullMultiple} record
+	 * @author Loren Goodwin
+	 */
+	#writeObjectNullMultiple(record)
+	{
+		this.writeInt32(record.NullCount);
+	}
+
+	/**
+	 * Writes an ObjectNullMultiple256 record.
+	 * 
+	 * @param {ObjectNullMultiple256} record
+	 * @author Loren Goodwin
+	 */
+	#writeObjectNullMultiple256(record)
+	{
+		this.writeUInt8(record.NullCount);
+	}
+
+	/**
+	 * Writes a SerializationHeader record.
+	 * 
+	 * @param {SerializationHeaderRecord} record
+	 * @author Loren Goodwin
+	 */
+	#writeSerializationHeader(record)
+	{
+		this.writeInt32(record.RootId);
+		this.writeInt32(record.HeaderId);
+		this.writeInt32(record.MajorVersion);
+		this.writeInt32(record.MinorVersion);
+	}
+
+	/**
+	 * Writes a SystemClassWithMembers record.
+	 * 
+	 * @param {SystemClassWithMembers} record
+	 * @author Loren Goodwin
+	 */
+	#writeSystemClassWithMembers(record)
+	{
+		this.#writeClassInfo(record.ClassInfo);
+
+		this.#classRecords.set(record.ClassInfo.ObjectId, record);
+
+		this.#writeClassMemberValues(record, record.MemberValues);
+	}
+
+	/**
+	 * Writes a SystemClassWithMembersAndTypes record.
+	 * 
+	 * @param {SystemClassWithMembersAndTypes} record
+	 * @author Loren Goodwin
+	 */
+	#writeSystemClassWithMembersAndTypes(record)
+	{
+		this.#writeClassInfo(record.ClassInfo);
+
+		this.#writeMemberTypeInfo(record.MemberTypeInfo);
+
+		this.#classRecords.set(record.ClassInfo.ObjectId, record);
+
+		this.#writeClassMemberValues(record, record.MemberValues);
+	}
+}
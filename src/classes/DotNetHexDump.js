@@ -0,0 +1,211 @@
+//
+// Exports
+//
+
+/**
+ * Converts the annotations collected by a DotNetBinaryReader into an annotated hex dump.
+ * 
+ * Every record, structure and field is listed on a line of its own with its offset, its length and
+ * its raw bytes, indented to show what it belongs to. This makes it possible to see exactly which
+ * bytes of a file make up each value without counting offsets by hand.
+ * 
+ * For example:
+ * 
+ * ```
+ * Offset    Length  Bytes                                            Field
+ * 00000000      17                                                   SerializedStreamHeader record
+ * 00000000       1  00                                                 RecordTypeEnum = 0
+ * 00000001       4  01 00 00 00                                        RootId = 1
+ * ```
+ */
+export class DotNetHexDump
+{
+	/**
+	 * The number of bytes shown on each line.
+	 * 
+	 * @type {Number}
+	 */
+	static #bytesPerLine = 16;
+
+	/**
+	 * Converts annotations into an annotated hex dump.
+	 * 
+	 * @param {import("./DotNetBinaryReader.js").DotNetBinaryReaderAnnotation[]} annotations The annotations of a DotNetBinaryReader that read the data with annotate set.
+	 * @param {ArrayBuffer|ArrayBufferView} data The data that was read.
+	 * @returns {String}
+	 * @author Loren Goodwin
+	 */
+	static stringify(annotations, data)
+	{
+		const bytes = ArrayBuffer.isView(data)
+			? new Uint8Array(data.buffer, data.byteOffset, data.byteLength)
+			: new Uint8Array(data);
+
+		const lines =
+		[
+			DotNetHexDump.#formatLine("Offset", "Length", "Bytes", "Field"),
+		];
+
+		for (const annotation of annotations)
+		{
+			DotNetHexDump.#addAnnotationLines(lines, annotation, bytes, 0);
+		}
+
+		const end = annotations.length > 0
+			? annotations.at(-1).start + annotations.at(-1).length
+			: 0;
+
+		if (end < bytes.length)
+		{
+			DotNetHexDump.#addAnnotationLines(lines,
+				{
+					field: "Unread bytes",
+					start: end,
+					length: bytes.length - end,
+				}, bytes, 0);
+		}
+
+		return lines.join("\n") + "\n";
+	}
+
+	/**
+	 * Adds the lines for an annotation and everything it's made up of.
+	 * 
+	 * @param {String[]} lines
+	 * @param {import("./DotNetBinaryReader.js").DotNetBinaryReaderAnnotation} annotation
+	 * @param {Uint8Array} bytes
+	 * @param {Number} depth How many records and structures the annotation is nested in.
+	 * @author Loren Goodwin
+	 */
+	static #addAnnotationLines(lines, annotation, bytes, depth)
+	{
+		let field = annotation.field;
+
+		// Note: Member values and array elements that are records of their own are shown on the same line
+		//	as the record, rather than as a group holding nothing but the record
+		while (annotation.children?.length == 1 &&
+			annotation.children[0].children != null &&
+			annotation.children[0].start == annotation.start &&
+			annotation.children[0].length == annotation.length)
+		{
+			annotation = annotation.children[0];
+
+			field += `: ${ annotation.field }`;
+		}
+
+		const indent = "  ".repeat(depth);
+
+		if (annotation.children != null)
+		{
+			lines.push(DotNetHexDump.#formatLine(
+				DotNetHexDump.#formatOffset(annotation.start),
+				String(annotation.length),
+				"",
+				indent + field));
+
+			for (const child of annotation.children)
+			{
+				DotNetHexDump.#addAnnotationLines(lines, child, bytes, depth + 1);
+			}
+
+			return;
+		}
+
+		const value = DotNetHexDump.#formatValue(annotation.value);
+
+		const label = value != null
+			? `${ field } = ${ value }`
+			: field;
+
+		const hexLines = [];
+
+		for (let offset = 0; offset < annotation.length; offset += DotNetHexDump.#bytesPerLine)
+		{
+			const start = annotation.start + offset;
+
+			const end = Math.min(start + DotNetHexDump.#bytesPerLine, annotation.start + annotation.length);
+
+			hexLines.push(
+				{
+					start,
+					hex: Array.from(bytes.subarray(start, end), (byte) => byte.toString(16).toUpperCase().padStart(2, "0")).join(" "),
+				});
+		}
+
+		if (hexLines.length == 0)
+		{
+			hexLines.push({ start: annotation.start, hex: "" });
+		}
+
+		for (const [ index, hexLine ] of hexLines.entries())
+		{
+			lines.push(DotNetHexDump.#formatLine(
+				DotNetHexDump.#formatOffset(hexLine.start),
+				index == 0 ? String(annotation.length) : "",
+				hexLine.hex,
+				index == 0 ? indent + label : ""));
+		}
+	}
+
+	/**
+	 * Formats the columns of a line.
+	 * 
+	 * @param {String} offset
+	 * @param {String} length
+	 * @param {String} hex
+	 * @param {String} field
+	 * @returns {String}
+	 * @author Loren Goodwin
+	 */
+	static #formatLine(offset, length, hex, field)
+	{
+		const line = offset.padEnd(8) + "  " +
+			length.padStart(6) + "  " +
+			hex.padEnd(DotNetHexDump.#bytesPerLine * 3 - 1) + "  " +
+			field;
+
+		return line.trimEnd();
+	}
+
+	/**
+	 * Formats an offset as 8 hexadecimal digits.
+	 * 
+	 * @param {Number} offset
+	 * @returns {String}
+	 * @author Loren Goodwin
+	 */
+	static #formatOffset(offset)
+	{
+		return offset.toString(16).toUpperCase().padStart(8, "0");
+	}
+
+	/**
+	 * Formats the value of a field, if it's one that can be shown on a single line.
+	 * 
+	 * @param {*} value
+	 * @returns {String|null}
+	 * @author Loren Goodwin
+	 */
+	static #formatValue(value)
+	{
+		switch (typeof value)
+		{
+			case "undefined":
+				return null;
+
+			case "string":
+				return JSON.stringify(value);
+
+			case "bigint":
+			case "number":
+			case "boolean":
+				return String(value);
+
+			default:
+				// Note: Raw bytes are already shown in full, so they aren't repeated
+				return value == null || value instanceof Uint8Array
+					? null
+					: JSON.stringify(value);
+		}
+	}
+}
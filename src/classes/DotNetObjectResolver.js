@@ -0,0 +1,388 @@
+//
+// Imports
+//
+
+import { DotNetBinaryReader } from "./DotNetBinaryReader.js";
+
+//
+// Exports
+//
+
+/**
+ * A class for resolving the flat list of records read by a DotNetBinaryReader into a tree of plain objects.
+ * 
+ * Class records become objects keyed by their member names, with the class name under "$type". Arrays
+ * become arrays, strings become strings and nulls become null.
+ * 
+ * An object that is referenced from more than one place (including cycles) is only written out in full the
+ * first time it is encountered, with an "$id" property. Every later occurrence is written as { "$ref": id }
+ * instead. Arrays that need an "$id" are wrapped as { "$id": id, "$values": [ ... ] }.
+ * 
+ * The indexes built to do this are public, so that other views of the records can look up records and
+ * follow references the same way.
+ * 
+ * The tree itself is only for use as a library, such as from a script of your own, and isn't dumped by
+ * any command. It leaves out the member types and class metadata needed to write the records back, which
+ * the semantic view keeps.
+ */
+export class DotNetObjectResolver
+{
+	/**
+	 * The records to resolve.
+	 * 
+	 * @type {Array}
+	 */
+	records;
+
+	/**
+	 * The ObjectId of the root object, from the SerializationHeader.
+	 * 
+	 * @type {Number}
+	 */
+	rootId;
+
+	/**
+	 * Every record with an ObjectId, including those nested in other records, keyed by ObjectId.
+	 * 
+	 * @type {Map<Number, Object>}
+	 */
+	#recordsByObjectId = new Map();
+
+	/**
+	 * Every class record that defines its own metadata, keyed by ObjectId.
+	 * 
+	 * @type {Map<Number, Object>}
+	 */
+	#classRecordsByObjectId = new Map();
+
+	/**
+	 * The name of every BinaryLibrary, keyed by LibraryId.
+	 * 
+	 * @type {Map<Number, String>}
+	 */
+	#libraryNames = new Map();
+
+	/**
+	 * The number of places each ObjectId is used as a value, keyed by ObjectId.
+	 * 
+	 * @type {Map<Number, Number>}
+	 */
+	#referenceCounts = new Map();
+
+	/**
+	 * The ObjectIds that have already been written out in full.
+	 * 
+	 * @type {Set<Number>}
+	 */
+	#resolvedObjectIds = new Set();
+
+	/**
+	 * Constructs a new DotNetObjectResolver.
+	 * 
+	 * @param {Array} records The records returned by DotNetBinaryReader.read().
+	 * @author Loren Goodwin
+	 */
+	constructor(records)
+	{
+		this.records = records;
+
+		const header = records.find((record) => record.RecordTypeEnum == DotNetBinaryReader.RecordTypeEnumeration.SerializedStreamHeader);
+
+		if (header == null)
+		{
+			throw new Error("Cannot resolve records without a SerializationHeader record.");
+		}
+
+		this.rootId = header.RootId;
+
+		this.#referenceCounts.set(this.rootId, 1);
+
+		for (const record of records)
+		{
+			this.#indexRecord(record, false);
+		}
+	}
+
+	/**
+	 * Resolves the records into a tree, starting from the root object named in the SerializationHeader.
+	 * 
+	 * @returns {*}
+	 * @author Loren Goodwin
+	 */
+	resolve()
+	{
+		this.#resolvedObjectIds.clear();
+
+		return this.#resolveValue(this.getRecord(this.rootId));
+	}
+
+	/**
+	 * Gets the record with an ObjectId.
+	 * 
+	 * @param {Number} objectId
+	 * @returns {Object}
+	 * @author Loren Goodwin
+	 */
+	getRecord(objectId)
+	{
+		const record = this.#recordsByObjectId.get(objectId);
+
+		if (record == null)
+		{
+			throw new Error(`No record has the referenced ObjectId: ${ objectId }`);
+		}
+
+		return record;
+	}
+
+	/**
+	 * Gets the record a member or element value refers to, following a MemberReference if needed.
+	 * 
+	 * @param {*} value
+	 * @returns {Object|undefined} The record, or undefined if the value isn't a record with an ObjectId or a reference to one.
+	 * @author Loren Goodwin
+	 */
+	getReferencedRecord(value)
+	{
+		if (value?.RecordTypeEnum == DotNetBinaryReader.RecordTypeEnumeration.MemberReference)
+		{
+			return this.#recordsByObjectId.get(value.IdRef);
+		}
+
+		return DotNetBinaryReader.getObjectId(value) != null ? value : undefined;
+	}
+
+	/**
+	 * Gets the record that defines the metadata of a class record.
+	 * 
+	 * @param {Object} record Any kind of class record.
+	 * @returns {Object} The record itself, or for a ClassWithId, the record its MetadataId refers to.
+	 * @author Loren Goodwin
+	 */
+	getClassRecord(record)
+	{
+		if (record.RecordTypeEnum != DotNetBinaryReader.RecordTypeEnumeration.ClassWithId)
+		{
+			return record;
+		}
+
+		const classRecord = this.#classRecordsByObjectId.get(record.MetadataId);
+
+		if (classRecord == null)
+		{
+			throw new Error(`ClassWithId MetadataId refers to a class record that does not exist: ${ record.MetadataId }`);
+		}
+
+		return classRecord;
+	}
+
+	/**
+	 * Gets the name of a BinaryLibrary.
+	 * 
+	 * @param {Number} libraryId
+	 * @returns {String}
+	 * @author Loren Goodwin
+	 */
+	getLibraryName(libraryId)
+	{
+		const libraryName = this.#libraryNames.get(libraryId);
+
+		if (libraryName == null)
+		{
+			throw new Error(`No BinaryLibrary record has the referenced LibraryId: ${ libraryId }`);
+		}
+
+		return libraryName;
+	}
+
+	/**
+	 * Gets the number of places an object is used as a value, counting the root as used once.
+	 * 
+	 * An object used in more than one place is shared, and has to be written out once and referred to everywhere else.
+	 * 
+	 * @param {Number} objectId
+	 * @returns {Number}
+	 * @author Loren Goodwin
+	 */
+	getReferenceCount(objectId)
+	{
+		return this.#referenceCounts.get(objectId) ?? 0;
+	}
+
+	/**
+	 * Adds a record and any records nested in it to the indexes.
+	 * 
+	 * @param {*} value A record or any other member or element value.
+	 * @param {Boolean} isValue Whether the record is used as a value of another record.
+	 * @author Loren Goodwin
+	 */
+	#indexRecord(value, isValue)
+	{
+		if (Array.isArray(value))
+		{
+			for (const nestedValue of value)
+			{
+				this.#indexRecord(nestedValue, true);
+			}
+
+			return;
+		}
+
+		if (value?.RecordTypeEnum == null)
+		{
+			return;
+		}
+
+		for (const binaryLibrary of value.BinaryLibraries ?? [])
+		{
+			this.#indexRecord(binaryLibrary, false);
+		}
+
+		switch (value.RecordTypeEnum)
+		{
+			case DotNetBinaryReader.RecordTypeEnumeration.BinaryLibrary:
+				this.#libraryNames.set(value.LibraryId, value.LibraryName);
+				return;
+
+			case DotNetBinaryReader.RecordTypeEnumeration.MemberReference:
+				this.#referenceCounts.set(value.IdRef, (this.#referenceCounts.get(value.IdRef) ?? 0) + 1);
+				return;
+		}
+
+		const objectId = DotNetBinaryReader.getObjectId(value);
+
+		if (objectId != null)
+		{
+			this.#recordsByObjectId.set(objectId, value);
+
+			if (isValue)
+			{
+				this.#referenceCounts.set(objectId, (this.#referenceCounts.get(objectId) ?? 0) + 1);
+			}
+		}
+
+		if (value.ClassInfo != null)
+		{
+			this.#classRecordsByObjectId.set(value.ClassInfo.ObjectId, value);
+		}
+
+		this.#indexRecord(value.MemberValues ?? value.ElementValues, true);
+	}
+
+	/**
+	 * Resolves a member or element value.
+	 * 
+	 * @param {*} value
+	 * @returns {*}
+	 * @author Loren Goodwin
+	 */
+	#resolveValue(value)
+	{
+		if (value?.RecordTypeEnum == null)
+		{
+			return value;
+		}
+
+		switch (value.RecordTypeEnum)
+		{
+			case DotNetBinaryReader.RecordTypeEnumeration.MemberReference:
+				return this.#resolveValue(this.getRecord(value.IdRef));
+
+			case DotNetBinaryReader.RecordTypeEnumeration.MemberPrimitiveTyped:
+				return value.Value;
+
+			case DotNetBinaryReader.RecordTypeEnumeration.ObjectNull:
+				return null;
+
+			case DotNetBinaryReader.RecordTypeEnumeration.BinaryObjectString:
+				return value.Value;
+		}
+
+		const objectId = DotNetBinaryReader.getObjectId(value);
+
+		if (this.#resolvedObjectIds.has(objectId))
+		{
+			return { $ref: objectId };
+		}
+
+		this.#resolvedObjectIds.add(objectId);
+
+		const needsId = this.getReferenceCount(objectId) > 1;
+
+		switch (value.RecordTypeEnum)
+		{
+			case DotNetBinaryReader.RecordTypeEnumeration.BinaryArray:
+			case DotNetBinaryReader.RecordTypeEnumeration.ArraySinglePrimitive:
+			case DotNetBinaryReader.RecordTypeEnumeration.ArraySingleObject:
+			case DotNetBinaryReader.RecordTypeEnumeration.ArraySingleString:
+			{
+				const values = this.#resolveElementValues(value.ElementValues);
+
+				return needsId ? { $id: objectId, $values: values } : values;
+			}
+
+			default:
+			{
+				const classRecord = this.getClassRecord(value);
+
+				const object = {};
+
+				if (needsId)
+				{
+					object.$id = objectId;
+				}
+
+				object.$type = classRecord.ClassInfo.Name;
+
+				for (const [ index, memberName ] of classRecord.ClassInfo.MemberNames.entries())
+				{
+					object[memberName] = this.#resolveValue(value.MemberValues[index]);
+				}
+
+				return object;
+			}
+		}
+	}
+
+	/**
+	 * Resolves the element values of an array, expanding any runs of nulls.
+	 * 
+	 * Nested arrays (from multi-dimensional arrays) are resolved recursively.
+	 * 
+	 * @param {Array} elementValues
+	 * @returns {Array}
+	 * @author Loren Goodwin
+	 */
+	#resolveElementValues(elementValues)
+	{
+		const values = [];
+
+		for (const elementValue of elementValues)
+		{
+			if (Array.isArray(elementValue))
+			{
+				values.push(this.#resolveElementValues(elementValue));
+
+				continue;
+			}
+
+			switch (elementValue?.RecordTypeEnum)
+			{
+				case DotNetBinaryReader.RecordTypeEnumeration.ObjectNullMultiple:
+				case DotNetBinaryReader.RecordTypeEnumeration.ObjectNullMultiple256:
+					for (let i = 0; i < elementValue.NullCount; i++)
+					{
+						values.push(null);
+					}
+
+					break;
+
+				default:
+					values.push(this.#resolveValue(elementValue));
+					break;
+			}
+		}
+
+		return values;
+	}
+}
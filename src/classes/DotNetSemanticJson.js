@@ -0,0 +1,1632 @@
+//
+// Imports
+//
+
+import { DotNetBinaryReader } from "./DotNetBinaryReader.js";
+import { DotNetObjectResolver } from "./DotNetObjectResolver.js";
+import { DotNetTypedJson } from "./DotNetTypedJson.js";
+
+//
+// Constants
+//
+
+/**
+ * The type used for values without any type information, such as the root object and the members of
+ * ClassWithMembers records.
+ */
+const objectType =
+	{
+		BinaryTypeEnum: DotNetBinaryReader.BinaryTypeEnumeration.Object,
+		AdditionalInfo: null,
+	};
+
+/**
+ * The primitive types that can be used as the keys of a collapsed Dictionary.
+ */
+const integralPrimitiveTypes =
+	[
+		DotNetBinaryReader.PrimitiveTypeEnumeration.Byte,
+		DotNetBinaryReader.PrimitiveTypeEnumeration.Int16,
+		DotNetBinaryReader.PrimitiveTypeEnumeration.Int32,
+		DotNetBinaryReader.PrimitiveTypeEnumeration.Int64,
+		DotNetBinaryReader.PrimitiveTypeEnumeration.SByte,
+		DotNetBinaryReader.PrimitiveTypeEnumeration.UInt16,
+		DotNetBinaryReader.PrimitiveTypeEnumeration.UInt32,
+		DotNetBinaryReader.PrimitiveTypeEnumeration.UInt64,
+	];
+
+/**
+ * Matches the name of a List<T> class, which is collapsed into an array of its items.
+ */
+const listTypeNameRegExp = /^System\.Collections\.Generic\.List`1\[\[/;
+
+/**
+ * Matches the name of a Dictionary<TKey, TValue> class, which is collapsed into an object keyed by its keys.
+ */
+const dictionaryTypeNameRegExp = /^System\.Collections\.Generic\.Dictionary`2\[\[/;
+
+//
+// Functions
+//
+
+/**
+ * Gets the template for the array record that .NET writes for a member or element of the given type.
+ * 
+ * @param {{ BinaryTypeEnum: Number, AdditionalInfo: * }} type
+ * @returns {Object|null} The template, or null if the type isn't a single-dimensional array type.
+ */
+function getArrayTemplateForType(type)
+{
+	switch (type.BinaryTypeEnum)
+	{
+		case DotNetBinaryReader.BinaryTypeEnumeration.PrimitiveArray:
+			return {
+				RecordTypeEnum: DotNetBinaryReader.RecordTypeEnumeration.ArraySinglePrimitive,
+				PrimitiveTypeEnum: type.AdditionalInfo,
+			};
+
+		case DotNetBinaryReader.BinaryTypeEnumeration.StringArray:
+			return {
+				RecordTypeEnum: DotNetBinaryReader.RecordTypeEnumeration.ArraySingleString,
+			};
+
+		case DotNetBinaryReader.BinaryTypeEnumeration.ObjectArray:
+			return {
+				RecordTypeEnum: DotNetBinaryReader.RecordTypeEnumeration.ArraySingleObject,
+			};
+
+		case DotNetBinaryReader.BinaryTypeEnumeration.SystemClass:
+		case DotNetBinaryReader.BinaryTypeEnumeration.Class:
+		{
+			const typeName = getTypeName(type);
+
+			const elementTypeName = typeName.slice(0, -2);
+
+			// Note: Rules out anything that isn't a single-dimensional array of a non-array type
+			if (!typeName.endsWith("[]") || /\[,*\]$/.test(elementTypeName))
+			{
+				return null;
+			}
+
+			return {
+				RecordTypeEnum: DotNetBinaryReader.RecordTypeEnumeration.BinaryArray,
+				BinaryArrayTypeEnum: DotNetBinaryReader.BinaryArrayTypeEnumeration.Single,
+				Rank: 1,
+				TypeEnum: type.BinaryTypeEnum,
+				AdditionalTypeInfo: type.BinaryTypeEnum == DotNetBinaryReader.BinaryTypeEnumeration.Class
+					? { TypeName: elementTypeName, LibraryName: type.AdditionalInfo.LibraryName }
+					: elementTypeName,
+			};
+		}
+
+		default:
+			return null;
+	}
+}
+
+/**
+ * Gets the type of the elements of an array from its template.
+ * 
+ * @param {Object} arrayTemplate
+ * @returns {{ BinaryTypeEnum: Number, AdditionalInfo: * }}
+ */
+function getArrayElementType(arrayTemplate)
+{
+	switch (arrayTemplate.RecordTypeEnum)
+	{
+		case DotNetBinaryReader.RecordTypeEnumeration.ArraySinglePrimitive:
+			return {
+				BinaryTypeEnum: DotNetBinaryReader.BinaryTypeEnumeration.Primitive,
+				AdditionalInfo: arrayTemplate.PrimitiveTypeEnum,
+			};
+
+		case DotNetBinaryReader.RecordTypeEnumeration.ArraySingleString:
+			return {
+				BinaryTypeEnum: DotNetBinaryReader.BinaryTypeEnumeration.String,
+				AdditionalInfo: null,
+			};
+
+		case DotNetBinaryReader.RecordTypeEnumeration.ArraySingleObject:
+			return objectType;
+
+		case DotNetBinaryReader.RecordTypeEnumeration.BinaryArray:
+			return {
+				BinaryTypeEnum: arrayTemplate.TypeEnum,
+				AdditionalInfo: arrayTemplate.AdditionalTypeInfo,
+			};
+
+		default:
+			throw new TypeError(`Invalid array template RecordTypeEnum: ${ arrayTemplate.RecordTypeEnum }`);
+	}
+}
+
+/**
+ * Gets a key for comparing class templates, ignoring anything that isn't part of the class metadata.
+ * 
+ * @param {Object} classTemplate
+ * @returns {String}
+ */
+function getClassTemplateKey(classTemplate)
+{
+	return JSON.stringify(
+		{
+			...classTemplate,
+			IsValueType: undefined,
+			Comparer: undefined,
+		});
+}
+
+/**
+ * Gets the type of a member from a class template.
+ * 
+ * @param {Object} classTemplate
+ * @param {Number} index
+ * @returns {{ BinaryTypeEnum: Number, AdditionalInfo: * }}
+ */
+function getMemberType(classTemplate, index)
+{
+	if (classTemplate.MemberTypeInfo == null)
+	{
+		return objectType;
+	}
+
+	return {
+		BinaryTypeEnum: classTemplate.MemberTypeInfo.BinaryTypeEnums[index],
+		AdditionalInfo: classTemplate.MemberTypeInfo.AdditionalInfos[index],
+	};
+}
+
+/**
+ * Gets the name of a SystemClass or Class type.
+ * 
+ * @param {{ BinaryTypeEnum: Number, AdditionalInfo: * }} type
+ * @returns {String|undefined}
+ */
+function getTypeName(type)
+{
+	switch (type.BinaryTypeEnum)
+	{
+		case DotNetBinaryReader.BinaryTypeEnumeration.SystemClass:
+			return type.AdditionalInfo;
+
+		case DotNetBinaryReader.BinaryTypeEnumeration.Class:
+			return type.AdditionalInfo.TypeName;
+
+		default:
+			return undefined;
+	}
+}
+
+/**
+ * Gets the smallest prime number that is at least the given number, and at least 3.
+ * 
+ * @param {Number} minimum
+ * @returns {Number}
+ */
+function getPrime(minimum)
+{
+	for (let candidate = Math.max(minimum, 3); ; candidate++)
+	{
+		let isPrime = true;
+
+		for (let divisor = 2; divisor * divisor <= candidate; divisor++)
+		{
+			if (candidate % divisor == 0)
+			{
+				isPrime = false;
+
+				break;
+			}
+		}
+
+		if (isPrime)
+		{
+			return candidate;
+		}
+	}
+}
+
+/**
+ * Checks whether a record is any kind of array record.
+ * 
+ * @param {Object} record
+ * @returns {Boolean}
+ */
+function isArrayRecord(record)
+{
+	switch (record?.RecordTypeEnum)
+	{
+		case DotNetBinaryReader.RecordTypeEnumeration.BinaryArray:
+		case DotNetBinaryReader.RecordTypeEnumeration.ArraySinglePrimitive:
+		case DotNetBinaryReader.RecordTypeEnumeration.ArraySingleObject:
+		case DotNetBinaryReader.RecordTypeEnumeration.ArraySingleString:
+			return true;
+
+		default:
+			return false;
+	}
+}
+
+//
+// Classes
+//
+
+/**
+ * Converts records into the semantic view.
+ */
+class SemanticViewBuilder
+{
+	/**
+	 * The templates of every class in the view, keyed by class name.
+	 * 
+	 * @type {Object<String, Object>}
+	 */
+	classes = {};
+
+	/**
+	 * Looks up records by ObjectId and follows references between them.
+	 * 
+	 * @type {DotNetObjectResolver}
+	 */
+	#resolver;
+
+	/**
+	 * The ObjectIds of the class and array records converted so far, so that any later use of one becomes a $ref.
+	 * 
+	 * @type {Set<Number>}
+	 */
+	#convertedObjectIds = new Set();
+
+	/**
+	 * The "$id" given to each shared object, keyed by ObjectId.
+	 * 
+	 * @type {Map<Number, Number>}
+	 */
+	#ids = new Map();
+
+	/**
+	 * Constructs a new SemanticViewBuilder.
+	 * 
+	 * @param {Array} records
+	 * @author Loren Goodwin
+	 */
+	constructor(records)
+	{
+		this.#resolver = new DotNetObjectResolver(records);
+	}
+
+	/**
+	 * Converts the records into the semantic view, starting from the root object named in the SerializationHeader.
+	 * 
+	 * @returns {{ $root: *, $classes: Object<String, Object> }}
+	 * @author Loren Goodwin
+	 */
+	build()
+	{
+		const rootRecord = this.#resolver.getRecord(this.#resolver.rootId);
+
+		return {
+			$root: this.#convertObject(rootRecord, objectType, false),
+			$classes: this.classes,
+		};
+	}
+
+	/**
+	 * Gets the template of a class record, with library names in place of LibraryIds.
+	 * 
+	 * The template holds everything needed to write the metadata of the record back.
+	 * 
+	 * @param {Object} classRecord
+	 * @returns {Object}
+	 * @author Loren Goodwin
+	 */
+	#getClassTemplate(classRecord)
+	{
+		const classTemplate =
+		{
+			RecordTypeEnum: classRecord.RecordTypeEnum,
+			MemberNames: classRecord.ClassInfo.MemberNames,
+		};
+
+		if (classRecord.MemberTypeInfo != null)
+		{
+			classTemplate.MemberTypeInfo =
+			{
+				BinaryTypeEnums: classRecord.MemberTypeInfo.BinaryTypeEnums,
+				AdditionalInfos: classRecord.MemberTypeInfo.AdditionalInfos.map((additionalInfo, index) =>
+				{
+					if (classRecord.MemberTypeInfo.BinaryTypeEnums[index] != DotNetBinaryReader.BinaryTypeEnumeration.Class)
+					{
+						return additionalInfo;
+					}
+
+					return {
+						TypeName: additionalInfo.TypeName,
+						LibraryName: this.#resolver.getLibraryName(additionalInfo.LibraryId),
+					};
+				}),
+			};
+		}
+
+		if (classRecord.LibraryId != null)
+		{
+			classTemplate.LibraryName = this.#resolver.getLibraryName(classRecord.LibraryId);
+		}
+
+		return classTemplate;
+	}
+
+	/**
+	 * Gets the template of an array record, with library names in place of LibraryIds.
+	 * 
+	 * The template holds everything needed to write the record back other than its ObjectId, lengths and elements.
+	 * 
+	 * @param {Object} record
+	 * @returns {Object}
+	 * @author Loren Goodwin
+	 */
+	#getArrayTemplate(record)
+	{
+		switch (record.RecordTypeEnum)
+		{
+			case DotNetBinaryReader.RecordTypeEnumeration.ArraySinglePrimitive:
+				return {
+					RecordTypeEnum: record.RecordTypeEnum,
+					PrimitiveTypeEnum: record.PrimitiveTypeEnum,
+				};
+
+			case DotNetBinaryReader.RecordTypeEnumeration.ArraySingleObject:
+			case DotNetBinaryReader.RecordTypeEnumeration.ArraySingleString:
+				return {
+					RecordTypeEnum: record.RecordTypeEnum,
+				};
+
+			default:
+				return {
+					RecordTypeEnum: record.RecordTypeEnum,
+					BinaryArrayTypeEnum: record.BinaryArrayTypeEnum,
+					Rank: record.Rank,
+					LowerBounds: record.LowerBounds,
+					TypeEnum: record.TypeEnum,
+					AdditionalTypeInfo: record.TypeEnum == DotNetBinaryReader.BinaryTypeEnumeration.Class
+						? { TypeName: record.AdditionalTypeInfo.TypeName, LibraryName: this.#resolver.getLibraryName(record.AdditionalTypeInfo.LibraryId) }
+						: record.AdditionalTypeInfo,
+				};
+		}
+	}
+
+	/**
+	 * Adds the template for a class record to the classes, unless a different template with the same name is already there.
+	 * 
+	 * @param {Object} classRecord
+	 * @param {Boolean} isInline Whether the object was written inline rather than referenced.
+	 * @returns {Object|null} The template if it conflicts with the one already in the classes, otherwise null.
+	 * @author Loren Goodwin
+	 */
+	#registerClassTemplate(classRecord, isInline)
+	{
+		const classTemplate = this.#getClassTemplate(classRecord);
+
+		let registeredClassTemplate = this.classes[classRecord.ClassInfo.Name];
+
+		let conflictingClassTemplate = null;
+
+		if (registeredClassTemplate == null)
+		{
+			registeredClassTemplate = classTemplate;
+
+			this.classes[classRecord.ClassInfo.Name] = classTemplate;
+		}
+		else if (getClassTemplateKey(registeredClassTemplate) != getClassTemplateKey(classTemplate))
+		{
+			conflictingClassTemplate = classTemplate;
+		}
+
+		if (isInline)
+		{
+			(conflictingClassTemplate ?? registeredClassTemplate).IsValueType = true;
+		}
+
+		return conflictingClassTemplate;
+	}
+
+	/**
+	 * Converts a member or element value into its value in the semantic view.
+	 * 
+	 * @param {*} value A member or element value.
+	 * @param {{ BinaryTypeEnum: Number, AdditionalInfo: * }} type The declared type of the value.
+	 * @returns {*}
+	 * @author Loren Goodwin
+	 */
+	#convertValue(value, type)
+	{
+		if (type.BinaryTypeEnum == DotNetBinaryReader.BinaryTypeEnumeration.Primitive)
+		{
+			return DotNetTypedJson.encodeValue(type.AdditionalInfo, value);
+		}
+
+		switch (value.RecordTypeEnum)
+		{
+			case DotNetBinaryReader.RecordTypeEnumeration.ObjectNull:
+				return null;
+
+			case DotNetBinaryReader.RecordTypeEnumeration.BinaryObjectString:
+				return value.Value;
+
+			case DotNetBinaryReader.RecordTypeEnumeration.MemberPrimitiveTyped:
+				return DotNetTypedJson.encodeValue(value.PrimitiveTypeEnum, value.Value);
+
+			case DotNetBinaryReader.RecordTypeEnumeration.MemberReference:
+				return this.#convertObject(this.#resolver.getRecord(value.IdRef), type, false);
+
+			default:
+				return this.#convertObject(value, type, true);
+		}
+	}
+
+	/**
+	 * Converts the element values of an array, expanding runs of nulls.
+	 * 
+	 * The nested arrays of a multi-dimensional array are converted recursively.
+	 * 
+	 * @param {Array} elementValues
+	 * @param {{ BinaryTypeEnum: Number, AdditionalInfo: * }} elementType
+	 * @returns {Array}
+	 * @author Loren Goodwin
+	 */
+	#convertElementValues(elementValues, elementType)
+	{
+		const values = [];
+
+		for (const elementValue of elementValues)
+		{
+			if (Array.isArray(elementValue))
+			{
+				values.push(this.#convertElementValues(elementValue, elementType));
+
+				continue;
+			}
+
+			switch (elementValue?.RecordTypeEnum)
+			{
+				case DotNetBinaryReader.RecordTypeEnumeration.ObjectNullMultiple:
+				case DotNetBinaryReader.RecordTypeEnumeration.ObjectNullMultiple256:
+					for (let i = 0; i < elementValue.NullCount; i++)
+					{
+						values.push(null);
+					}
+
+					break;
+
+				default:
+					values.push(this.#convertValue(elementValue, elementType));
+					break;
+			}
+		}
+
+		return values;
+	}
+
+	/**
+	 * Converts a record with an ObjectId, or a $ref if it has already been converted.
+	 * 
+	 * @param {Object} record A class, array or BinaryObjectString record.
+	 * @param {{ BinaryTypeEnum: Number, AdditionalInfo: * }} type The declared type of the value.
+	 * @param {Boolean} isInline Whether the object was written inline rather than referenced.
+	 * @returns {*}
+	 * @author Loren Goodwin
+	 */
+	#convertObject(record, type, isInline)
+	{
+		if (record.RecordTypeEnum == DotNetBinaryReader.RecordTypeEnumeration.BinaryObjectString)
+		{
+			return record.Value;
+		}
+
+		const objectId = DotNetBinaryReader.getObjectId(record);
+
+		if (this.#convertedObjectIds.has(objectId))
+		{
+			return { $ref: this.#getId(objectId) };
+		}
+
+		this.#convertedObjectIds.add(objectId);
+
+		const id = this.#resolver.getReferenceCount(objectId) > 1 ? this.#getId(objectId) : undefined;
+
+		return isArrayRecord(record)
+			? this.#convertArray(record, type, id)
+			: this.#convertClass(record, type, id, isInline);
+	}
+
+	/**
+	 * Gets the "$id" of a shared object, giving it the next one the first time.
+	 * 
+	 * @param {Number} objectId
+	 * @returns {Number}
+	 * @author Loren Goodwin
+	 */
+	#getId(objectId)
+	{
+		if (!this.#ids.has(objectId))
+		{
+			this.#ids.set(objectId, this.#ids.size + 1);
+		}
+
+		return this.#ids.get(objectId);
+	}
+
+	/**
+	 * Converts an array record into a plain array, or into an object with its template.
+	 * 
+	 * The template is only left out if the array isn't shared and is the kind of array its declared type gives.
+	 * 
+	 * @param {Object} record
+	 * @param {{ BinaryTypeEnum: Number, AdditionalInfo: * }} type The declared type of the value.
+	 * @param {Number|undefined} id The "$id" of the array, if it's shared.
+	 * @returns {*}
+	 * @author Loren Goodwin
+	 */
+	#convertArray(record, type, id)
+	{
+		const arrayTemplate = this.#getArrayTemplate(record);
+
+		const values = this.#convertElementValues(record.ElementValues, getArrayElementType(arrayTemplate));
+
+		if (id == null && JSON.stringify(arrayTemplate) == JSON.stringify(getArrayTemplateForType(type)))
+		{
+			return values;
+		}
+
+		return {
+			$id: id,
+			$array: arrayTemplate,
+			$values: values,
+		};
+	}
+
+	/**
+	 * Converts a class record into an object with a property for each member, collapsing Lists and Dictionaries where possible.
+	 * 
+	 * @param {Object} record
+	 * @param {{ BinaryTypeEnum: Number, AdditionalInfo: * }} type The declared type of the value.
+	 * @param {Number|undefined} id The "$id" of the object, if it's shared.
+	 * @param {Boolean} isInline Whether the object was written inline rather than referenced.
+	 * @returns {Object}
+	 * @author Loren Goodwin
+	 */
+	#convertClass(record, type, id, isInline)
+	{
+		const classRecord = this.#resolver.getClassRecord(record);
+
+		const typeName = classRecord.ClassInfo.Name;
+
+		const conflictingClassTemplate = this.#registerClassTemplate(classRecord, isInline);
+
+		if (conflictingClassTemplate == null)
+		{
+			const collapsedValues = this.#collapseList(record, classRecord) ?? this.#collapseDictionary(record, classRecord);
+
+			if (collapsedValues != null)
+			{
+				const isDictionary = !Array.isArray(collapsedValues);
+
+				// Note: Dictionaries with keys like "$ref" are kept wrapped so their keys aren't mistaken for anything else
+				const hasReservedKeys = isDictionary && Object.keys(collapsedValues).some((key) => key.startsWith("$"));
+
+				const dictionaryMetadata = isDictionary ? this.#getDictionaryMetadata(record) : {};
+
+				if (id == null && getTypeName(type) == typeName && !hasReservedKeys)
+				{
+					return isDictionary ? { ...dictionaryMetadata, ...collapsedValues } : collapsedValues;
+				}
+
+				return {
+					$id: id,
+					$type: typeName,
+					...dictionaryMetadata,
+					$values: collapsedValues,
+				};
+			}
+		}
+
+		const object =
+		{
+			$id: id,
+			$type: typeName,
+			$class: conflictingClassTemplate ?? undefined,
+		};
+
+		const classTemplate = conflictingClassTemplate ?? this.classes[typeName];
+
+		for (const [ index, memberName ] of classRecord.ClassInfo.MemberNames.entries())
+		{
+			object[memberName] = this.#convertValue(record.MemberValues[index], getMemberType(classTemplate, index));
+		}
+
+		return object;
+	}
+
+	/**
+	 * Collapses a List<T> into an array of its items.
+	 * 
+	 * @param {Object} record
+	 * @param {Object} classRecord
+	 * @returns {Array|undefined} The items, or undefined if the record can't be collapsed.
+	 * @author Loren Goodwin
+	 */
+	#collapseList(record, classRecord)
+	{
+		const classTemplate = this.classes[classRecord.ClassInfo.Name];
+
+		if
+		(
+			!listTypeNameRegExp.test(classRecord.ClassInfo.Name) ||
+			JSON.stringify(classTemplate.MemberNames) != JSON.stringify([ "_items", "_size", "_version" ]) ||
+			getMemberType(classTemplate, 1).AdditionalInfo != DotNetBinaryReader.PrimitiveTypeEnumeration.Int32 ||
+			getMemberType(classTemplate, 2).AdditionalInfo != DotNetBinaryReader.PrimitiveTypeEnumeration.Int32
+		)
+		{
+			return undefined;
+		}
+
+		const itemsRecord = this.#resolver.getReferencedRecord(record.MemberValues[0]);
+
+		if (!isArrayRecord(itemsRecord) || !this.#isExclusive(itemsRecord))
+		{
+			return undefined;
+		}
+
+		const arrayTemplate = this.#getArrayTemplate(itemsRecord);
+
+		if (JSON.stringify(arrayTemplate) != JSON.stringify(getArrayTemplateForType(getMemberType(classTemplate, 0))))
+		{
+			return undefined;
+		}
+
+		this.#convertedObjectIds.add(DotNetBinaryReader.getObjectId(itemsRecord));
+
+		const items = this.#convertElementValues(itemsRecord.ElementValues, getArrayElementType(arrayTemplate));
+
+		return items.slice(0, record.MemberValues[1]);
+	}
+
+	/**
+	 * Collapses a Dictionary<K,V> with String or integral keys into an object.
+	 * 
+	 * @param {Object} record
+	 * @param {Object} classRecord
+	 * @returns {Object|undefined} The entries, or undefined if the record can't be collapsed.
+	 * @author Loren Goodwin
+	 */
+	#collapseDictionary(record, classRecord)
+	{
+		const classTemplate = this.classes[classRecord.ClassInfo.Name];
+
+		if
+		(
+			!dictionaryTypeNameRegExp.test(classRecord.ClassInfo.Name) ||
+			JSON.stringify(classTemplate.MemberNames) != JSON.stringify([ "Version", "Comparer", "HashSize", "KeyValuePairs" ]) ||
+			getMemberType(classTemplate, 0).AdditionalInfo != DotNetBinaryReader.PrimitiveTypeEnumeration.Int32 ||
+			getMemberType(classTemplate, 2).AdditionalInfo != DotNetBinaryReader.PrimitiveTypeEnumeration.Int32
+		)
+		{
+			return undefined;
+		}
+
+		//
+		// Comparer
+		//
+
+		const comparerRecord = this.#resolver.getReferencedRecord(record.MemberValues[1]);
+
+		if (comparerRecord?.ClassInfo == null && comparerRecord?.RecordTypeEnum != DotNetBinaryReader.RecordTypeEnumeration.ClassWithId)
+		{
+			return undefined;
+		}
+
+		const comparerClassRecord = this.#resolver.getClassRecord(comparerRecord);
+
+		if
+		(
+			comparerClassRecord.ClassInfo.MemberCount != 0 ||
+			(classTemplate.Comparer != null && classTemplate.Comparer != comparerClassRecord.ClassInfo.Name)
+		)
+		{
+			return undefined;
+		}
+
+		//
+		// KeyValuePairs
+		//
+
+		const pairsRecord = this.#resolver.getReferencedRecord(record.MemberValues[3]);
+
+		if (!isArrayRecord(pairsRecord) || !this.#isExclusive(pairsRecord))
+		{
+			return undefined;
+		}
+
+		const arrayTemplate = this.#getArrayTemplate(pairsRecord);
+
+		if (JSON.stringify(arrayTemplate) != JSON.stringify(getArrayTemplateForType(getMemberType(classTemplate, 3))))
+		{
+			return undefined;
+		}
+
+		const pairRecords = pairsRecord.ElementValues.map((elementValue) => this.#resolver.getReferencedRecord(elementValue));
+
+		const pairClassRecord = pairRecords.length > 0 ? this.#resolver.getClassRecord(pairRecords[0]) : null;
+
+		if (pairClassRecord != null)
+		{
+			if
+			(
+				pairClassRecord.ClassInfo.Name != arrayTemplate.AdditionalTypeInfo ||
+				pairClassRecord.MemberTypeInfo == null ||
+				JSON.stringify(pairClassRecord.ClassInfo.MemberNames) != JSON.stringify([ "key", "value" ])
+			)
+			{
+				return undefined;
+			}
+
+			const keyBinaryTypeEnum = pairClassRecord.MemberTypeInfo.BinaryTypeEnums[0];
+
+			const keyIsValid = keyBinaryTypeEnum == DotNetBinaryReader.BinaryTypeEnumeration.String ||
+				(keyBinaryTypeEnum == DotNetBinaryReader.BinaryTypeEnumeration.Primitive && integralPrimitiveTypes.includes(pairClassRecord.MemberTypeInfo.AdditionalInfos[0]));
+
+			if (!keyIsValid)
+			{
+				return undefined;
+			}
+		}
+
+		const keys = [];
+
+		for (const pairRecord of pairRecords)
+		{
+			if (pairRecord == null || !this.#isExclusive(pairRecord) || this.#resolver.getClassRecord(pairRecord) != pairClassRecord)
+			{
+				return undefined;
+			}
+
+			const keyRecord = this.#resolver.getReferencedRecord(pairRecord.MemberValues[0]);
+
+			const key = pairClassRecord.MemberTypeInfo.BinaryTypeEnums[0] == DotNetBinaryReader.BinaryTypeEnumeration.String
+				? keyRecord?.Value
+				: String(pairRecord.MemberValues[0]);
+
+			if (typeof(key) != "string" || keys.includes(key))
+			{
+				return undefined;
+			}
+
+			keys.push(key);
+		}
+
+		const comparerConflicts = this.#registerClassTemplate(comparerClassRecord, false) != null;
+
+		const pairConflicts = pairClassRecord != null && this.#registerClassTemplate(pairClassRecord, true) != null;
+
+		if (comparerConflicts || pairConflicts)
+		{
+			return undefined;
+		}
+
+		//
+		// Entries
+		//
+
+		classTemplate.Comparer = comparerClassRecord.ClassInfo.Name;
+
+		this.#convertedObjectIds.add(DotNetBinaryReader.getObjectId(pairsRecord));
+
+		const entries = {};
+
+		for (const [ index, pairRecord ] of pairRecords.entries())
+		{
+			this.#convertedObjectIds.add(DotNetBinaryReader.getObjectId(pairRecord));
+
+			entries[keys[index]] = this.#convertValue(pairRecord.MemberValues[1], getMemberType(this.classes[pairClassRecord.ClassInfo.Name], 1));
+		}
+
+		return entries;
+	}
+
+	/**
+	 * Gets the Version and HashSize of a collapsed Dictionary, so they can be written back as they were.
+	 * 
+	 * They're left out when they match what would be written for a Dictionary that isn't given them.
+	 * 
+	 * @param {Object} record
+	 * @returns {{ $version?: Number, $hashSize?: Number }}
+	 * @author Loren Goodwin
+	 */
+	#getDictionaryMetadata(record)
+	{
+		const [ version, , hashSize, pairsValue ] = record.MemberValues;
+
+		const pairCount = this.#resolver.getReferencedRecord(pairsValue).ElementValues.length;
+
+		const metadata = {};
+
+		if (version != pairCount)
+		{
+			metadata.$version = version;
+		}
+
+		if (hashSize != getPrime(pairCount))
+		{
+			metadata.$hashSize = hashSize;
+		}
+
+		return metadata;
+	}
+
+	/**
+	 * Checks whether a record is only used in one place and hasn't been converted yet.
+	 * 
+	 * @param {Object} record
+	 * @returns {Boolean}
+	 * @author Loren Goodwin
+	 */
+	#isExclusive(record)
+	{
+		const objectId = DotNetBinaryReader.getObjectId(record);
+
+		return this.#resolver.getReferenceCount(objectId) == 1 && !this.#convertedObjectIds.has(objectId);
+	}
+}
+
+/**
+ * Converts the semantic view back into records.
+ */
+class SemanticRecordBuilder
+{
+	/**
+	 * The templates of every class in the view, keyed by class name.
+	 * 
+	 * @type {Object<String, Object>}
+	 */
+	#classes;
+
+	/**
+	 * The root object of the view.
+	 * 
+	 * @type {*}
+	 */
+	#root;
+
+	/**
+	 * The records built so far, in the order they'll be written.
+	 * 
+	 * @type {Array}
+	 */
+	#records = [];
+
+	/**
+	 * The next unused ObjectId, which LibraryIds are also taken from.
+	 * 
+	 * @type {Number}
+	 */
+	#nextObjectId = 1;
+
+	/**
+	 * The LibraryId given to each library, keyed by library name.
+	 * 
+	 * @type {Map<String, Number>}
+	 */
+	#libraryIds = new Map();
+
+	/**
+	 * The ObjectId of the first record written for each class template, keyed by class name and template.
+	 * 
+	 * @type {Map<String, Number>}
+	 */
+	#metadataIds = new Map();
+
+	/**
+	 * The ObjectId given to each "$id", keyed by "$id".
+	 * 
+	 * @type {Map<Number, Number>}
+	 */
+	#objectIds = new Map();
+
+	/**
+	 * The "$id"s of the objects queued so far, for finding an "$id" that's used twice or never defined.
+	 * 
+	 * @type {Set<Number>}
+	 */
+	#definedIds = new Set();
+
+	/**
+	 * The objects waiting to be written as records of their own.
+	 * 
+	 * @type {Array}
+	 */
+	#queue = [];
+
+	/**
+	 * Constructs a new SemanticRecordBuilder.
+	 * 
+	 * @param {{ $root: *, $classes: Object<String, Object> }} view
+	 * @author Loren Goodwin
+	 */
+	constructor(view)
+	{
+		if (view == null || typeof(view) != "object" || !Object.hasOwn(view, "$root") || typeof(view.$classes) != "object")
+		{
+			throw new TypeError("The semantic view MUST be an object with $root and $classes properties.");
+		}
+
+		this.#root = view.$root;
+
+		this.#classes = view.$classes;
+	}
+
+	/**
+	 * Converts the view into records, starting with the root object and then every object queued along the way.
+	 * 
+	 * @returns {Array}
+	 * @author Loren Goodwin
+	 */
+	build()
+	{
+		const header =
+		{
+			RecordTypeEnum: DotNetBinaryReader.RecordTypeEnumeration.SerializedStreamHeader,
+
+			RootId: 0,
+			HeaderId: -1,
+			MajorVersion: 1,
+			MinorVersion: 0,
+		};
+
+		this.#records.push(header);
+
+		const rootValue = this.#convertValue(this.#root, objectType);
+
+		if (rootValue.RecordTypeEnum == DotNetBinaryReader.RecordTypeEnumeration.MemberReference)
+		{
+			header.RootId = rootValue.IdRef;
+		}
+		else if (DotNetBinaryReader.getObjectId(rootValue) != null)
+		{
+			header.RootId = DotNetBinaryReader.getObjectId(rootValue);
+
+			this.#records.push(rootValue);
+		}
+		else
+		{
+			throw new TypeError("The root of the semantic view MUST be an object, array or string.");
+		}
+
+		for (let i = 0; i < this.#queue.length; i++)
+		{
+			const record = this.#buildQueuedRecord(this.#queue[i]);
+
+			this.#records.push(record);
+		}
+
+		for (const id of this.#objectIds.keys())
+		{
+			if (!this.#definedIds.has(id))
+			{
+				throw new Error(`No object has the referenced $id: ${ id }`);
+			}
+		}
+
+		return this.#records;
+	}
+
+	/**
+	 * Gets the next unused ObjectId.
+	 * 
+	 * @returns {Number}
+	 * @author Loren Goodwin
+	 */
+	#allocateObjectId()
+	{
+		return this.#nextObjectId++;
+	}
+
+	/**
+	 * Gets the ObjectId for an "$id", allocating one the first time so that a $ref can come before the object it refers to.
+	 * 
+	 * @param {Number} id
+	 * @returns {Number}
+	 * @author Loren Goodwin
+	 */
+	#getObjectIdForId(id)
+	{
+		if (!this.#objectIds.has(id))
+		{
+			this.#objectIds.set(id, this.#allocateObjectId());
+		}
+
+		return this.#objectIds.get(id);
+	}
+
+	/**
+	 * Gets the LibraryId for a library, adding a BinaryLibrary record for it the first time.
+	 * 
+	 * @param {String} libraryName
+	 * @returns {Number}
+	 * @author Loren Goodwin
+	 */
+	#getLibraryId(libraryName)
+	{
+		if (!this.#libraryIds.has(libraryName))
+		{
+			const libraryId = this.#allocateObjectId();
+
+			this.#libraryIds.set(libraryName, libraryId);
+
+			this.#records.push(
+				{
+					RecordTypeEnum: DotNetBinaryReader.RecordTypeEnumeration.BinaryLibrary,
+
+					LibraryId: libraryId,
+					LibraryName: libraryName,
+				});
+		}
+
+		return this.#libraryIds.get(libraryName);
+	}
+
+	/**
+	 * Gets the template of a class, throwing if there isn't one.
+	 * 
+	 * @param {String} typeName
+	 * @param {Object} [classTemplate] A template to use instead of the one in the classes.
+	 * @returns {Object}
+	 * @author Loren Goodwin
+	 */
+	#getClassTemplate(typeName, classTemplate)
+	{
+		classTemplate ??= this.#classes[typeName];
+
+		if (classTemplate == null)
+		{
+			throw new Error(`No class template exists for type: ${ typeName }`);
+		}
+
+		return classTemplate;
+	}
+
+	/**
+	 * Queues an object to be written as a record of its own and returns a MemberReference to it.
+	 * 
+	 * @param {Object} queuedObject
+	 * @returns {Object}
+	 * @author Loren Goodwin
+	 */
+	#queueObject(queuedObject)
+	{
+		let objectId;
+
+		if (queuedObject.id != null)
+		{
+			if (this.#definedIds.has(queuedObject.id))
+			{
+				throw new Error(`More than one object has the same $id: ${ queuedObject.id }`);
+			}
+
+			this.#definedIds.add(queuedObject.id);
+
+			objectId = this.#getObjectIdForId(queuedObject.id);
+		}
+		else
+		{
+			objectId = this.#allocateObjectId();
+		}
+
+		this.#queue.push({ ...queuedObject, objectId });
+
+		return {
+			RecordTypeEnum: DotNetBinaryReader.RecordTypeEnumeration.MemberReference,
+			IdRef: objectId,
+		};
+	}
+
+	/**
+	 * Converts a value from the semantic view into a member or element value.
+	 * 
+	 * @param {*} value A value from the semantic view.
+	 * @param {{ BinaryTypeEnum: Number, AdditionalInfo: * }} type The declared type of the value.
+	 * @returns {*} A member or element value.
+	 * @author Loren Goodwin
+	 */
+	#convertValue(value, type)
+	{
+		if (type.BinaryTypeEnum == DotNetBinaryReader.BinaryTypeEnumeration.Primitive)
+		{
+			return DotNetTypedJson.decodeValue(type.AdditionalInfo, value);
+		}
+
+		if (value === null)
+		{
+			return {
+				RecordTypeEnum: DotNetBinaryReader.RecordTypeEnumeration.ObjectNull,
+			};
+		}
+
+		if (typeof(value) == "string")
+		{
+			return {
+				RecordTypeEnum: DotNetBinaryReader.RecordTypeEnumeration.BinaryObjectString,
+
+				ObjectId: this.#allocateObjectId(),
+				Value: value,
+			};
+		}
+
+		const typeName = getTypeName(type);
+
+		if (Array.isArray(value))
+		{
+			if (listTypeNameRegExp.test(typeName))
+			{
+				return this.#queueObject({ kind: "list", typeName, values: value });
+			}
+
+			const arrayTemplate = getArrayTemplateForType(type);
+
+			if (arrayTemplate == null)
+			{
+				throw new TypeError(`An array can't be used here without $array: ${ JSON.stringify(value).slice(0, 100) }`);
+			}
+
+			return this.#queueObject({ kind: "array", arrayTemplate, values: value });
+		}
+
+		if (typeof(value) == "object")
+		{
+			if (Object.hasOwn(value, "$ref"))
+			{
+				return {
+					RecordTypeEnum: DotNetBinaryReader.RecordTypeEnumeration.MemberReference,
+					IdRef: this.#getObjectIdForId(value.$ref),
+				};
+			}
+
+			if (Object.hasOwn(value, "$array"))
+			{
+				return this.#queueObject({ kind: "array", id: value.$id, arrayTemplate: value.$array, values: value.$values });
+			}
+
+			if (Object.hasOwn(value, "$type"))
+			{
+				if (Object.hasOwn(value, "$values"))
+				{
+					return this.#queueObject(
+						{
+							kind: Array.isArray(value.$values) ? "list" : "dictionary",
+							id: value.$id,
+							typeName: value.$type,
+							values: value.$values,
+							version: value.$version,
+							hashSize: value.$hashSize,
+						});
+				}
+
+				const classTemplate = this.#getClassTemplate(value.$type, value.$class);
+
+				if (classTemplate.IsValueType && value.$id == null)
+				{
+					return this.#buildClassRecord(value.$type, classTemplate, this.#allocateObjectId(), value);
+				}
+
+				return this.#queueObject({ kind: "class", id: value.$id, typeName: value.$type, classTemplate, object: value });
+			}
+
+			if (dictionaryTypeNameRegExp.test(typeName) && DotNetTypedJson.getType(value) == null)
+			{
+				const { $version: version, $hashSize: hashSize, ...values } = value;
+
+				return this.#queueObject({ kind: "dictionary", typeName, values, version, hashSize });
+			}
+		}
+
+		const primitiveType = DotNetTypedJson.getType(value);
+
+		if (primitiveType != null && type.BinaryTypeEnum == DotNetBinaryReader.BinaryTypeEnumeration.Object)
+		{
+			return {
+				RecordTypeEnum: DotNetBinaryReader.RecordTypeEnumeration.MemberPrimitiveTyped,
+
+				PrimitiveTypeEnum: primitiveType,
+				Value: DotNetTypedJson.decodeValue(primitiveType, value),
+			};
+		}
+
+		throw new TypeError(`Invalid value for a member or element of BinaryTypeEnum ${ type.BinaryTypeEnum }: ${ JSON.stringify(value) }`);
+	}
+
+	/**
+	 * Builds the record for a queued object of any kind.
+	 * 
+	 * @param {Object} queuedObject
+	 * @returns {Object}
+	 * @author Loren Goodwin
+	 */
+	#buildQueuedRecord(queuedObject)
+	{
+		switch (queuedObject.kind)
+		{
+			case "array":
+				return this.#buildArrayRecord(queuedObject.arrayTemplate, queuedObject.objectId, queuedObject.values);
+
+			case "class":
+				return this.#buildClassRecord(queuedObject.typeName, queuedObject.classTemplate, queuedObject.objectId, queuedObject.object);
+
+			case "list":
+				return this.#buildListRecord(queuedObject.typeName, queuedObject.objectId, queuedObject.values);
+
+			case "dictionary":
+				return this.#buildDictionaryRecord(queuedObject.typeName, queuedObject.objectId, queuedObject.values, queuedObject.version, queuedObject.hashSize);
+		}
+	}
+
+	/**
+	 * Builds a class record, or a ClassWithId if a record with the same metadata has already been built.
+	 * 
+	 * @param {String} typeName
+	 * @param {Object} classTemplate
+	 * @param {Number} objectId
+	 * @param {Object} object An object with a property for each member.
+	 * @returns {Object}
+	 * @author Loren Goodwin
+	 */
+	#buildClassRecord(typeName, classTemplate, objectId, object)
+	{
+		const metadataKey = typeName + "\n" + getClassTemplateKey(classTemplate);
+
+		let record;
+
+		if (this.#metadataIds.has(metadataKey))
+		{
+			record =
+			{
+				RecordTypeEnum: DotNetBinaryReader.RecordTypeEnumeration.ClassWithId,
+
+				ObjectId: objectId,
+				MetadataId: this.#metadataIds.get(metadataKey),
+			};
+		}
+		else
+		{
+			this.#metadataIds.set(metadataKey, objectId);
+
+			record =
+			{
+				RecordTypeEnum: classTemplate.RecordTypeEnum,
+
+				ClassInfo:
+				{
+					ObjectId: objectId,
+					Name: typeName,
+					MemberCount: classTemplate.MemberNames.length,
+					MemberNames: classTemplate.MemberNames,
+				},
+			};
+
+			if (classTemplate.MemberTypeInfo != null)
+			{
+				record.MemberTypeInfo =
+				{
+					BinaryTypeEnums: classTemplate.MemberTypeInfo.BinaryTypeEnums,
+					AdditionalInfos: classTemplate.MemberTypeInfo.AdditionalInfos.map((additionalInfo, index) =>
+					{
+						if (classTemplate.MemberTypeInfo.BinaryTypeEnums[index] != DotNetBinaryReader.BinaryTypeEnumeration.Class)
+						{
+							return additionalInfo;
+						}
+
+						return {
+							TypeName: additionalInfo.TypeName,
+							LibraryId: this.#getLibraryId(additionalInfo.LibraryName),
+						};
+					}),
+				};
+			}
+
+			if (classTemplate.LibraryName != null)
+			{
+				record.LibraryId = this.#getLibraryId(classTemplate.LibraryName);
+			}
+		}
+
+		record.MemberValues = classTemplate.MemberNames.map((memberName, index) =>
+		{
+			if (!Object.hasOwn(object, memberName))
+			{
+				throw new Error(`Object of type ${ typeName } is missing member: ${ memberName }`);
+			}
+
+			return this.#convertValue(object[memberName], getMemberType(classTemplate, index));
+		});
+
+		return record;
+	}
+
+	/**
+	 * Builds the class record of a collapsed List<T>.
+	 * 
+	 * @param {String} typeName
+	 * @param {Number} objectId
+	 * @param {Array} values
+	 * @returns {Object}
+	 * @author Loren Goodwin
+	 */
+	#buildListRecord(typeName, objectId, values)
+	{
+		const classTemplate = this.#getClassTemplate(typeName);
+
+		return this.#buildClassRecord(typeName, classTemplate, objectId,
+			{
+				_items: values,
+				_size: values.length,
+				_version: 0,
+			});
+	}
+
+	/**
+	 * Builds the class record of a collapsed Dictionary<TKey, TValue>, with a KeyValuePair for each entry.
+	 * 
+	 * @param {String} typeName
+	 * @param {Number} objectId
+	 * @param {Object} values
+	 * @param {Number} [version] The Version to write, instead of the number of entries.
+	 * @param {Number} [hashSize] The HashSize to write, instead of the smallest prime that fits every entry.
+	 * @returns {Object}
+	 * @author Loren Goodwin
+	 */
+	#buildDictionaryRecord(typeName, objectId, values, version, hashSize)
+	{
+		const classTemplate = this.#getClassTemplate(typeName);
+
+		if (classTemplate.Comparer == null)
+		{
+			throw new Error(`The class template for ${ typeName } has no Comparer, so it can't be used as a collapsed Dictionary.`);
+		}
+
+		const arrayTemplate = getArrayTemplateForType(getMemberType(classTemplate, 3));
+
+		const pairTypeName = getArrayElementType(arrayTemplate).AdditionalInfo;
+
+		const pairs = Object.entries(values).map(([ key, value ]) =>
+		{
+			// Note: The KeyValuePair template is only looked up here, as empty Dictionaries don't have one
+			const keyType = getMemberType(this.#getClassTemplate(pairTypeName), 0);
+
+			if (keyType.BinaryTypeEnum == DotNetBinaryReader.BinaryTypeEnumeration.Primitive)
+			{
+				const is64Bit = keyType.AdditionalInfo == DotNetBinaryReader.PrimitiveTypeEnumeration.Int64 ||
+					keyType.AdditionalInfo == DotNetBinaryReader.PrimitiveTypeEnumeration.UInt64;
+
+				key = DotNetTypedJson.encodeValue(keyType.AdditionalInfo, is64Bit ? BigInt(key) : Number(key));
+			}
+
+			return {
+				$type: pairTypeName,
+				key,
+				value,
+			};
+		});
+
+		return this.#buildClassRecord(typeName, classTemplate, objectId,
+			{
+				Version: version ?? pairs.length,
+				Comparer: { $type: classTemplate.Comparer },
+				HashSize: hashSize ?? getPrime(pairs.length),
+				KeyValuePairs: pairs,
+			});
+	}
+
+	/**
+	 * Builds an array record from its template and values.
+	 * 
+	 * @param {Object} arrayTemplate
+	 * @param {Number} objectId
+	 * @param {Array} values
+	 * @returns {Object}
+	 * @author Loren Goodwin
+	 */
+	#buildArrayRecord(arrayTemplate, objectId, values)
+	{
+		if (!Array.isArray(values))
+		{
+			throw new TypeError("The $values of an array MUST be an array.");
+		}
+
+		const elementType = getArrayElementType(arrayTemplate);
+
+		switch (arrayTemplate.RecordTypeEnum)
+		{
+			case DotNetBinaryReader.RecordTypeEnumeration.ArraySinglePrimitive:
+				return {
+					RecordTypeEnum: arrayTemplate.RecordTypeEnum,
+					ArrayInfo: { ObjectId: objectId, Length: values.length },
+					PrimitiveTypeEnum: arrayTemplate.PrimitiveTypeEnum,
+					ElementValues: values.map((value) => this.#convertValue(value, elementType)),
+				};
+
+			case DotNetBinaryReader.RecordTypeEnumeration.ArraySingleObject:
+			case DotNetBinaryReader.RecordTypeEnumeration.ArraySingleString:
+				return {
+					RecordTypeEnum: arrayTemplate.RecordTypeEnum,
+					ArrayInfo: { ObjectId: objectId, Length: values.length },
+					ElementValues: this.#compressNullElements(values.map((value) => this.#convertValue(value, elementType))),
+				};
+		}
+
+		const lengths = [];
+
+		for (let dimension = values; lengths.length < arrayTemplate.Rank; dimension = dimension[0])
+		{
+			lengths.push(Array.isArray(dimension) ? dimension.length : -1);
+		}
+
+		const convertElementValues = (values, dimensionIndex) =>
+		{
+			if (!Array.isArray(values) || values.length != lengths[dimensionIndex])
+			{
+				throw new TypeError(`The $values of an array of rank ${ arrayTemplate.Rank } MUST be nested arrays with lengths of ${ lengths.join(" by ") }.`);
+			}
+
+			return values.map((value) =>
+			{
+				return dimensionIndex < arrayTemplate.Rank - 1
+					? convertElementValues(value, dimensionIndex + 1)
+					: this.#convertValue(value, elementType);
+			});
+		};
+
+		let elementValues = convertElementValues(values, 0);
+
+		if (arrayTemplate.Rank == 1 && elementType.BinaryTypeEnum != DotNetBinaryReader.BinaryTypeEnumeration.Primitive)
+		{
+			elementValues = this.#compressNullElements(elementValues);
+		}
+
+		return {
+			RecordTypeEnum: DotNetBinaryReader.RecordTypeEnumeration.BinaryArray,
+			ObjectId: objectId,
+			BinaryArrayTypeEnum: arrayTemplate.BinaryArrayTypeEnum,
+			Rank: arrayTemplate.Rank,
+			Lengths: lengths,
+			LowerBounds: arrayTemplate.LowerBounds,
+			TypeEnum: arrayTemplate.TypeEnum,
+			AdditionalTypeInfo: arrayTemplate.TypeEnum == DotNetBinaryReader.BinaryTypeEnumeration.Class
+				? { TypeName: arrayTemplate.AdditionalTypeInfo.TypeName, LibraryId: this.#getLibraryId(arrayTemplate.AdditionalTypeInfo.LibraryName) }
+				: arrayTemplate.AdditionalTypeInfo,
+			ElementValues: elementValues,
+		};
+	}
+
+	/**
+	 * Compresses runs of ObjectNull records the same way .NET does.
+	 * 
+	 * @param {Array} elementValues
+	 * @returns {Array}
+	 * @author Loren Goodwin
+	 */
+	#compressNullElements(elementValues)
+	{
+		const compressedElementValues = [];
+
+		for (const elementValue of elementValues)
+		{
+			const previousElementValue = compressedElementValues.at(-1);
+
+			if (elementValue.RecordTypeEnum != DotNetBinaryReader.RecordTypeEnumeration.ObjectNull)
+			{
+				compressedElementValues.push(elementValue);
+			}
+			else if (previousElementValue?.RecordTypeEnum == DotNetBinaryReader.RecordTypeEnumeration.ObjectNull)
+			{
+				compressedElementValues[compressedElementValues.length - 1] =
+				{
+					RecordTypeEnum: DotNetBinaryReader.RecordTypeEnumeration.ObjectNullMultiple256,
+					NullCount: 2,
+				};
+			}
+			else if (previousElementValue?.NullCount != null)
+			{
+				const nullCount = previousElementValue.NullCount + 1;
+
+				compressedElementValues[compressedElementValues.length - 1] =
+				{
+					RecordTypeEnum: nullCount < 256
+						? DotNetBinaryReader.RecordTypeEnumeration.ObjectNullMultiple256
+						: DotNetBinaryReader.RecordTypeEnumeration.ObjectNullMultiple,
+					NullCount: nullCount,
+				};
+			}
+			else
+			{
+				compressedElementValues.push(elementValue);
+			}
+		}
+
+		return compressedElementValues;
+	}
+}
+
+//
+// Exports
+//
+
+/**
+ * A class for converting records to and from a friendlier "semantic" view, and back again.
+ * 
+ * The view is an object with two properties:
+ * 
+ * - $root: The root object. Class objects are keyed by member name with the class name under "$type".
+ *	List<T> and Dictionary<K,V> objects are collapsed into arrays and objects respectively, with a
+ *	Dictionary's Version and HashSize kept as "$version" and "$hashSize" if they can't be worked out from
+ *	its entries. Primitive values use the same typed JSON format as DotNetTypedJson.
+ * - $classes: The metadata for every class, keyed by class name. This is what allows the view to be
+ *	converted back into records.
+ * 
+ * ObjectIds, LibraryIds and BinaryLibrary records don't appear in the view at all. Instead, objects that
+ * are used in more than one place have an "$id", with every other use being { "$ref": id }.
+ * 
+ * Arrays, Lists and Dictionaries are only written as plain arrays and objects when their type can be
+ * worked out from the member they're in. Otherwise, they are wrapped in an object that says what they
+ * are, as { "$array": template, "$values": [ ... ] } or { "$type": name, "$values": ... }.
+ */
+export class DotNetSemanticJson
+{
+	/**
+	 * Converts records into the semantic view as JSON.
+	 * 
+	 * @param {Array} records The records returned by DotNetBinaryReader.read().
+	 * @returns {String}
+	 * @author Loren Goodwin
+	 */
+	static stringify(records)
+	{
+		return JSON.stringify(DotNetSemanticJson.fromRecords(records), null, "\t");
+	}
+
+	/**
+	 * Converts the semantic view as JSON back into records that can be written with a DotNetBinaryWriter.
+	 * 
+	 * @param {String} json
+	 * @returns {Array}
+	 * @author Loren Goodwin
+	 */
+	static parse(json)
+	{
+		return DotNetSemanticJson.toRecords(JSON.parse(json));
+	}
+
+	/**
+	 * Converts records into the semantic view.
+	 * 
+	 * @param {Array} records The records returned by DotNetBinaryReader.read().
+	 * @returns {{ $root: *, $classes: Object<String, Object> }}
+	 * @author Loren Goodwin
+	 */
+	static fromRecords(records)
+	{
+		return new SemanticViewBuilder(records).build();
+	}
+
+	/**
+	 * Converts the semantic view back into records.
+	 * 
+	 * The records are laid out the same way .NET would lay them out, rather than how they were laid out
+	 * in the original file, so the file will not necessarily be byte-for-byte identical to the original.
+	 * 
+	 * @param {{ $root: *, $classes: Object<String, Object> }} view
+	 * @returns {Array}
+	 * @author Loren Goodwin
+	 */
+	static toRecords(view)
+	{
+		return new SemanticRecordBuilder(view).build();
+	}
+}
@@ -0,0 +1,338 @@
+//
+// Imports
+//
+
+import { DotNetBinaryReader } from "./DotNetBinaryReader.js";
+
+//
+// Exports
+//
+
+/**
+ * A class for converting records to and from JSON without losing the primitive type of any value.
+ * 
+ * Booleans, Int32s and Strings are written as plain JSON values. Every other primitive is written as an
+ * object with a single key naming its type, for example:
+ * 
+ * - { "$Int16": 5 }
+ * - { "$Single": 0.5 } or { "$Double": "NaN" } ("NaN", "Infinity", "-Infinity" and "-0" are written as strings)
+ * - { "$Int64": "-9007199254740993" } (64-bit integers are always written as strings)
+ * - { "$Char": "a" }
+ * - { "$Decimal": "1.50" }
+ * - { "$TimeSpan": "1.02:03:04.5000000" }
+ * - { "$DateTime": { "Kind": 1, "Value": "2022-09-28T22:13:20.0000000Z" } }
+ * 
+ * The Kind of a DateTime is one of DotNetBinaryReader.DateTimeKindEnumeration, including 3 (LocalAmbiguousDst).
+ * 
+ * When converting back, each value MUST be tagged with the same type that the record says it has.
+ */
+export class DotNetTypedJson
+{
+	/**
+	 * The names of each PrimitiveTypeEnumeration value, keyed by value.
+	 * 
+	 * @type {Map<Number, String>}
+	 */
+	static #primitiveTypeNames = new Map(Object.entries(DotNetBinaryReader.PrimitiveTypeEnumeration).map(([ name, value ]) => [ value, name ]));
+
+	/**
+	 * Converts records into typed JSON.
+	 * 
+	 * @param {Array} records The records returned by DotNetBinaryReader.read().
+	 * @returns {String}
+	 * @author Loren Goodwin
+	 */
+	static stringify(records)
+	{
+		return JSON.stringify(DotNetTypedJson.encodeRecords(records), null, "\t");
+	}
+
+	/**
+	 * Converts typed JSON back into records that can be written with a DotNetBinaryWriter.
+	 * 
+	 * @param {String} json
+	 * @returns {Array}
+	 * @author Loren Goodwin
+	 */
+	static parse(json)
+	{
+		const records = JSON.parse(json);
+
+		if (!Array.isArray(records))
+		{
+			throw new TypeError("Typed JSON MUST contain an array of records.");
+		}
+
+		return DotNetTypedJson.decodeRecords(records);
+	}
+
+	/**
+	 * Replaces every primitive value in the given records with its typed JSON equivalent.
+	 * 
+	 * @param {Array} records
+	 * @returns {Array} A copy of the records.
+	 * @author Loren Goodwin
+	 */
+	static encodeRecords(records)
+	{
+		return DotNetTypedJson.#mapPrimitiveValues(records, DotNetTypedJson.encodeValue);
+	}
+
+	/**
+	 * Replaces every typed JSON value in the given records with its primitive value.
+	 * 
+	 * @param {Array} records
+	 * @returns {Array} A copy of the records.
+	 * @author Loren Goodwin
+	 */
+	static decodeRecords(records)
+	{
+		return DotNetTypedJson.#mapPrimitiveValues(records, DotNetTypedJson.decodeValue);
+	}
+
+	/**
+	 * Converts a primitive value into its typed JSON equivalent.
+	 * 
+	 * @param {Number} type The PrimitiveTypeEnum of the value.
+	 * @param {*} value The value, as read by a DotNetBinaryReader.
+	 * @returns {*}
+	 * @author Loren Goodwin
+	 */
+	static encodeValue(type, value)
+	{
+		switch (type)
+		{
+			case DotNetBinaryReader.PrimitiveTypeEnumeration.Boolean:
+			case DotNetBinaryReader.PrimitiveTypeEnumeration.Int32:
+			case DotNetBinaryReader.PrimitiveTypeEnumeration.String:
+				return value;
+
+			case DotNetBinaryReader.PrimitiveTypeEnumeration.Single:
+			case DotNetBinaryReader.PrimitiveTypeEnumeration.Double:
+				if (!Number.isFinite(value) || Object.is(value, -0))
+				{
+					value = Object.is(value, -0) ? "-0" : String(value);
+				}
+
+				break;
+
+			case DotNetBinaryReader.PrimitiveTypeEnumeration.Int64:
+			case DotNetBinaryReader.PrimitiveTypeEnumeration.UInt64:
+				value = value.toString();
+				break;
+		}
+
+		const typeName = DotNetTypedJson.#primitiveTypeNames.get(type);
+
+		if (typeName == null)
+		{
+			throw new TypeError(`Invalid primitive type: ${ type }`);
+		}
+
+		return { [ "$" + typeName ]: value };
+	}
+
+	/**
+	 * Converts a typed JSON value back into a primitive value.
+	 * 
+	 * @param {Number} type The PrimitiveTypeEnum the value is expected to have.
+	 * @param {*} typedValue
+	 * @returns {*} The value, as a DotNetBinaryWriter expects it.
+	 * @author Loren Goodwin
+	 */
+	static decodeValue(type, typedValue)
+	{
+		const typeName = DotNetTypedJson.#primitiveTypeNames.get(type);
+
+		switch (type)
+		{
+			case DotNetBinaryReader.PrimitiveTypeEnumeration.Boolean:
+				if (typeof(typedValue) != "boolean")
+				{
+					throw new TypeError(`Expected a Boolean but got: ${ JSON.stringify(typedValue) }`);
+				}
+
+				return typedValue;
+
+			case DotNetBinaryReader.PrimitiveTypeEnumeration.Int32:
+				if (typeof(typedValue) != "number")
+				{
+					throw new TypeError(`Expected an Int32 but got: ${ JSON.stringify(typedValue) }`);
+				}
+
+				return typedValue;
+
+			case DotNetBinaryReader.PrimitiveTypeEnumeration.String:
+				if (typeof(typedValue) != "string")
+				{
+					throw new TypeError(`Expected a String but got: ${ JSON.stringify(typedValue) }`);
+				}
+
+				return typedValue;
+		}
+
+		const key = "$" + typeName;
+
+		if (typedValue == null || typeof(typedValue) != "object" || !Object.hasOwn(typedValue, key))
+		{
+			throw new TypeError(`Expected a value tagged as ${ key } but got: ${ JSON.stringify(typedValue) }`);
+		}
+
+		const value = typedValue[key];
+
+		switch (type)
+		{
+			case DotNetBinaryReader.PrimitiveTypeEnumeration.Single:
+			case DotNetBinaryReader.PrimitiveTypeEnumeration.Double:
+				return typeof(value) == "string" ? Number(value) : value;
+
+			case DotNetBinaryReader.PrimitiveTypeEnumeration.Int64:
+			case DotNetBinaryReader.PrimitiveTypeEnumeration.UInt64:
+				return BigInt(value);
+
+			default:
+				return value;
+		}
+	}
+
+	/**
+	 * Gets the primitive type a typed JSON value is tagged with.
+	 * 
+	 * Untagged booleans, integers and strings are Booleans, Int32s and Strings respectively.
+	 * 
+	 * @param {*} typedValue
+	 * @returns {Number|undefined} The PrimitiveTypeEnum, or undefined if the value isn't a typed JSON value.
+	 * @author Loren Goodwin
+	 */
+	static getType(typedValue)
+	{
+		switch (typeof(typedValue))
+		{
+			case "boolean":
+				return DotNetBinaryReader.PrimitiveTypeEnumeration.Boolean;
+
+			case "number":
+				return Number.isInteger(typedValue) ? DotNetBinaryReader.PrimitiveTypeEnumeration.Int32 : undefined;
+
+			case "string":
+				return DotNetBinaryReader.PrimitiveTypeEnumeration.String;
+
+			case "object":
+			{
+				if (typedValue == null || Array.isArray(typedValue))
+				{
+					return undefined;
+				}
+
+				const keys = Object.keys(typedValue);
+
+				if (keys.length != 1 || !keys[0].startsWith("$"))
+				{
+					return undefined;
+				}
+
+				const typeName = keys[0].slice(1);
+
+				return Object.hasOwn(DotNetBinaryReader.PrimitiveTypeEnumeration, typeName)
+					? DotNetBinaryReader.PrimitiveTypeEnumeration[typeName]
+					: undefined;
+			}
+
+			default:
+				return undefined;
+		}
+	}
+
+	/**
+	 * Copies records, replacing every primitive value in them with the result of a callback.
+	 * 
+	 * @param {Array} records
+	 * @param {(type: Number, value: *) => *} callback
+	 * @returns {Array}
+	 * @author Loren Goodwin
+	 */
+	static #mapPrimitiveValues(records, callback)
+	{
+		const classRecords = new Map();
+
+		const mapElementValues = (elementValues, primitiveTypeEnum) =>
+		{
+			return elementValues.map((elementValue) =>
+			{
+				if (Array.isArray(elementValue))
+				{
+					return mapElementValues(elementValue, primitiveTypeEnum);
+				}
+
+				return primitiveTypeEnum != null
+					? callback(primitiveTypeEnum, elementValue)
+					: mapRecord(elementValue);
+			});
+		};
+
+		const mapMemberValues = (classRecord, memberValues) =>
+		{
+			return memberValues.map((memberValue, index) =>
+			{
+				return classRecord.MemberTypeInfo?.BinaryTypeEnums[index] == DotNetBinaryReader.BinaryTypeEnumeration.Primitive
+					? callback(classRecord.MemberTypeInfo.AdditionalInfos[index], memberValue)
+					: mapRecord(memberValue);
+			});
+		};
+
+		const mapRecord = (record) =>
+		{
+			const mappedRecord = { ...record };
+
+			switch (record.RecordTypeEnum)
+			{
+				case DotNetBinaryReader.RecordTypeEnumeration.SystemClassWithMembers:
+				case DotNetBinaryReader.RecordTypeEnumeration.ClassWithMembers:
+				case DotNetBinaryReader.RecordTypeEnumeration.SystemClassWithMembersAndTypes:
+				case DotNetBinaryReader.RecordTypeEnumeration.ClassWithMembersAndTypes:
+					classRecords.set(record.ClassInfo.ObjectId, record);
+
+					mappedRecord.MemberValues = mapMemberValues(record, record.MemberValues);
+
+					break;
+
+				case DotNetBinaryReader.RecordTypeEnumeration.ClassWithId:
+				{
+					const classRecord = classRecords.get(record.MetadataId);
+
+					if (classRecord == null)
+					{
+						throw new Error(`ClassWithId MetadataId refers to a class record that did not preceed it: ${ record.MetadataId }`);
+					}
+
+					mappedRecord.MemberValues = mapMemberValues(classRecord, record.MemberValues);
+
+					break;
+				}
+
+				case DotNetBinaryReader.RecordTypeEnumeration.BinaryArray:
+					mappedRecord.ElementValues = mapElementValues(record.ElementValues,
+						record.TypeEnum == DotNetBinaryReader.BinaryTypeEnumeration.Primitive ? record.AdditionalTypeInfo : null);
+
+					break;
+
+				case DotNetBinaryReader.RecordTypeEnumeration.ArraySinglePrimitive:
+					mappedRecord.ElementValues = mapElementValues(record.ElementValues, record.PrimitiveTypeEnum);
+					break;
+
+				case DotNetBinaryReader.RecordTypeEnumeration.ArraySingleObject:
+				case DotNetBinaryReader.RecordTypeEnumeration.ArraySingleString:
+					mappedRecord.ElementValues = mapElementValues(record.ElementValues, null);
+					break;
+
+				case DotNetBinaryReader.RecordTypeEnumeration.MemberPrimitiveTyped:
+					mappedRecord.Value = callback(record.PrimitiveTypeEnum, record.Value);
+					break;
+			}
+
+			return mappedRecord;
+		};
+
+		return records.map(mapRecord);
+	}
+}
@@ -0,0 +1,45 @@
+//
+// Exports
+//
+
+/**
+ * An error thrown when a serialization stream breaks one or more of the rules in the MS-NRBF specification.
+ */
+export class DotNetValidationError extends Error
+{
+	/**
+	 * Every rule the serialization stream broke.
+	 * 
+	 * @type {import("./DotNetBinaryReader.js").DotNetBinaryReaderViolation[]}
+	 */
+	violations;
+
+	/**
+	 * Formats a violation as a single line, saying which rule was broken, where and how.
+	 * 
+	 * @param {import("./DotNetBinaryReader.js").DotNetBinaryReaderViolation} violation
+	 * @returns {String}
+	 * @author Loren Goodwin
+	 */
+	static formatViolation(violation)
+	{
+		return `${ violation.rule } in record ${ violation.recordIndex } at position ${ violation.position }: ${ violation.message }`;
+	}
+
+	/**
+	 * Constructs a new DotNetValidationError.
+	 * 
+	 * @param {import("./DotNetBinaryReader.js").DotNetBinaryReaderViolation[]} violations
+	 * @author Loren Goodwin
+	 */
+	constructor(violations)
+	{
+		const violationLines = violations.map((violation) => "- " + DotNetValidationError.formatViolation(violation));
+
+		super(`The serialization stream broke ${ violations.length } rule(s):\n${ violationLines.join("\n") }`);
+
+		this.name = "DotNetValidationError";
+
+		this.violations = violations;
+	}
+}
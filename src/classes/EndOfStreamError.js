@@ -0,0 +1,69 @@
+//
+// Exports
+//
+
+/**
+ * An error thrown when a read goes past the end of the data, which means the file is truncated or corrupt.
+ */
+export class EndOfStreamError extends Error
+{
+	/**
+	 * The name of the field being read.
+	 * 
+	 * @type {String}
+	 */
+	field;
+
+	/**
+	 * The name of the type of record being read, if known.
+	 * 
+	 * @type {String|undefined}
+	 */
+	recordType;
+
+	/**
+	 * The byte offset the read started at.
+	 * 
+	 * @type {Number}
+	 */
+	position;
+
+	/**
+	 * The number of bytes the read needed.
+	 * 
+	 * @type {Number}
+	 */
+	byteCount;
+
+	/**
+	 * The number of bytes that were left.
+	 * 
+	 * @type {Number}
+	 */
+	remaining;
+
+	/**
+	 * Constructs a new EndOfStreamError.
+	 * 
+	 * @param {{ field: String, recordType?: String, position: Number, byteCount: Number, remaining: Number }} details
+	 * @author Loren Goodwin
+	 */
+	constructor(details)
+	{
+		const recordTypeText = details.recordType != null ? ` in ${ details.recordType } record` : "";
+
+		super(`Unexpected end of data reading ${ details.field }${ recordTypeText } at position ${ details.position }: needed ${ details.byteCount } byte(s) but only ${ details.remaining } remain.`);
+
+		this.name = "EndOfStreamError";
+
+		this.field = details.field;
+
+		this.recordType = details.recordType;
+
+		this.position = details.position;
+
+		this.byteCount = details.byteCount;
+
+		this.remaining = details.remaining;
+	}
+}
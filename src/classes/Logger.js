@@ -0,0 +1,165 @@
+//
+// Type Definitions
+//
+
+/**
+ * @typedef {"silent"|"error"|"info"|"debug"|"trace"} LoggerLevel
+ */
+
+/**
+ * @callback LoggerWriteFunction
+ * @param {LoggerLevel} level The level the message was logged at.
+ * @param {...any} args The message, in the same form console.log() takes it.
+ */
+
+/**
+ * @typedef {Object} LoggerOptions
+ * @property {LoggerLevel} [level] The most detailed level to write messages for. Defaults to "info".
+ * @property {LoggerWriteFunction} [write] The function that writes each message. Defaults to writing to the console.
+ */
+
+//
+// Exports
+//
+
+/**
+ * A logger that only writes messages at or below a given level of detail.
+ * 
+ * By default, info messages are written with console.log() and every other message is written with
+ * console.error(), so that failures and diagnostics never get mixed into the output of a command, such
+ * as JSON printed for a script to read. A different write function can be given to send them somewhere
+ * else.
+ */
+export class Logger
+{
+	/**
+	 * An enumeration containing the levels a logger can be set to, from least to most detailed.
+	 */
+	static LevelEnumeration =
+		{
+			silent: 0,
+			error: 1,
+			info: 2,
+			debug: 3,
+			trace: 4,
+		};
+
+	/**
+	 * The most detailed level messages are written for.
+	 * 
+	 * @type {LoggerLevel}
+	 */
+	level;
+
+	/**
+	 * The function that writes each message at an enabled level.
+	 * 
+	 * @type {LoggerWriteFunction}
+	 */
+	#write;
+
+	/**
+	 * Constructs a new Logger.
+	 * 
+	 * @param {LoggerOptions} [options]
+	 * @author Loren Goodwin
+	 */
+	constructor(options = {})
+	{
+		const level = options.level ?? "info";
+
+		if (!Object.hasOwn(Logger.LevelEnumeration, level))
+		{
+			throw new RangeError(`Invalid log level: ${ level } (MUST be one of ${ Object.keys(Logger.LevelEnumeration).join(", ") }).`);
+		}
+
+		this.level = level;
+
+		this.#write = options.write ?? ((messageLevel, ...args) =>
+		{
+			if (messageLevel == "info")
+			{
+				console.log(...args);
+			}
+			else
+			{
+				console.error(...args);
+			}
+		});
+	}
+
+	/**
+	 * Gets whether messages at the given level are written.
+	 * 
+	 * Useful for skipping work that only builds a message.
+	 * 
+	 * @param {LoggerLevel} level
+	 * @returns {Boolean}
+	 * @author Loren Goodwin
+	 */
+	isEnabled(level)
+	{
+		return level != "silent" && Logger.LevelEnumeration[level] <= Logger.LevelEnumeration[this.level];
+	}
+
+	/**
+	 * Writes a message about something that failed, such as a file that couldn't be converted.
+	 * 
+	 * @param {...any} args
+	 * @author Loren Goodwin
+	 */
+	error(...args)
+	{
+		this.#log("error", args);
+	}
+
+	/**
+	 * Writes a message about what's being done, such as which files are being written.
+	 * 
+	 * @param {...any} args
+	 * @author Loren Goodwin
+	 */
+	info(...args)
+	{
+		this.#log("info", args);
+	}
+
+	/**
+	 * Writes a message that's useful for working out why something went wrong.
+	 * 
+	 * @param {...any} args
+	 * @author Loren Goodwin
+	 */
+	debug(...args)
+	{
+		this.#log("debug", args);
+	}
+
+	/**
+	 * Writes a message for every step taken, such as every record read.
+	 * 
+	 * @param {...any} args
+	 * @author Loren Goodwin
+	 */
+	trace(...args)
+	{
+		this.#log("trace", args);
+	}
+
+	/**
+	 * Writes a message if its level is enabled.
+	 * 
+	 * @param {LoggerLevel} level
+	 * @param {Array} args
+	 * @author Loren Goodwin
+	 */
+	#log(level, args)
+	{
+		if (!this.isEnabled(level))
+		{
+			return;
+		}
+
+		this.#write(level, ...args);
+	}
+}
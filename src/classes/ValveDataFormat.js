@@ -0,0 +1,197 @@
+//
+// Exports
+//
+
+/**
+ * A parser for Valve's KeyValues text format, which Steam uses for files such as libraryfolders.vdf.
+ * 
+ * A file is a series of keys, each followed by either a string value or a block of further keys
+ * and values in braces:
+ * 
+ * ```
+ * "libraryfolders"
+ * {
+ * 	"0"
+ * 	{
+ * 		"path"		"C:\\Program Files (x86)\\Steam"
+ * 	}
+ * }
+ * ```
+ * 
+ * Conditionals such as [$WIN32] are skipped over rather than evaluated.
+ * 
+ * @see https://developer.valvesoftware.com/wiki/KeyValues
+ */
+export class ValveDataFormat
+{
+	/**
+	 * Parses KeyValues text into nested objects, where blocks are objects and values are strings.
+	 * 
+	 * If a key appears more than once in the same block, the last value wins.
+	 * 
+	 * @param {String} text
+	 * @returns {Object<String, *>}
+	 * @author Loren Goodwin
+	 */
+	static parse(text)
+	{
+		const tokens = ValveDataFormat.#tokenize(text);
+
+		const root = {};
+
+		const stack = [ root ];
+
+		let key = null;
+
+		for (const token of tokens)
+		{
+			const block = stack.at(-1);
+
+			if (token.type == "open")
+			{
+				if (key == null)
+				{
+					throw new SyntaxError(`Unexpected { at line ${ token.line } without a key before it.`);
+				}
+
+				const childBlock = {};
+
+				block[key] = childBlock;
+
+				stack.push(childBlock);
+
+				key = null;
+			}
+			else if (token.type == "close")
+			{
+				if (key != null || stack.length == 1)
+				{
+					throw new SyntaxError(`Unexpected } at line ${ token.line }.`);
+				}
+
+				stack.pop();
+			}
+			else if (key == null)
+			{
+				key = token.value;
+			}
+			else
+			{
+				block[key] = token.value;
+
+				key = null;
+			}
+		}
+
+		if (key != null || stack.length > 1)
+		{
+			throw new SyntaxError("Unexpected end of KeyValues text.");
+		}
+
+		return root;
+	}
+
+	/**
+	 * Splits KeyValues text into strings and braces, skipping comments and conditionals.
+	 * 
+	 * @param {String} text
+	 * @returns {{ type: "string"|"open"|"close", value?: String, line: Number }[]}
+	 * @author Loren Goodwin
+	 */
+	static #tokenize(text)
+	{
+		const tokens = [];
+
+		let line = 1;
+
+		for (let index = 0; index < text.length; index++)
+		{
+			const character = text[index];
+
+			if (character == "\n")
+			{
+				line++;
+			}
+			else if (/\s/.test(character))
+			{
+				continue;
+			}
+			else if (character == "/" && text[index + 1] == "/")
+			{
+				while (index + 1 < text.length && text[index + 1] != "\n")
+				{
+					index++;
+				}
+			}
+			else if (character == "[")
+			{
+				index = text.indexOf("]", index);
+
+				if (index == -1)
+				{
+					throw new SyntaxError(`Unterminated conditional at line ${ line }.`);
+				}
+			}
+			else if (character == "{")
+			{
+				tokens.push({ type: "open", line });
+			}
+			else if (character == "}")
+			{
+				tokens.push({ type: "close", line });
+			}
+			else if (character == "\"")
+			{
+				let value = "";
+
+				index++;
+
+				while (index < text.length && text[index] != "\"")
+				{
+					if (text[index] == "\\" && index + 1 < text.length)
+					{
+						index++;
+
+						value += { n: "\n", t: "\t" }[text[index]] ?? text[index];
+					}
+					else
+					{
+						if (text[index] == "\n")
+						{
+							line++;
+						}
+
+						value += text[index];
+					}
+
+					index++;
+				}
+
+				if (index >= text.length)
+				{
+					throw new SyntaxError(`Unterminated string at line ${ line }.`);
+				}
+
+				tokens.push({ type: "string", value, line });
+			}
+			else
+			{
+				// Note: Unquoted strings end at whitespace or a brace
+				let value = "";
+
+				while (index < text.length && !/[\s{}"]/.test(text[index]))
+				{
+					value += text[index];
+
+					index++;
+				}
+
+				index--;
+
+				tokens.push({ type: "string", value, line });
+			}
+		}
+
+		return tokens;
+	}
+}
@@ -4,86 +4,1220 @@
 
 import fs from "node:fs";
 import path from "node:path";
-import os from "node:os";
+import { parseArgs } from "node:util";
 
+import { AtomicFileWriter } from "./classes/AtomicFileWriter.js";
+import { CommandLineError } from "./classes/CommandLineError.js";
+import { DinkumSaveBackup } from "./classes/DinkumSaveBackup.js";
+import { DinkumSaveLocator } from "./classes/DinkumSaveLocator.js";
+import { DinkumSaveManifest } from "./classes/DinkumSaveManifest.js";
 import { DotNetBinaryReader } from "./classes/DotNetBinaryReader.js";
+import { DotNetBinaryWriter } from "./classes/DotNetBinaryWriter.js";
+import { DotNetHexDump } from "./classes/DotNetHexDump.js";
+import { DotNetSemanticJson } from "./classes/DotNetSemanticJson.js";
+import { DotNetTypedJson } from "./classes/DotNetTypedJson.js";
+import { DotNetValidationError } from "./classes/DotNetValidationError.js";
+import { EndOfStreamError } from "./classes/EndOfStreamError.js";
+import { Logger } from "./classes/Logger.js";
+
+//
+// Constants
+//
+
+/**
+ * An enumeration containing the exit codes the process can exit with.
+ */
+const ExitCodeEnumeration =
+	{
+		Success: 0,
+		Failure: 1,
+		UsageError: 2,
+		NotFound: 3,
+		Unreadable: 4,
+	};
+
+/**
+ * The usage instructions printed by --help and after usage errors.
+ */
+const usage = `Usage: node . [command] [options] [saveDir]
+
+Commands:
+  dump [saveDir]                  Convert every .dat file in a save to JSON. This is the default command.
+  import [saveDir] [dumpDir]      Convert the JSON files in a dump back into .dat files.
+  validate [saveDir] [dumpDir]    Check every .dat file in a save, or every JSON file in a dump with --json.
+  info [saveDir]                  Print a summary of every .dat file in a save.
+  diff <before> <after>           Print what changed between two saves or two .dat files.
+  list                            Print every save slot found, with its file count and when it was last modified.
+  restore [saveDir]               List the backups of a save, or roll it back to one with --backup.
+
+The save directory defaults to Slot0 in your Dinkum save directory. The dump directory defaults to
+the _JSON_DUMP folder in the save directory.
+
+Before import or restore write to a save, every file in it is backed up to a timestamped folder in
+the _BACKUPS folder next to it.
+
+Your Dinkum save directory is looked for in every Steam library on Linux, including Flatpak Steam,
+and in the usual places on Windows and macOS. Set DINKUM_SAVE_DIR to the folder containing the Slot
+folders to use that instead.
+
+Options:
+  --slot <number>                 Use this slot in your Dinkum save directory instead of Slot0.
+  --dump <dir>                    import, validate --json: The dump folder to read, instead of the _JSON_DUMP folder in
+                                  the save directory. The same as giving it as a second argument, but works with --slot.
+  --out <dir>                     dump: The folder to write the dump to.
+                                  import: The folder to write the .dat files to. Defaults to the save directory.
+  --format <format>               dump: json (the default), semantic or hex.
+                                  info, list: text (the default) or json.
+  --recover                       dump: Skip over any records that can't be read rather than giving up on the file.
+  --force                         import: Import even if the dump was made from a different game version than the save.
+  --backup <name>                 restore: The backup to roll back to, or latest for the newest one.
+  --json                          validate: Check the JSON files in the dump rather than the .dat files.
+  --lenient                       validate: Only fail .dat files that can't be read, listing the rules they break as warnings.
+  --log-level <level>             silent, error, info (the default), debug or trace.
+  -q, --quiet                     Don't print anything. The same as --log-level silent.
+  -h, --help                      Print these instructions.
+
+Exit codes:
+  0                               Everything worked, and for diff, nothing changed.
+  1                               A file couldn't be converted or failed validation, the game versions didn't match
+                                  on import, or for diff, something changed.
+  2                               The command line wasn't valid.
+  3                               A save directory, dump directory, file or backup doesn't exist, or for list, no
+                                  save slots were found.
+  4                               diff: A file couldn't be read, so it couldn't be compared.`;
+
+/**
+ * The options each command accepts, other than those every command accepts.
+ * 
+ * @type {Object<String, String[]>}
+ */
+const commandOptions =
+	{
+		dump: [ "slot", "out", "format", "recover" ],
+		import: [ "slot", "dump", "out", "force" ],
+		validate: [ "slot", "dump", "json", "lenient" ],
+		info: [ "slot", "format" ],
+		diff: [],
+		list: [ "format" ],
+		restore: [ "slot", "backup" ],
+	};
+
+/**
+ * The formats each command accepts for --format, the first of which is the default.
+ * 
+ * @type {Object<String, String[]>}
+ */
+const commandFormats =
+	{
+		dump: [ "json", "semantic", "hex" ],
+		info: [ "text", "json" ],
+		list: [ "text", "json" ],
+	};
 
 //
 // Functions
 //
 
 /**
- * Gets the path to the Dinkum saved games folder.
+ * Works out which save directory a command should use.
  * 
+ * @param {String|undefined} saveDir The save directory given on the command line, if any.
+ * @param {String|undefined} slot The slot given with --slot, if any.
  * @returns {String}
  */
-function getDinkumSaveDirectory()
+function resolveSaveDirectory(saveDir, slot)
 {
-	// TODO: Don't hardcode this to Slot0
-	switch (process.platform)
+	if (saveDir != null && slot != null)
+	{
+		throw new CommandLineError("A save directory and --slot can't both be given.", ExitCodeEnumeration.UsageError);
+	}
+
+	if (slot != null && !/^\d+$/.test(slot))
+	{
+		throw new CommandLineError(`Invalid slot: ${ slot } (must be a number).`, ExitCodeEnumeration.UsageError);
+	}
+
+	if (saveDir != null)
 	{
-		case "win32":
-			return path.join(os.homedir(), "AppData", "LocalLow", "James Bendon", "Dinkum", "Slot0");
+		assertDirectoryExists(saveDir);
 
-		case "linux":
-			return path.join(os.homedir(), 
-				".local", "share", "Steam", "steamapps", "compatdata", "1062520", "pfx", "drive_c", "users",
-				"steamuser", "AppData", "LocalLow", "James Bendon", "Dinkum", "Slot0");
+		return saveDir;
 	}
+
+	const saveLocator = new DinkumSaveLocator();
+
+	const saveSlot = saveLocator.findSlot(Number(slot ?? 0));
+
+	if (saveSlot == null)
+	{
+		const searchedDirs = saveLocator.getCandidateDirectories();
+
+		throw new CommandLineError(searchedDirs.length > 0
+			? `Slot${ Number(slot ?? 0) } not found. Searched:\n\t${ searchedDirs.join("\n\t") }\nSet DINKUM_SAVE_DIR or give a save directory to use a different one.`
+			: `The Dinkum save directory isn't known on ${ process.platform }, so DINKUM_SAVE_DIR or a save directory must be given.`,
+		ExitCodeEnumeration.NotFound);
+	}
+
+	return saveSlot.path;
 }
 
-//
-// Application
-//
+/**
+ * Works out which dump directory a command should use.
+ * 
+ * @param {String|undefined} dumpDir The dump directory given on the command line after the save directory, if any.
+ * @param {String|undefined} dumpOption The dump directory given with --dump, if any.
+ * @param {String} saveDir The save directory the command is using.
+ * @returns {String}
+ */
+function resolveDumpDirectory(dumpDir, dumpOption, saveDir)
+{
+	if (dumpDir != null && dumpOption != null)
+	{
+		throw new CommandLineError("A dump directory and --dump can't both be given.", ExitCodeEnumeration.UsageError);
+	}
 
-const saveDir = process.argv[2] ?? getDinkumSaveDirectory();
+	return dumpDir ?? dumpOption ?? path.join(saveDir, "_JSON_DUMP");
+}
 
-const saveDirEntries = fs.readdirSync(saveDir, 
-	{ 
-		withFileTypes: true,
-	})
-	.filter((entry) =>
+/**
+ * Throws a CommandLineError if a directory doesn't exist.
+ * 
+ * @param {String} dir
+ */
+function assertDirectoryExists(dir)
+{
+	if (!fs.statSync(dir, { throwIfNoEntry: false })?.isDirectory())
 	{
-		return entry.name.endsWith(".dat") &&
-			entry.name != "versionCheck.dat";
-	});
+		throw new CommandLineError(`Directory not found: ${ dir }`, ExitCodeEnumeration.NotFound);
+	}
+}
+
+/**
+ * Dumps every .dat file in a save directory and its subdirectories to JSON.
+ * 
+ * The dump directory mirrors the structure of the save directory, so a file in a subdirectory of the
+ * save directory is dumped to the same subdirectory of the dump directory. A manifest recording the
+ * game version from the save's versionCheck.dat is written alongside the files.
+ * 
+ * If the format is hex, an annotated hex dump is written instead. This is written even for files
+ * that can't be read all the way through, so it shows exactly where reading stopped.
+ * 
+ * @param {String} saveDir The save directory to read .dat files from.
+ * @param {String} dumpDir The directory to write JSON files to.
+ * @param {Object} [options]
+ * @param {"json"|"semantic"|"hex"} [options.format] Whether to write the raw records, the semantic view or an annotated hex dump showing the offset, length and bytes of every field. Defaults to json.
+ * @param {Boolean} [options.recover] Whether to skip over any records that can't be read rather than giving up on the file.
+ * @param {Logger} [options.logger] The logger to write progress to.
+ * @returns {Promise<Boolean>} Whether every file was dumped.
+ */
+async function dumpSave(saveDir, dumpDir, options = {})
+{
+	const logger = options.logger ?? new Logger();
+
+	fs.mkdirSync(dumpDir,
+		{
+			recursive: true,
+		});
+
+	const manifest = DinkumSaveManifest.create(saveDir, options.format ?? "json", logger);
+
+	if (manifest.gameVersion != null)
+	{
+		logger.debug(`Game version: ${ DinkumSaveManifest.formatGameVersion(manifest.gameVersion) }`);
+	}
+
+	DinkumSaveManifest.write(dumpDir, manifest);
+
+	let failed = false;
+
+	for (const fileName of getSaveFileNames(saveDir))
+	{
+		logger.debug(`Dumping ${ fileName }`);
+
+		const dumpPath = path.join(dumpDir, fileName);
+
+		fs.mkdirSync(path.dirname(dumpPath),
+			{
+				recursive: true,
+			});
+
+		let arrayBuffer;
+
+		let binaryReader;
+
+		try
+		{
+			arrayBuffer = new Uint8Array(fs.readFileSync(path.join(saveDir, fileName))).buffer;
+
+			binaryReader = new DotNetBinaryReader(arrayBuffer,
+				{
+					recover: options.recover,
+					logger,
+					annotate: options.format == "hex",
+				});
+
+			const data = binaryReader.read();
+
+			for (const unparsedRange of binaryReader.unparsedRanges)
+			{
+				logger.info(`Skipped bytes ${ unparsedRange.start } to ${ unparsedRange.end } of ${ fileName }: ${ unparsedRange.message }`);
+			}
+
+			for (const violation of binaryReader.violations)
+			{
+				logger.info(`Broke a rule in ${ fileName }: ${ DotNetValidationError.formatViolation(violation) }`);
+			}
+
+			if (options.format == "hex")
+			{
+				fs.writeFileSync(dumpPath + ".txt", DotNetHexDump.stringify(binaryReader.annotations, arrayBuffer));
+
+				continue;
+			}
+
+			const json = options.format == "semantic"
+				? DotNetSemanticJson.stringify(data)
+				: DotNetTypedJson.stringify(data);
+
+			fs.writeFileSync(dumpPath + ".json", json);
+		}
+		catch(error)
+		{
+			failed = true;
+
+			if (error instanceof EndOfStreamError)
+			{
+				logger.error(`Failed to dump ${ fileName } as it is truncated or corrupt:`, error.message);
+			}
+			else
+			{
+				logger.error(`Failed to dump ${ fileName }:`, error);
+			}
+
+			if (binaryReader?.annotations != null)
+			{
+				fs.writeFileSync(dumpPath + ".txt", DotNetHexDump.stringify(binaryReader.annotations, arrayBuffer));
+
+				logger.info(`Wrote an annotated hex dump of everything that could be read from ${ fileName }.`);
+			}
+		}
+	}
+
+	return !failed;
+}
+
+/**
+ * Converts the records in a JSON dump back into the bytes of a .dat file.
+ * 
+ * The JSON can either be the raw records or the semantic view, which is told apart by whether it's
+ * an array or an object.
+ * 
+ * The bytes are read back with a DotNetBinaryReader before they are returned, so that records which
+ * were edited into an invalid state are caught here rather than by the game.
+ * 
+ * @param {String} jsonPath The path to the JSON file.
+ * @param {Logger} logger The logger to write progress to.
+ * @returns {Uint8Array}
+ */
+function encodeJsonFile(jsonPath, logger)
+{
+	const json = JSON.parse(fs.readFileSync(jsonPath, "utf8"));
+
+	const records = Array.isArray(json)
+		? DotNetTypedJson.decodeRecords(json)
+		: DotNetSemanticJson.toRecords(json);
+
+	const binaryWriter = new DotNetBinaryWriter();
+
+	binaryWriter.write(records);
+
+	const arrayBuffer = binaryWriter.toArrayBuffer();
+
+	new DotNetBinaryReader(arrayBuffer, { logger }).read();
+
+	return new Uint8Array(arrayBuffer);
+}
+
+/**
+ * Checks that a dump was made from the same game version as the save it's being imported into.
+ * 
+ * The check is skipped, with a message saying why, if either game version isn't known.
+ * 
+ * @param {String} dumpDir The directory to read the manifest from.
+ * @param {String} saveDir The save directory to read versionCheck.dat from.
+ * @param {Boolean} force Whether to carry on anyway if the game versions don't match.
+ * @param {Logger} logger The logger to write progress to.
+ * @returns {Boolean} Whether the import should go ahead.
+ */
+function checkGameVersion(dumpDir, saveDir, force, logger)
+{
+	let manifest;
+
+	let saveGameVersion;
+
+	try
+	{
+		manifest = DinkumSaveManifest.read(dumpDir);
+
+		saveGameVersion = DinkumSaveManifest.readGameVersion(saveDir, logger);
+	}
+	catch(error)
+	{
+		logger.info("Not checking the game version as it couldn't be read:", error.message);
+
+		return true;
+	}
+
+	if (manifest?.gameVersion == null)
+	{
+		logger.info(`Not checking the game version as ${ dumpDir } doesn't record which game version it was dumped from.`);
+
+		return true;
+	}
+
+	if (saveGameVersion == null)
+	{
+		logger.debug(`Not checking the game version as ${ saveDir } doesn't have a ${ DinkumSaveManifest.versionCheckFileName }.`);
+
+		return true;
+	}
+
+	if (DinkumSaveManifest.isSameGameVersion(manifest.gameVersion, saveGameVersion))
+	{
+		logger.debug(`The dump and the save are both from game version ${ DinkumSaveManifest.formatGameVersion(saveGameVersion) }.`);
+
+		return true;
+	}
+
+	const message = `The dump is from game version ${ DinkumSaveManifest.formatGameVersion(manifest.gameVersion) }, but the save is from game version ${ DinkumSaveManifest.formatGameVersion(saveGameVersion) }.`;
+
+	if (force)
+	{
+		logger.info(message);
+		logger.info("Importing anyway as --force was given.");
+	}
+	else
+	{
+		logger.error(message);
+		logger.error("Not importing anything as the game versions don't match. Pass --force to import anyway.");
+	}
+
+	return force;
+}
+
+/**
+ * Imports every JSON file in a dump directory and its subdirectories back into .dat files in a save
+ * directory, in the same subdirectories they were dumped from.
+ * 
+ * Every file is validated before anything is written. If any of them fail, or the dump was made from
+ * a different game version than the save, nothing is written at all. Otherwise, the output directory is
+ * backed up and each file is written atomically, so it's never left half written.
+ * 
+ * @param {String} dumpDir The directory to read JSON files from.
+ * @param {String} saveDir The save directory being imported into, which the game version is read from.
+ * @param {String} outDir The directory to write .dat files to. Usually the save directory.
+ * @param {Boolean} force Whether to import even if the dump was made from a different game version than the save.
+ * @param {Logger} logger The logger to write progress to.
+ * @returns {Boolean} Whether the files were imported.
+ */
+function importSave(dumpDir, saveDir, outDir, force, logger)
+{
+	if (!checkGameVersion(dumpDir, saveDir, force, logger))
+	{
+		return false;
+	}
+
+	const jsonFileNames = getRelativeFilePaths(dumpDir, (fileName) => fileName.endsWith(".dat.json"));
+
+	const encodedFiles = [];
+
+	let failed = false;
+
+	for (const jsonFileName of jsonFileNames)
+	{
+		try
+		{
+			encodedFiles.push(
+				{
+					path: path.join(outDir, jsonFileName.slice(0, -".json".length)),
+					bytes: encodeJsonFile(path.join(dumpDir, jsonFileName), logger),
+				});
+		}
+		catch(error)
+		{
+			logger.error(`Failed to validate ${ jsonFileName }:`, error);
+
+			failed = true;
+		}
+	}
+
+	if (failed)
+	{
+		logger.error("Not importing anything as some files failed validation.");
+
+		return false;
+	}
+
+	fs.mkdirSync(outDir,
+		{
+			recursive: true,
+		});
+
+	const backup = DinkumSaveBackup.create(outDir);
+
+	if (backup != null)
+	{
+		logger.info(`Backed up ${ backup.fileCount } file(s) to ${ backup.path }`);
+	}
+
+	for (const encodedFile of encodedFiles)
+	{
+		logger.info(`Writing ${ encodedFile.path }`);
+
+		fs.mkdirSync(path.dirname(encodedFile.path),
+			{
+				recursive: true,
+			});
+
+		AtomicFileWriter.writeFileSync(encodedFile.path, encodedFile.bytes);
+	}
+
+	return true;
+}
+
+/**
+ * Validates every .dat file in a save directory, or every JSON file in a dump directory, including
+ * those in subdirectories, and prints whether each of them passed.
+ * 
+ * @param {String} dir The save or dump directory.
+ * @param {Boolean} json Whether to validate the JSON files in a dump directory rather than .dat files.
+ * @param {Boolean} lenient Whether .dat files that break rules pass, as long as they can be read, with the rules they break listed as warnings.
+ * @param {Logger} logger The logger to write progress to.
+ * @returns {Promise<Boolean>} Whether every file passed.
+ */
+async function validateFiles(dir, json, lenient, logger)
+{
+	const fileNames = json
+		? getRelativeFilePaths(dir, (fileName) => fileName.endsWith(".dat.json"))
+		: getSaveFileNames(dir);
+
+	const results = [];
+
+	for (const fileName of fileNames)
+	{
+		const filePath = path.join(dir, fileName);
+
+		try
+		{
+			let warnings = [];
+
+			if (json)
+			{
+				encodeJsonFile(filePath, logger);
+			}
+			else if (lenient)
+			{
+				warnings = readSaveFile(filePath, logger).violations.map(DotNetValidationError.formatViolation);
+			}
+			else
+			{
+				await DotNetBinaryReader.readFile(filePath, { logger });
+			}
+
+			results.push({ fileName, errors: [], warnings });
+		}
+		catch(error)
+		{
+			const errors = error instanceof DotNetValidationError
+				? error.violations.map(DotNetValidationError.formatViolation)
+				: [ error.message ];
+
+			results.push({ fileName, errors, warnings: [] });
+		}
+	}
+
+	for (const result of results)
+	{
+		if (result.errors.length == 0)
+		{
+			logger.info(`PASS ${ result.fileName }`);
+		}
+		else
+		{
+			logger.error(`FAIL ${ result.fileName }`);
+		}
+
+		for (const error of result.errors)
+		{
+			logger.error(`\t${ error }`);
+		}
+
+		for (const warning of result.warnings)
+		{
+			logger.info(`\tWarning: ${ warning }`);
+		}
+	}
+
+	const failedCount = results.filter((result) => result.errors.length > 0).length;
+
+	logger.info(`Validated ${ results.length } file(s): ${ results.length - failedCount } passed, ${ failedCount } failed.`);
+
+	return failedCount == 0;
+}
+
+
+/**
+ * Reads a .dat file without throwing if it breaks any of the rules of the file format.
+ * 
+ * @param {String} filePath
+ * @param {Logger} logger The logger to write progress to.
+ * @returns {{ records: Array, violations: import("./classes/DotNetBinaryReader.js").DotNetBinaryReaderViolation[] }}
+ */
+function readSaveFile(filePath, logger)
+{
+	const binaryReader = new DotNetBinaryReader(new Uint8Array(fs.readFileSync(filePath)).buffer,
+		{
+			strict: false,
+			logger,
+		});
+
+	const records = binaryReader.read();
+
+	return {
+		records,
+		violations: binaryReader.violations,
+	};
+}
+
+/**
+ * Gets the paths of every file in a directory and its subdirectories that a filter accepts, relative
+ * to the directory.
+ * 
+ * Symbolic links to directories aren't followed, so a link back up the tree can't cause a loop.
+ * 
+ * @param {String} dir
+ * @param {(fileName: String) => Boolean} filter Whether to include a file, given its name.
+ * @param {String} [relativeDir] The subdirectory to look in, relative to dir. Used for recursion.
+ * @returns {String[]}
+ */
+function getRelativeFilePaths(dir, filter, relativeDir = "")
+{
+	const filePaths = [];
+
+	const entries = fs.readdirSync(path.join(dir, relativeDir),
+		{
+			withFileTypes: true,
+		});
+
+	for (const entry of entries)
+	{
+		const relativePath = path.join(relativeDir, entry.name);
+
+		if (entry.isDirectory())
+		{
+			filePaths.push(...getRelativeFilePaths(dir, filter, relativePath));
+		}
+		else if (entry.isFile() && filter(entry.name))
+		{
+			filePaths.push(relativePath);
+		}
+	}
+
+	return filePaths.sort();
+}
+
+/**
+ * Gets the paths of every .dat file in a save directory and its subdirectories, other than
+ * versionCheck.dat, relative to the save directory.
+ * 
+ * @param {String} saveDir
+ * @returns {String[]}
+ */
+function getSaveFileNames(saveDir)
+{
+	return getRelativeFilePaths(saveDir, (fileName) => fileName.endsWith(".dat") && fileName != DinkumSaveManifest.versionCheckFileName);
+}
 
-const dumpDir = path.join(saveDir, "_JSON_DUMP");
+/**
+ * Prints a summary of every .dat file in a save directory.
+ * 
+ * @param {String} saveDir
+ * @param {"text"|"json"} format Whether to print the summary as text or JSON. JSON is always printed, even if the logger is silent.
+ * @param {Logger} logger The logger to write progress and text to.
+ * @returns {Boolean} Whether every file could be read.
+ */
+function printSaveInfo(saveDir, format, logger)
+{
+	const results = [];
+
+	for (const fileName of getSaveFileNames(saveDir))
+	{
+		const filePath = path.join(saveDir, fileName);
+
+		const stats = fs.statSync(filePath);
+
+		const result =
+		{
+			fileName,
+			byteCount: stats.size,
+			modified: stats.mtime.toISOString(),
+		};
+
+		try
+		{
+			const { records, violations } = readSaveFile(filePath, logger);
+
+			const header = records.find((record) => record.RecordTypeEnum == DotNetBinaryReader.RecordTypeEnumeration.SerializedStreamHeader);
+
+			const rootRecord = records.find((record) => header != null && DotNetBinaryReader.getObjectId(record) == header.RootId);
+
+			result.recordCount = records.length;
+			result.rootType = rootRecord?.ClassInfo?.Name ?? null;
+			result.violationCount = violations.length;
+		}
+		catch(error)
+		{
+			result.error = error.message;
+		}
+
+		results.push(result);
+	}
+
+	if (format == "json")
+	{
+		process.stdout.write(JSON.stringify(results, null, "\t") + "\n");
+	}
+	else
+	{
+		for (const result of results)
+		{
+			logger.info(result.fileName);
+			logger.info(`\tSize: ${ result.byteCount } byte(s)`);
+			logger.info(`\tModified: ${ result.modified }`);
+
+			if (result.error != null)
+			{
+				logger.info(`\tError: ${ result.error }`);
+
+				continue;
+			}
+
+			logger.info(`\tRecords: ${ result.recordCount }`);
+			logger.info(`\tRoot type: ${ result.rootType ?? "(none)" }`);
+			logger.info(`\tRules broken: ${ result.violationCount }`);
+		}
+	}
+
+	return results.every((result) => result.error == null);
+}
+
+/**
+ * Prints every save slot in the Dinkum save directories that could be found.
+ * 
+ * @param {"text"|"json"} format Whether to print the slots as text or JSON. JSON is always printed, even if the logger is silent.
+ * @param {Logger} logger The logger to write text to.
+ * @returns {Boolean} Whether any slots were found.
+ */
+function printSaveSlots(format, logger)
+{
+	const saveLocator = new DinkumSaveLocator();
+
+	const slots = saveLocator.getSlots();
+
+	if (format == "json")
+	{
+		process.stdout.write(JSON.stringify(slots, null, "\t") + "\n");
+	}
+	else
+	{
+		for (const slot of slots)
+		{
+			logger.info(slot.name);
+			logger.info(`\tPath: ${ slot.path }`);
+			logger.info(`\tFiles: ${ slot.fileCount }`);
+			logger.info(`\tModified: ${ slot.modified?.toISOString() ?? "(never)" }`);
+		}
+
+		if (slots.length == 0)
+		{
+			const searchedDirs = saveLocator.getCandidateDirectories();
+
+			logger.info(searchedDirs.length > 0
+				? `No save slots found. Searched:\n\t${ searchedDirs.join("\n\t") }`
+				: `No save slots found. The Dinkum save directory isn't known on ${ process.platform }, so DINKUM_SAVE_DIR must be set.`);
+		}
+	}
+
+	return slots.length > 0;
+}
+
+/**
+ * Lists the backups of a save directory, or rolls it back to one of them.
+ * 
+ * @param {String} saveDir
+ * @param {String|undefined} backupName The name of the backup to restore, or latest for the newest one. If not given, the backups are listed instead.
+ * @param {Logger} logger The logger to write progress and backups to.
+ * @returns {Boolean} Whether the save directory has any backups.
+ */
+function restoreSave(saveDir, backupName, logger)
+{
+	const backups = DinkumSaveBackup.list(saveDir);
+
+	if (backups.length == 0)
+	{
+		logger.info(`No backups of ${ saveDir } found in ${ DinkumSaveBackup.getBackupsDirectory(saveDir) }.`);
+
+		return false;
+	}
+
+	if (backupName == null)
+	{
+		logger.info(`Backups of ${ saveDir }, from oldest to newest:`);
+
+		for (const backup of backups)
+		{
+			logger.info(`\t${ backup.name } (${ backup.fileCount } file(s))`);
+		}
+
+		logger.info("Pass --backup with one of these names, or latest, to restore it.");
+
+		return true;
+	}
+
+	const backup = backupName == "latest"
+		? backups.at(-1)
+		: backups.find((listedBackup) => listedBackup.name == backupName);
+
+	if (backup == null)
+	{
+		throw new CommandLineError(`Backup not found: ${ backupName }. Run restore without --backup to list the backups of ${ saveDir }.`, ExitCodeEnumeration.NotFound);
+	}
+
+	const currentBackup = DinkumSaveBackup.restore(saveDir, backup);
+
+	if (currentBackup != null)
+	{
+		logger.info(`Backed up ${ currentBackup.fileCount } file(s) to ${ currentBackup.path }`);
+	}
+
+	logger.info(`Restored ${ saveDir } to backup ${ backup.name }`);
+
+	return true;
+}
+
+/**
+ * Collects every difference between two JSON values.
+ * 
+ * @param {*} before
+ * @param {*} after
+ * @param {String} valuePath The path to the values, such as $root.inventory[3].
+ * @param {{ path: String, before: *, after: * }[]} differences The array to add the differences to.
+ */
+function diffValues(before, after, valuePath, differences)
+{
+	if (before === after)
+	{
+		return;
+	}
+
+	const isObject = (value) => typeof value == "object" && value != null;
+
+	if (!isObject(before) || !isObject(after) || Array.isArray(before) != Array.isArray(after))
+	{
+		differences.push({ path: valuePath, before, after });
+
+		return;
+	}
+
+	const keys = new Set([ ...Object.keys(before), ...Object.keys(after) ]);
+
+	for (const key of keys)
+	{
+		const keyPath = Array.isArray(before)
+			? `${ valuePath }[${ key }]`
+			: valuePath == "" ? key : `${ valuePath }.${ key }`;
+
+		diffValues(before[key], after[key], keyPath, differences);
+	}
+}
 
-fs.mkdirSync(dumpDir,
+/**
+ * Collects every difference between two .dat files.
+ * 
+ * The files are compared as semantic views where possible, so that objects moving to different
+ * ObjectIds aren't reported as changes. Otherwise, their raw records are compared.
+ * 
+ * @param {String} beforePath
+ * @param {String} afterPath
+ * @param {Logger} logger The logger to write progress to.
+ * @returns {{ path: String, before: *, after: * }[]}
+ * @throws {Error} If either file can't be read, saying which one.
+ */
+function diffFiles(beforePath, afterPath, logger)
+{
+	const [ beforeRecords, afterRecords ] = [ beforePath, afterPath ].map((filePath) =>
 	{
-		recursive: true,
+		try
+		{
+			return readSaveFile(filePath, logger).records;
+		}
+		catch(error)
+		{
+			throw new Error(`${ filePath } couldn't be read: ${ error.message }`, { cause: error });
+		}
 	});
 
-for (const entry of saveDirEntries)
+	let before;
+
+	let after;
+
+	try
+	{
+		before = DotNetSemanticJson.fromRecords(beforeRecords);
+
+		after = DotNetSemanticJson.fromRecords(afterRecords);
+	}
+	catch(error)
+	{
+		logger.debug(`Comparing the raw records of ${ beforePath } and ${ afterPath } as their semantic views couldn't be made:`, error.message);
+
+		before = DotNetTypedJson.encodeRecords(beforeRecords);
+
+		after = DotNetTypedJson.encodeRecords(afterRecords);
+	}
+
+	// Note: Round trips through JSON so that values are compared the same way they'd be dumped
+	const differences = [];
+
+	diffValues(JSON.parse(JSON.stringify(before)), JSON.parse(JSON.stringify(after)), "", differences);
+
+	return differences;
+}
+
+/**
+ * Prints what changed between two saves, or two .dat files.
+ * 
+ * @param {String} beforePath A save directory or .dat file.
+ * @param {String} afterPath A save directory or .dat file, the same kind as beforePath.
+ * @param {Logger} logger The logger to write progress and differences to.
+ * @returns {Number} The exit code: Success if nothing changed, Failure if something did, or Unreadable if any file couldn't be read.
+ */
+function printDiff(beforePath, afterPath, logger)
 {
-	if (entry.isFile())
+	const beforeStats = fs.statSync(beforePath, { throwIfNoEntry: false });
+
+	const afterStats = fs.statSync(afterPath, { throwIfNoEntry: false });
+
+	for (const [ filePath, stats ] of [ [ beforePath, beforeStats ], [ afterPath, afterStats ] ])
 	{
+		if (stats == null)
+		{
+			throw new CommandLineError(`File or directory not found: ${ filePath }`, ExitCodeEnumeration.NotFound);
+		}
+	}
+
+	if (beforeStats.isDirectory() != afterStats.isDirectory())
+	{
+		throw new CommandLineError("diff must be given two save directories or two .dat files.", ExitCodeEnumeration.UsageError);
+	}
+
+	const filePairs = [];
+
+	if (beforeStats.isDirectory())
+	{
+		const beforeFileNames = getSaveFileNames(beforePath);
+
+		const afterFileNames = getSaveFileNames(afterPath);
+
+		for (const fileName of new Set([ ...beforeFileNames, ...afterFileNames ]))
+		{
+			filePairs.push(
+				{
+					name: fileName,
+					beforePath: beforeFileNames.includes(fileName) ? path.join(beforePath, fileName) : null,
+					afterPath: afterFileNames.includes(fileName) ? path.join(afterPath, fileName) : null,
+				});
+		}
+	}
+	else
+	{
+		filePairs.push(
+			{
+				name: path.basename(afterPath),
+				beforePath,
+				afterPath,
+			});
+	}
+
+	const formatValue = (value) =>
+	{
+		if (value === undefined)
+		{
+			return "(missing)";
+		}
+
+		const json = JSON.stringify(value);
+
+		return json.length > 80
+			? json.slice(0, 77) + "..."
+			: json;
+	};
+
+	let changed = false;
+
+	let unreadable = false;
+
+	for (const filePair of filePairs)
+	{
+		if (filePair.beforePath == null || filePair.afterPath == null)
+		{
+			logger.info(`${ filePair.name }: only in ${ filePair.beforePath == null ? afterPath : beforePath }`);
+
+			changed = true;
+
+			continue;
+		}
+
+		let differences;
+
 		try
 		{
-			const data = await DotNetBinaryReader.readFile(path.join(saveDir, entry.name));
-
-			fs.writeFileSync(path.join(dumpDir, entry.name + ".json"), 
-				JSON.stringify(data, 
-					(key, value) =>
-					{
-						if(typeof(value) == "bigint")
-						{
-							return value.toString();
-						}
-		
-						return value;
-					}, 
-					"\t"));
+			differences = diffFiles(filePair.beforePath, filePair.afterPath, logger);
 		}
 		catch(error)
 		{
-			console.log(error);
+			logger.error(`${ filePair.name }: not compared as ${ error.message }`);
+
+			unreadable = true;
+
+			continue;
+		}
+
+		for (const difference of differences)
+		{
+			logger.info(`${ filePair.name }: ${ difference.path || "(root)" }: ${ formatValue(difference.before) } -> ${ formatValue(difference.after) }`);
+		}
+
+		if (differences.length > 0)
+		{
+			changed = true;
+		}
+	}
+
+	if (unreadable)
+	{
+		return ExitCodeEnumeration.Unreadable;
+	}
+
+	return changed
+		? ExitCodeEnumeration.Failure
+		: ExitCodeEnumeration.Success;
+}
+
+/**
+ * Runs a command.
+ * 
+ * @param {String} command The name of the command.
+ * @param {String[]} positionals The arguments given after the command, other than options.
+ * @param {Object<String, *>} values The options given on the command line.
+ * @param {Logger} logger The logger to write progress to.
+ * @returns {Promise<Number>} The exit code.
+ */
+async function runCommand(command, positionals, values, logger)
+{
+	const maximumPositionalCount =
+		{
+			dump: 1,
+			import: 2,
+			validate: 2,
+			info: 1,
+			diff: 2,
+			list: 0,
+			restore: 1,
+		}[command];
+
+	if (positionals.length > maximumPositionalCount)
+	{
+		throw new CommandLineError(`Too many arguments for ${ command }: ${ positionals.join(" ") }`, ExitCodeEnumeration.UsageError);
+	}
+
+	for (const [ name, value ] of Object.entries(values))
+	{
+		if (value != null && ![ "help", "quiet", "log-level" ].includes(name) && !commandOptions[command].includes(name))
+		{
+			throw new CommandLineError(`The --${ name } option can't be used with ${ command }.`, ExitCodeEnumeration.UsageError);
 		}
 	}
-	else if (entry.isDirectory())
+
+	const format = values.format ?? commandFormats[command]?.[0];
+
+	if (commandFormats[command] != null && !commandFormats[command].includes(format))
 	{
-		console.log("SKIPPING DIRECTORY FOR NOW:", entry.name);
-		// TODO: Recursion
+		throw new CommandLineError(`Invalid format for ${ command }: ${ format } (must be one of ${ commandFormats[command].join(", ") }).`, ExitCodeEnumeration.UsageError);
 	}
-}
\ No newline at end of file
+
+	const succeeded = (success) => success ? ExitCodeEnumeration.Success : ExitCodeEnumeration.Failure;
+
+	switch (command)
+	{
+		case "dump":
+		{
+			const saveDir = resolveSaveDirectory(positionals[0], values.slot);
+
+			return succeeded(await dumpSave(saveDir, values.out ?? path.join(saveDir, "_JSON_DUMP"),
+				{
+					format,
+					recover: values.recover,
+					logger,
+				}));
+		}
+
+		case "import":
+		{
+			const saveDir = resolveSaveDirectory(positionals[0], values.slot);
+
+			const dumpDir = resolveDumpDirectory(positionals[1], values.dump, saveDir);
+
+			assertDirectoryExists(dumpDir);
+
+			return succeeded(importSave(dumpDir, saveDir, values.out ?? saveDir, values.force ?? false, logger));
+		}
+
+		case "validate":
+		{
+			const saveDir = resolveSaveDirectory(positionals[0], values.slot);
+
+			if (values.dump != null && !values.json)
+			{
+				throw new CommandLineError("--dump can only be used with --json, as validate checks the save's .dat files otherwise.", ExitCodeEnumeration.UsageError);
+			}
+
+			const dir = values.json
+				? resolveDumpDirectory(positionals[1], values.dump, saveDir)
+				: saveDir;
+
+			if (values.json && values.lenient)
+			{
+				throw new CommandLineError("--lenient only applies to .dat files, so it can't be used with --json.", ExitCodeEnumeration.UsageError);
+			}
+
+			assertDirectoryExists(dir);
+
+			return succeeded(await validateFiles(dir, values.json ?? false, values.lenient ?? false, logger));
+		}
+
+		case "info":
+			return succeeded(printSaveInfo(resolveSaveDirectory(positionals[0], values.slot), format, logger));
+
+		case "diff":
+			if (positionals.length != 2)
+			{
+				throw new CommandLineError("diff must be given two save directories or two .dat files.", ExitCodeEnumeration.UsageError);
+			}
+
+			return printDiff(positionals[0], positionals[1], logger);
+
+		case "list":
+			return printSaveSlots(format, logger)
+				? ExitCodeEnumeration.Success
+				: ExitCodeEnumeration.NotFound;
+
+		case "restore":
+			return restoreSave(resolveSaveDirectory(positionals[0], values.slot), values.backup, logger)
+				? ExitCodeEnumeration.Success
+				: ExitCodeEnumeration.NotFound;
+	}
+}
+
+//
+// Application
+//
+
+let args;
+
+try
+{
+	args = parseArgs(
+		{
+			args: process.argv.slice(2),
+			options:
+			{
+				"slot": { type: "string" },
+				"dump": { type: "string" },
+				"out": { type: "string" },
+				"format": { type: "string" },
+				"recover": { type: "boolean" },
+				"force": { type: "boolean" },
+				"backup": { type: "string" },
+				"json": { type: "boolean" },
+				"lenient": { type: "boolean" },
+				"log-level": { type: "string" },
+				"quiet": { type: "boolean", short: "q" },
+				"help": { type: "boolean", short: "h" },
+			},
+			allowPositionals: true,
+		});
+}
+catch(error)
+{
+	console.error(error.message);
+	console.error();
+	console.error(usage);
+
+	process.exit(ExitCodeEnumeration.UsageError);
+}
+
+if (args.values.help)
+{
+	console.log(usage);
+
+	process.exit(ExitCodeEnumeration.Success);
+}
+
+// Note: Anything that isn't a command is taken to be the save directory for dump, as it was before
+//	there were commands
+const command = Object.hasOwn(commandOptions, args.positionals[0])
+	? args.positionals[0]
+	: "dump";
+
+const positionals = command == args.positionals[0]
+	? args.positionals.slice(1)
+	: args.positionals;
+
+try
+{
+	if (args.values.quiet && args.values["log-level"] != null)
+	{
+		throw new CommandLineError("--quiet and --log-level can't both be given.", ExitCodeEnumeration.UsageError);
+	}
+
+	const logLevel = args.values.quiet ? "silent" : args.values["log-level"] ?? "info";
+
+	if (!Object.hasOwn(Logger.LevelEnumeration, logLevel))
+	{
+		throw new CommandLineError(`Invalid log level: ${ logLevel } (must be one of ${ Object.keys(Logger.LevelEnumeration).join(", ") }).`, ExitCodeEnumeration.UsageError);
+	}
+
+	const logger = new Logger(
+		{
+			level: logLevel,
+		});
+
+	process.exitCode = await runCommand(command, positionals, args.values, logger);
+}
+catch(error)
+{
+	if (!(error instanceof CommandLineError))
+	{
+		throw error;
+	}
+
+	console.error(error.message);
+
+	if (error.exitCode == ExitCodeEnumeration.UsageError)
+	{
+		console.error("Run with --help for usage instructions.");
+	}
+
+	process.exitCode = error.exitCode;
+}
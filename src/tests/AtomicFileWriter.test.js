@@ -0,0 +1,59 @@
+//
+// Imports
+//
+
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import test from "node:test";
+
+import { AtomicFileWriter } from "../classes/AtomicFileWriter.js";
+
+import { withTempDir } from "./helpers.js";
+
+//
+// Tests
+//
+
+test("replaces the contents of a file without leaving a temporary file behind", () =>
+{
+	withTempDir((dir) =>
+	{
+		const filePath = path.join(dir, "playerInfo.dat");
+
+		fs.writeFileSync(filePath, "old");
+
+		AtomicFileWriter.writeFileSync(filePath, new Uint8Array([ 1, 2, 3 ]));
+
+		assert.deepEqual(new Uint8Array(fs.readFileSync(filePath)), new Uint8Array([ 1, 2, 3 ]));
+
+		assert.deepEqual(fs.readdirSync(dir), [ "playerInfo.dat" ]);
+	});
+});
+
+test("leaves a file as it was and removes the temporary file when a write fails", () =>
+{
+	withTempDir((dir) =>
+	{
+		const filePath = path.join(dir, "playerInfo.dat");
+
+		fs.writeFileSync(filePath, "old");
+
+		assert.throws(() => AtomicFileWriter.writeFileSync(filePath, 12345), TypeError);
+
+		assert.equal(fs.readFileSync(filePath, "utf8"), "old");
+
+		assert.deepEqual(fs.readdirSync(dir), [ "playerInfo.dat" ]);
+	});
+});
+
+test("only takes the names of its own temporary files for temporary files", () =>
+{
+	assert.equal(AtomicFileWriter.isTemporaryFileName(".playerInfo.dat.1234.tmp"), true);
+
+	assert.equal(AtomicFileWriter.isTemporaryFileName("playerInfo.dat"), false);
+
+	assert.equal(AtomicFileWriter.isTemporaryFileName(".playerInfo.dat.tmp"), false);
+
+	assert.equal(AtomicFileWriter.isTemporaryFileName("playerInfo.dat.1234.tmp"), false);
+});
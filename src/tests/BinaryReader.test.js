@@ -0,0 +1,48 @@
+//
+// Imports
+//
+
+import assert from "node:assert/strict";
+import test from "node:test";
+
+import { BinaryReader } from "../classes/BinaryReader.js";
+
+//
+// Tests
+//
+
+test("reads 7-bit encoded integers of every length up to 2^31 - 1", () =>
+{
+	const binaryReader = new BinaryReader(new Uint8Array(
+		[
+			0x7F,
+			0x80, 0x01,
+			0xFF, 0xFF, 0xFF, 0xFF, 0x07,
+		]));
+
+	assert.equal(binaryReader.read7BitEncodedInt(), 127);
+
+	assert.equal(binaryReader.read7BitEncodedInt(), 128);
+
+	assert.equal(binaryReader.read7BitEncodedInt(), 2 ** 31 - 1);
+
+	assert.equal(binaryReader.remaining, 0);
+});
+
+test("rejects a 7-bit encoded integer that's too large or longer than 5 bytes", () =>
+{
+	assert.throws(() => new BinaryReader(new Uint8Array([ 0xFF, 0xFF, 0xFF, 0xFF, 0x08 ])).read7BitEncodedInt("Length"), /Length MUST NOT be longer than 5 bytes or exceed 2\^31 - 1/);
+
+	assert.throws(() => new BinaryReader(new Uint8Array([ 0x80, 0x80, 0x80, 0x80, 0x80, 0x00 ])).read7BitEncodedInt("Length"), /Length MUST NOT be longer than 5 bytes/);
+});
+
+test("rejects reading a negative number of bytes", () =>
+{
+	const binaryReader = new BinaryReader(new Uint8Array([ 1, 2, 3 ]));
+
+	binaryReader.skip(1);
+
+	assert.throws(() => binaryReader.readBytes(-1, "Payload"), /Invalid byte count for Payload at position 1: -1 \(MUST be a non-negative integer\)/);
+
+	assert.equal(binaryReader.position, 1);
+});
@@ -0,0 +1,171 @@
+//
+// Imports
+//
+
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import test from "node:test";
+
+import { DinkumSaveBackup } from "../classes/DinkumSaveBackup.js";
+
+import { withTempDir } from "./helpers.js";
+
+//
+// Functions
+//
+
+/**
+ * Writes a file, making the directories it's in first.
+ * 
+ * @param {String} filePath
+ * @param {String} text
+ */
+function writeFile(filePath, text)
+{
+	fs.mkdirSync(path.dirname(filePath),
+		{
+			recursive: true,
+		});
+
+	fs.writeFileSync(filePath, text);
+}
+
+/**
+ * Reads every file in a directory and its subdirectories as text.
+ * 
+ * @param {String} dir
+ * @param {String} [relativeDir] The subdirectory to look in, relative to dir. Used for recursion.
+ * @returns {Object<String, String>} The text of each file, keyed by its path relative to the directory, with forward slashes.
+ */
+function readFiles(dir, relativeDir = "")
+{
+	const files = {};
+
+	for (const entry of fs.readdirSync(path.join(dir, relativeDir), { withFileTypes: true }))
+	{
+		const relativePath = relativeDir == "" ? entry.name : `${ relativeDir }/${ entry.name }`;
+
+		if (entry.isDirectory())
+		{
+			Object.assign(files, readFiles(dir, relativePath));
+		}
+		else
+		{
+			files[relativePath] = fs.readFileSync(path.join(dir, relativePath), "utf8");
+		}
+	}
+
+	return files;
+}
+
+//
+// Tests
+//
+
+test("backs up every file in a save next to it, other than the dump and temporary files", () =>
+{
+	withTempDir((dir) =>
+	{
+		const saveDir = path.join(dir, "Slot0");
+
+		writeFile(path.join(saveDir, "playerInfo.dat"), "player");
+		writeFile(path.join(saveDir, "Houses", "house0.dat"), "house");
+		writeFile(path.join(saveDir, "_JSON_DUMP", "playerInfo.dat.json"), "[]");
+		writeFile(path.join(saveDir, ".playerInfo.dat.1234.tmp"), "half written");
+
+		const backup = DinkumSaveBackup.create(saveDir);
+
+		assert.equal(path.dirname(backup.path), path.join(dir, "_BACKUPS", "Slot0"));
+
+		assert.equal(backup.fileCount, 2);
+
+		assert.deepEqual(readFiles(backup.path),
+			{
+				"Houses/house0.dat": "house",
+				"playerInfo.dat": "player",
+			});
+
+		assert.deepEqual(DinkumSaveBackup.list(saveDir), [ backup ]);
+	});
+});
+
+test("makes no backup of a save without any files", () =>
+{
+	withTempDir((dir) =>
+	{
+		fs.mkdirSync(path.join(dir, "Slot0"));
+
+		assert.equal(DinkumSaveBackup.create(path.join(dir, "Slot0")), null);
+
+		assert.deepEqual(DinkumSaveBackup.list(path.join(dir, "Slot0")), []);
+	});
+});
+
+test("restores the files in a backup and deletes those added since, backing up the save first", () =>
+{
+	withTempDir((dir) =>
+	{
+		const saveDir = path.join(dir, "Slot0");
+
+		writeFile(path.join(saveDir, "playerInfo.dat"), "player");
+		writeFile(path.join(saveDir, "Houses", "house0.dat"), "house");
+
+		const backup = DinkumSaveBackup.create(saveDir);
+
+		writeFile(path.join(saveDir, "playerInfo.dat"), "edited player");
+		fs.rmSync(path.join(saveDir, "Houses", "house0.dat"));
+		writeFile(path.join(saveDir, "added.dat"), "added");
+		writeFile(path.join(saveDir, "Sheds", "shed0.dat"), "shed");
+		writeFile(path.join(saveDir, "_JSON_DUMP", "playerInfo.dat.json"), "[]");
+
+		const currentBackup = DinkumSaveBackup.restore(saveDir, backup);
+
+		assert.deepEqual(readFiles(saveDir),
+			{
+				"Houses/house0.dat": "house",
+				"_JSON_DUMP/playerInfo.dat.json": "[]",
+				"playerInfo.dat": "player",
+			});
+
+		assert.ok(!fs.existsSync(path.join(saveDir, "Sheds")));
+
+		assert.deepEqual(readFiles(currentBackup.path),
+			{
+				"Sheds/shed0.dat": "shed",
+				"added.dat": "added",
+				"playerInfo.dat": "edited player",
+			});
+	});
+});
+
+test("lists backups from oldest to newest, comparing the numbers of those made in the same millisecond as numbers", () =>
+{
+	withTempDir((dir) =>
+	{
+		const saveDir = path.join(dir, "Slot0");
+
+		const names =
+		[
+			"2024-01-02T03-04-05-678Z_10",
+			"2024-01-02T03-04-05-678Z_2",
+			"2024-01-02T03-04-05-678Z",
+			"2023-12-31T23-59-59-999Z",
+			"2024-01-02T03-04-05-679Z",
+		];
+
+		for (const name of names)
+		{
+			writeFile(path.join(dir, "_BACKUPS", "Slot0", name, "playerInfo.dat"), name);
+		}
+
+		assert.deepEqual(DinkumSaveBackup.list(saveDir).map((backup) => backup.name),
+			[
+				"2023-12-31T23-59-59-999Z",
+				"2024-01-02T03-04-05-678Z",
+				"2024-01-02T03-04-05-678Z_2",
+				"2024-01-02T03-04-05-678Z_10",
+				"2024-01-02T03-04-05-679Z",
+			]);
+	});
+});
@@ -0,0 +1,157 @@
+//
+// Imports
+//
+
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import test from "node:test";
+
+import { DinkumSaveLocator } from "../classes/DinkumSaveLocator.js";
+
+import { withTempDir } from "./helpers.js";
+
+//
+// Functions
+//
+
+/**
+ * Writes a file, making the directories it's in first.
+ * 
+ * @param {String} filePath
+ * @param {String} [text]
+ */
+function writeFile(filePath, text = "")
+{
+	fs.mkdirSync(path.dirname(filePath),
+		{
+			recursive: true,
+		});
+
+	fs.writeFileSync(filePath, text);
+}
+
+//
+// Tests
+//
+
+test("only searches DINKUM_SAVE_DIR when it's set", () =>
+{
+	withTempDir((dir) =>
+	{
+		const saveLocator = new DinkumSaveLocator(
+			{
+				platform: "win32",
+				homeDir: dir,
+				env:
+				{
+					DINKUM_SAVE_DIR: dir,
+					USERPROFILE: path.join(dir, "User"),
+				},
+			});
+
+		assert.deepEqual(saveLocator.getCandidateDirectories(), [ dir ]);
+	});
+});
+
+test("lists the slots sorted by number, counting only the save's own .dat files", () =>
+{
+	withTempDir((dir) =>
+	{
+		writeFile(path.join(dir, "Slot10", "playerInfo.dat"));
+		writeFile(path.join(dir, "Slot2", "playerInfo.dat"));
+		writeFile(path.join(dir, "Slot2", "versionCheck.dat"));
+		writeFile(path.join(dir, "Slot2", "Houses", "house0.dat"));
+		writeFile(path.join(dir, "Slot2", "notes.txt"));
+		writeFile(path.join(dir, "Slot2", "_JSON_DUMP", "playerInfo.dat.json"));
+		writeFile(path.join(dir, "Slot2", "_JSON_DUMP", "copy.dat"));
+		writeFile(path.join(dir, "Slot2", "_BACKUPS", "Slot2", "2024-01-02T03-04-05-678Z", "playerInfo.dat"));
+		writeFile(path.join(dir, "_BACKUPS", "Slot2", "2024-01-02T03-04-05-678Z", "playerInfo.dat"));
+		writeFile(path.join(dir, "Slot3.bak", "playerInfo.dat"));
+
+		const modified = new Date("2024-01-02T03:04:05.000Z");
+
+		fs.utimesSync(path.join(dir, "Slot2", "Houses", "house0.dat"), modified, modified);
+
+		fs.utimesSync(path.join(dir, "Slot2", "playerInfo.dat"), new Date(0), new Date(0));
+
+		fs.utimesSync(path.join(dir, "Slot2", "versionCheck.dat"), new Date(0), new Date(0));
+
+		fs.utimesSync(path.join(dir, "Slot2", "notes.txt"), new Date(), new Date());
+
+		const saveLocator = new DinkumSaveLocator(
+			{
+				env:
+				{
+					DINKUM_SAVE_DIR: dir,
+				},
+			});
+
+		const slots = saveLocator.getSlots();
+
+		assert.deepEqual(slots.map((slot) => [ slot.name, slot.number, slot.path, slot.fileCount ]),
+			[
+				[ "Slot2", 2, path.join(dir, "Slot2"), 3 ],
+				[ "Slot10", 10, path.join(dir, "Slot10"), 1 ],
+			]);
+
+		assert.deepEqual(slots[0].modified, modified);
+
+		assert.equal(saveLocator.findSlot(10).path, path.join(dir, "Slot10"));
+
+		assert.equal(saveLocator.findSlot(3), null);
+	});
+});
+
+test("finds saves in the Steam libraries listed in libraryfolders.vdf on Linux", () =>
+{
+	withTempDir((dir) =>
+	{
+		const homeDir = path.join(dir, "home");
+
+		const libraryDir = path.join(dir, "games", "Steam Library");
+
+		const saveDirPath = [ "steamapps", "compatdata", "1062520", "pfx", "drive_c", "users", "steamuser", "AppData", "LocalLow", "James Bendon", "Dinkum" ];
+
+		writeFile(path.join(homeDir, ".local", "share", "Steam", "steamapps", "libraryfolders.vdf"), `"libraryfolders"
+{
+	"0"
+	{
+		"path"		"${ path.join(homeDir, ".local", "share", "Steam").replaceAll("\\", "\\\\") }"
+	}
+	"1"
+	{
+		"path"		"${ libraryDir.replaceAll("\\", "\\\\") }"
+	}
+}
+`);
+
+		writeFile(path.join(libraryDir, ...saveDirPath, "Slot0", "playerInfo.dat"));
+
+		const saveLocator = new DinkumSaveLocator(
+			{
+				platform: "linux",
+				homeDir,
+				env: {},
+			});
+
+		assert.ok(saveLocator.getCandidateDirectories().includes(path.join(libraryDir, ...saveDirPath)));
+
+		assert.deepEqual(saveLocator.getDirectories(), [ path.join(libraryDir, ...saveDirPath) ]);
+
+		assert.equal(saveLocator.findSlot(0).path, path.join(libraryDir, ...saveDirPath, "Slot0"));
+	});
+});
+
+test("searches nowhere on a platform it doesn't know", () =>
+{
+	const saveLocator = new DinkumSaveLocator(
+		{
+			platform: "aix",
+			env: {},
+		});
+
+	assert.deepEqual(saveLocator.getCandidateDirectories(), []);
+
+	assert.deepEqual(saveLocator.getSlots(), []);
+});
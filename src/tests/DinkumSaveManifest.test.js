@@ -0,0 +1,109 @@
+//
+// Imports
+//
+
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import test from "node:test";
+
+import { DinkumSaveManifest } from "../classes/DinkumSaveManifest.js";
+
+import { readFixtureBytes, withTempDir } from "./helpers.js";
+
+//
+// Tests
+//
+
+test("reads the members of the object in versionCheck.dat as the game version", () =>
+{
+	withTempDir((dir) =>
+	{
+		fs.writeFileSync(path.join(dir, "versionCheck.dat"), readFixtureBytes("versionCheck.dat"));
+
+		assert.deepEqual(DinkumSaveManifest.readGameVersion(dir),
+			{
+				version: 71,
+				build: "0.7.1",
+			});
+	});
+});
+
+test("reads no game version from a save without a versionCheck.dat", () =>
+{
+	withTempDir((dir) =>
+	{
+		assert.equal(DinkumSaveManifest.readGameVersion(dir), null);
+
+		assert.equal(DinkumSaveManifest.create(dir, "json").gameVersion, null);
+	});
+});
+
+test("throws on a versionCheck.dat that can't be read, but still creates a manifest without the game version", () =>
+{
+	withTempDir((dir) =>
+	{
+		fs.writeFileSync(path.join(dir, "versionCheck.dat"), readFixtureBytes("versionCheck.dat").subarray(0, 30));
+
+		assert.throws(() => DinkumSaveManifest.readGameVersion(dir), /Unexpected end of data/);
+
+		const manifest = DinkumSaveManifest.create(dir, "semantic");
+
+		assert.equal(manifest.gameVersion, null);
+
+		assert.equal(manifest.format, "semantic");
+	});
+});
+
+test("throws on a versionCheck.dat that doesn't hold an object", () =>
+{
+	withTempDir((dir) =>
+	{
+		fs.writeFileSync(path.join(dir, "versionCheck.dat"), readFixtureBytes("byte-order-mark.dat"));
+
+		assert.throws(() => DinkumSaveManifest.readGameVersion(dir), /versionCheck\.dat doesn't hold an object/);
+	});
+});
+
+test("compares game versions by each of their members", () =>
+{
+	const gameVersion =
+	{
+		version: 71,
+		build: "0.7.1",
+		seed:
+		{
+			$Int64: "1",
+		},
+	};
+
+	assert.equal(DinkumSaveManifest.isSameGameVersion(gameVersion, { ...gameVersion, seed: { $Int64: "1" } }), true);
+
+	assert.equal(DinkumSaveManifest.isSameGameVersion(gameVersion, { ...gameVersion, version: 72 }), false);
+
+	assert.equal(DinkumSaveManifest.isSameGameVersion(gameVersion, { ...gameVersion, extra: 1 }), false);
+
+	assert.equal(DinkumSaveManifest.isSameGameVersion(gameVersion, { version: 71, build: "0.7.1", other: 1 }), false);
+});
+
+test("writes a manifest that reads back the same", () =>
+{
+	withTempDir((dir) =>
+	{
+		const manifest =
+		{
+			gameVersion:
+			{
+				version: 71,
+			},
+			dumpedAt: "2024-01-02T03:04:05.678Z",
+			format: "json",
+		};
+
+		assert.equal(DinkumSaveManifest.read(dir), null);
+
+		DinkumSaveManifest.write(dir, manifest);
+
+		assert.deepEqual(DinkumSaveManifest.read(dir), manifest);
+	});
+});
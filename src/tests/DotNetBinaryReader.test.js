@@ -0,0 +1,681 @@
+//
+// Imports
+//
+
+import assert from "node:assert/strict";
+import test from "node:test";
+
+import { DotNetBinaryReader } from "../classes/DotNetBinaryReader.js";
+import { DotNetValidationError } from "../classes/DotNetValidationError.js";
+import { EndOfStreamError } from "../classes/EndOfStreamError.js";
+
+import { readFixture, readFixtureBytes, writeRecords } from "./helpers.js";
+
+//
+// Constants
+//
+
+/**
+ * The RecordTypeEnum values, for building records by hand.
+ */
+const RecordType = DotNetBinaryReader.RecordTypeEnumeration;
+
+/**
+ * The PrimitiveTypeEnum values, for building records by hand.
+ */
+const PrimitiveType = DotNetBinaryReader.PrimitiveTypeEnumeration;
+
+//
+// Functions
+//
+
+/**
+ * Reads a fixture without checking its rules and returns the rules it broke.
+ * 
+ * @param {String} fileName The name of a file in the fixtures directory.
+ * @returns {Object[]} The rule, record index and position of every violation, in the order they were found.
+ */
+function readFixtureViolations(fileName)
+{
+	return readViolations(readFixtureBytes(fileName));
+}
+
+/**
+ * Writes records into a serialization stream and reads it back without checking its rules.
+ * 
+ * @param {Object[]|Uint8Array} recordsOrBytes The records to write, or the bytes of a stream that has already been written.
+ * @returns {Object[]} The rule, record index and position of every violation, in the order they were found.
+ */
+function readViolations(recordsOrBytes)
+{
+	const bytes = recordsOrBytes instanceof Uint8Array ? recordsOrBytes : writeRecords(recordsOrBytes);
+
+	const binaryReader = new DotNetBinaryReader(bytes.buffer,
+		{
+			strict: false,
+		});
+
+	binaryReader.read();
+
+	return binaryReader.violations.map((violation) =>
+	{
+		return {
+			rule: violation.rule,
+			recordIndex: violation.recordIndex,
+			position: violation.position,
+		};
+	});
+}
+
+/**
+ * Makes a SerializedStreamHeader record, which is 17 bytes long.
+ * 
+ * @param {Object} [fields] Fields to use instead of those of a valid header with a RootId of 1.
+ * @returns {Object}
+ */
+function header(fields = {})
+{
+	return {
+		RecordTypeEnum: RecordType.SerializedStreamHeader,
+		RootId: 1,
+		HeaderId: -1,
+		MajorVersion: 1,
+		MinorVersion: 0,
+		...fields,
+	};
+}
+
+/**
+ * Makes a BinaryObjectString record, which is 7 bytes long for a single ASCII character.
+ * 
+ * @param {Number} objectId
+ * @param {String} value
+ * @returns {Object}
+ */
+function string(objectId, value)
+{
+	return {
+		RecordTypeEnum: RecordType.BinaryObjectString,
+		ObjectId: objectId,
+		Value: value,
+	};
+}
+
+/**
+ * Makes a BinaryLibrary record, which is 7 bytes long.
+ * 
+ * @param {Number} libraryId
+ * @returns {Object}
+ */
+function library(libraryId)
+{
+	return {
+		RecordTypeEnum: RecordType.BinaryLibrary,
+		LibraryId: libraryId,
+		LibraryName: "L",
+	};
+}
+
+/**
+ * Makes an ArraySingleObject record, whose elements start 9 bytes after the record does.
+ * 
+ * @param {Number} objectId
+ * @param {Object[]} elementValues The records of its elements, each taking up one element.
+ * @returns {Object}
+ */
+function objectArray(objectId, elementValues)
+{
+	return {
+		RecordTypeEnum: RecordType.ArraySingleObject,
+		ArrayInfo:
+		{
+			ObjectId: objectId,
+			Length: elementValues.length,
+		},
+		ElementValues: elementValues,
+	};
+}
+
+/**
+ * Makes a MemberReference record, which is 5 bytes long.
+ * 
+ * @param {Number} idRef
+ * @returns {Object}
+ */
+function reference(idRef)
+{
+	return {
+		RecordTypeEnum: RecordType.MemberReference,
+		IdRef: idRef,
+	};
+}
+
+//
+// Tests
+//
+
+test("keeps a leading byte order mark in a LengthPrefixedString", () =>
+{
+	const records = readFixture("byte-order-mark.dat");
+
+	assert.equal(records[1].Value, "\uFEFFhi");
+});
+
+test("decodes every type of primitive member", () =>
+{
+	const records = readFixture("primitives.dat");
+
+	assert.deepEqual(records[2].MemberValues,
+		[
+			{
+				Kind: 1,
+				Value: "2022-09-28T22:13:20.0000001Z",
+			},
+			{
+				Kind: 0,
+				Value: "0001-01-01T00:00:00.0000000",
+			},
+			{
+				Kind: 2,
+				Value: "9999-12-31T23:59:59.9999999",
+			},
+			{
+				Kind: 3,
+				Value: "2022-10-02T02:30:00.0000000",
+			},
+			"-1.02:00:00.0000005",
+			"00:00:00",
+			"-123.4500",
+			"€",
+			Math.fround(0.1),
+			0.1,
+			true,
+			255,
+			-128,
+			-32768,
+			65535,
+			-9007199254740993n,
+			18446744073709551615n,
+		]);
+});
+
+test("decodes strings with a multi-byte length prefix and Chars of more than one UTF-8 byte", () =>
+{
+	const records = readFixture("utf8-strings.dat");
+
+	assert.equal(records[1].Value, "é".repeat(100) + "🦆");
+
+	assert.equal(records[2].Value, "€");
+
+	assert.equal(records[3].Value, "A");
+});
+
+test("reads null records and runs of nulls with their counts", () =>
+{
+	const records = readFixture("strings-and-nulls.dat");
+
+	assert.deepEqual(records.slice(1),
+		[
+			{
+				RecordTypeEnum: RecordType.BinaryObjectString,
+				ObjectId: 1,
+				Value: "hello",
+			},
+			{
+				RecordTypeEnum: RecordType.ObjectNull,
+			},
+			{
+				RecordTypeEnum: RecordType.ObjectNullMultiple256,
+				NullCount: 5,
+			},
+			{
+				RecordTypeEnum: RecordType.ObjectNullMultiple,
+				NullCount: 300,
+			},
+			{
+				RecordTypeEnum: RecordType.MemberPrimitiveTyped,
+				PrimitiveTypeEnum: PrimitiveType.Int32,
+				Value: 42,
+			},
+		]);
+});
+
+test("reshapes rectangular BinaryArrays into nested arrays in row-major order, keeping their lower bounds", () =>
+{
+	const records = readFixture("multi-dimensional-array.dat");
+
+	assert.deepEqual(records[2].Lengths, [ 2, 1, 2 ]);
+
+	assert.deepEqual(records[2].LowerBounds, [ 10, 20, 30 ]);
+
+	assert.deepEqual(records[2].ElementValues, [ [ [ 1, 2 ] ], [ [ 3, 4 ] ] ]);
+
+	assert.deepEqual(records[3].ElementValues,
+		[
+			[
+				{
+					RecordTypeEnum: RecordType.BinaryObjectString,
+					ObjectId: 8,
+					Value: "a",
+				},
+				{
+					RecordTypeEnum: RecordType.ObjectNull,
+				},
+			],
+			[
+				{
+					RecordTypeEnum: RecordType.ObjectNull,
+				},
+				{
+					RecordTypeEnum: RecordType.ObjectNull,
+				},
+			],
+		]);
+});
+
+test("reads the arrays of a jagged array as nested records", () =>
+{
+	const records = readFixture("single-dimensional-arrays.dat");
+
+	assert.deepEqual(records[4].ElementValues, [ [ 0, 1, 2 ], [ 3, 4, 5 ] ]);
+
+	assert.deepEqual(records[5].ElementValues,
+		[
+			{
+				RecordTypeEnum: RecordType.ArraySinglePrimitive,
+				ArrayInfo:
+				{
+					ObjectId: 8,
+					Length: 1,
+				},
+				PrimitiveTypeEnum: PrimitiveType.Int32,
+				ElementValues: [ 9 ],
+			},
+			{
+				RecordTypeEnum: RecordType.ObjectNull,
+			},
+		]);
+});
+
+test("reads the records inline in members typed as Object", () =>
+{
+	const [ child, array ] = readFixture("inline-binary-libraries.dat")[2].MemberValues;
+
+	assert.equal(child.ClassInfo.Name, "Other");
+
+	assert.deepEqual(child.BinaryLibraries.map((library) => library.LibraryName), [ "Lib2" ]);
+
+	assert.deepEqual(child.MemberValues, [ 5 ]);
+
+	assert.deepEqual(array.ElementValues,
+		[
+			{
+				RecordTypeEnum: RecordType.ClassWithId,
+				ObjectId: 6,
+				MetadataId: 4,
+				MemberValues: [ 7 ],
+			},
+			{
+				RecordTypeEnum: RecordType.ObjectNull,
+			},
+		]);
+});
+
+test("reads a DateTime after the year 9999 and writes it back", () =>
+{
+	const bytes = new Uint8Array(
+		[
+			// SerializedStreamHeader
+			0, 1, 0, 0, 0, 255, 255, 255, 255, 1, 0, 0, 0, 0, 0, 0, 0,
+			// ArraySinglePrimitive of one DateTime with all 62 bits of its ticks set
+			15, 1, 0, 0, 0, 1, 0, 0, 0, 13, 255, 255, 255, 255, 255, 255, 255, 63,
+			// MessageEnd
+			11,
+		]);
+
+	const records = new DotNetBinaryReader(bytes.buffer).read();
+
+	assert.deepEqual(records[1].ElementValues,
+		[
+			{
+				Kind: 0,
+				Value: "14614-11-08T13:24:02.7387903",
+			},
+		]);
+
+	assert.deepEqual(writeRecords(records), bytes);
+});
+
+test("rejects a Char outside the Basic Multilingual Plane, which a Char can't hold", () =>
+{
+	const bytes = new Uint8Array(
+		[
+			// SerializedStreamHeader
+			0, 1, 0, 0, 0, 255, 255, 255, 255, 1, 0, 0, 0, 0, 0, 0, 0,
+			// ArraySinglePrimitive of one Char, U+1F986 encoded as UTF-8
+			15, 1, 0, 0, 0, 1, 0, 0, 0, 3, 0xF0, 0x9F, 0xA6, 0x86,
+			// MessageEnd
+			11,
+		]);
+
+	assert.throws(() => new DotNetBinaryReader(bytes.buffer).read(), /Invalid UTF-8 lead byte in Char: 240/);
+});
+
+test("throws an EndOfStreamError naming the field and record being read when the file is truncated", () =>
+{
+	const bytes = readFixtureBytes("class-with-id.dat").slice(0, 20);
+
+	assert.throws(() => new DotNetBinaryReader(bytes.buffer).read(), (error) =>
+	{
+		assert.ok(error instanceof EndOfStreamError);
+
+		assert.equal(error.field, "LibraryId");
+
+		assert.equal(error.recordType, "BinaryLibrary");
+
+		assert.equal(error.position, 18);
+
+		assert.equal(error.byteCount, 4);
+
+		assert.equal(error.remaining, 2);
+
+		assert.equal(error.message, "Unexpected end of data reading LibraryId in BinaryLibrary record at position 18: needed 4 byte(s) but only 2 remain.");
+
+		return true;
+	});
+});
+
+test("skips over a record that can't be read when recovering and lists the bytes it skipped", () =>
+{
+	const bytes = writeRecords([ header(), string(1, "a"), string(2, "b") ]);
+
+	// Note: Two bytes that aren't a record type, between the two strings
+	const corruptBytes = new Uint8Array([ ...bytes.subarray(0, 24), 0xFF, 0xFF, ...bytes.subarray(24) ]);
+
+	assert.throws(() => new DotNetBinaryReader(corruptBytes.buffer).read(), /Invalid record type/);
+
+	const binaryReader = new DotNetBinaryReader(corruptBytes.buffer,
+		{
+			recover: true,
+		});
+
+	assert.deepEqual(binaryReader.read().slice(1), [ string(1, "a"), string(2, "b") ]);
+
+	assert.deepEqual(binaryReader.unparsedRanges,
+		[
+			{
+				start: 24,
+				end: 26,
+				message: "Invalid record type: -1",
+			},
+		]);
+});
+
+test("lists everything up to the end of the data as skipped when recovering can't find another record", () =>
+{
+	const bytes = writeRecords([ header(), string(1, "a") ]);
+
+	// Note: Cuts the MessageEnd off and puts a truncated string in its place
+	const corruptBytes = new Uint8Array([ ...bytes.subarray(0, 24), RecordType.BinaryObjectString, 2, 0 ]);
+
+	const binaryReader = new DotNetBinaryReader(corruptBytes.buffer,
+		{
+			recover: true,
+		});
+
+	assert.equal(binaryReader.read().length, 2);
+
+	assert.deepEqual(binaryReader.unparsedRanges.map((unparsedRange) => [ unparsedRange.start, unparsedRange.end ]), [ [ 24, 27 ] ]);
+
+	assert.match(binaryReader.unparsedRanges[0].message, /Unexpected end of data reading ObjectId in BinaryObjectString record at position 25/);
+});
+
+test("reports a SerializationHeader that isn't the first record", () =>
+{
+	assert.deepEqual(readViolations([ header(), string(1, "a"), header() ]),
+		[
+			{
+				rule: "SerializationHeaderFirst",
+				recordIndex: 2,
+				position: 24,
+			},
+		]);
+});
+
+test("reports a SerializationHeader with a version other than 1.0", () =>
+{
+	assert.deepEqual(readViolations([ header({ MajorVersion: 2, MinorVersion: 1 }), string(1, "a") ]),
+		[
+			{
+				rule: "HeaderVersion",
+				recordIndex: 0,
+				position: 0,
+			},
+			{
+				rule: "HeaderVersion",
+				recordIndex: 0,
+				position: 0,
+			},
+		]);
+});
+
+test("reports a RootId that no record has", () =>
+{
+	assert.deepEqual(readViolations([ header({ RootId: 2 }), string(1, "a") ]),
+		[
+			{
+				rule: "RootIdResolves",
+				recordIndex: 0,
+				position: 0,
+			},
+		]);
+});
+
+test("reports a HeaderId that isn't -1, 0 or an ObjectId in the stream", () =>
+{
+	assert.deepEqual(readViolations([ header({ HeaderId: 5 }), string(1, "a") ]),
+		[
+			{
+				rule: "HeaderIdValid",
+				recordIndex: 0,
+				position: 0,
+			},
+		]);
+});
+
+test("reports an ObjectId used by more than one record", () =>
+{
+	assert.deepEqual(readViolations([ header(), string(1, "a"), string(1, "b") ]),
+		[
+			{
+				rule: "ObjectIdUnique",
+				recordIndex: 2,
+				position: 24,
+			},
+		]);
+});
+
+test("reports an ObjectId that isn't positive", () =>
+{
+	assert.deepEqual(readViolations([ header(), string(1, "a"), string(-1, "b") ]),
+		[
+			{
+				rule: "ObjectIdPositive",
+				recordIndex: 2,
+				position: 24,
+			},
+		]);
+});
+
+test("reports a LibraryId that isn't positive", () =>
+{
+	assert.deepEqual(readViolations([ header(), string(1, "a"), library(0) ]),
+		[
+			{
+				rule: "LibraryIdPositive",
+				recordIndex: 2,
+				position: 24,
+			},
+		]);
+});
+
+test("reports a LibraryId used by more than one BinaryLibrary", () =>
+{
+	assert.deepEqual(readViolations([ header(), string(1, "a"), library(2), library(2) ]),
+		[
+			{
+				rule: "LibraryIdUnique",
+				recordIndex: 3,
+				position: 31,
+			},
+		]);
+});
+
+test("reports an undefined LibraryId once at each member type that uses it", () =>
+{
+	assert.deepEqual(readFixtureViolations("invalid/library-id-before-binary-library.dat"),
+		[
+			{
+				rule: "LibraryIdDefined",
+				recordIndex: 2,
+				position: 58,
+			},
+			{
+				rule: "LibraryIdDefined",
+				recordIndex: 2,
+				position: 70,
+			},
+		]);
+});
+
+test("reports each MemberReference to an ObjectId no record has at its IdRef", () =>
+{
+	assert.deepEqual(readViolations([ header(), objectArray(1, [ reference(5), reference(6) ]) ]),
+		[
+			{
+				rule: "MemberReferenceResolves",
+				recordIndex: 1,
+				position: 27,
+			},
+			{
+				rule: "MemberReferenceResolves",
+				recordIndex: 1,
+				position: 32,
+			},
+		]);
+});
+
+test("reports a run of nulls that isn't positive", () =>
+{
+	const records = [ header(), objectArray(1,
+		[
+			{
+				RecordTypeEnum: RecordType.ObjectNullMultiple,
+				NullCount: 0,
+			},
+			{
+				RecordTypeEnum: RecordType.ObjectNull,
+			},
+		]) ];
+
+	// Note: The empty run takes up none of the elements, so the ObjectNull is the only one
+	records[1].ArrayInfo.Length = 1;
+
+	assert.deepEqual(readViolations(records),
+		[
+			{
+				rule: "NullCountPositive",
+				recordIndex: 1,
+				position: 26,
+			},
+		]);
+});
+
+test("reports a Decimal that isn't in the format .NET writes", () =>
+{
+	const records = [ header(),
+		{
+			RecordTypeEnum: RecordType.ArraySinglePrimitive,
+			ArrayInfo:
+			{
+				ObjectId: 1,
+				Length: 1,
+			},
+			PrimitiveTypeEnum: PrimitiveType.Decimal,
+			ElementValues: [ "1e5" ],
+		} ];
+
+	assert.deepEqual(readViolations(records),
+		[
+			{
+				rule: "DecimalFormat",
+				recordIndex: 1,
+				position: 17,
+			},
+		]);
+});
+
+test("reports a Null primitive once, reads it as null and writes it back", () =>
+{
+	const bytes = writeRecords([ header(), string(1, "a"),
+		{
+			RecordTypeEnum: RecordType.MemberPrimitiveTyped,
+			PrimitiveTypeEnum: PrimitiveType.Null,
+			Value: null,
+		} ]);
+
+	assert.deepEqual(readViolations(bytes),
+		[
+			{
+				rule: "PrimitiveTypeValid",
+				recordIndex: 2,
+				position: 24,
+			},
+		]);
+
+	const records = new DotNetBinaryReader(bytes.buffer,
+		{
+			strict: false,
+		}).read();
+
+	assert.equal(records[2].Value, null);
+
+	assert.deepEqual(writeRecords(records), bytes);
+});
+
+test("reports the rules a RootId without a record breaks", () =>
+{
+	assert.deepEqual(readFixtureViolations("invalid/root-id-without-record.dat"),
+		[
+			{
+				rule: "RootIdResolves",
+				recordIndex: 0,
+				position: 0,
+			},
+		]);
+});
+
+test("throws a DotNetValidationError when strict and returns the records when lenient", () =>
+{
+	const bytes = writeRecords([ header(), string(1, "a"), string(1, "b") ]);
+
+	assert.throws(() => new DotNetBinaryReader(bytes.buffer).read(), (error) =>
+	{
+		assert.ok(error instanceof DotNetValidationError);
+
+		assert.deepEqual(error.violations.map((violation) => violation.rule), [ "ObjectIdUnique" ]);
+
+		return true;
+	});
+
+	const binaryReader = new DotNetBinaryReader(bytes.buffer,
+		{
+			strict: false,
+		});
+
+	const records = binaryReader.read();
+
+	assert.deepEqual(records.map((record) => record.Value), [ undefined, "a", "b" ]);
+
+	assert.deepEqual(binaryReader.violations.map((violation) => violation.rule), [ "ObjectIdUnique" ]);
+});
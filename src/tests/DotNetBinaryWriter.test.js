@@ -0,0 +1,94 @@
+//
+// Imports
+//
+
+import assert from "node:assert/strict";
+import test from "node:test";
+
+import { DotNetBinaryReader } from "../classes/DotNetBinaryReader.js";
+
+import { getFixtureFileNames, readFixture, readFixtureBytes, writeRecords } from "./helpers.js";
+
+//
+// Functions
+//
+
+/**
+ * Writes a single primitive value, as the only element of an ArraySinglePrimitive.
+ * 
+ * @param {Number} type The PrimitiveTypeEnum of the value.
+ * @param {*} value
+ * @returns {Uint8Array}
+ */
+function writePrimitive(type, value)
+{
+	return writeRecords(
+		[
+			{
+				RecordTypeEnum: DotNetBinaryReader.RecordTypeEnumeration.SerializedStreamHeader,
+				RootId: 1,
+				HeaderId: -1,
+				MajorVersion: 1,
+				MinorVersion: 0,
+			},
+			{
+				RecordTypeEnum: DotNetBinaryReader.RecordTypeEnumeration.ArraySinglePrimitive,
+				ArrayInfo:
+				{
+					ObjectId: 1,
+					Length: 1,
+				},
+				PrimitiveTypeEnum: type,
+				ElementValues: [ value ],
+			},
+		]);
+}
+
+//
+// Tests
+//
+
+for (const fileName of getFixtureFileNames())
+{
+	test(`writes the records read from ${ fileName } back into identical bytes`, () =>
+	{
+		assert.deepEqual(writeRecords(readFixture(fileName)), readFixtureBytes(fileName));
+	});
+}
+
+test("rejects 64-bit integers outside their range instead of wrapping them", () =>
+{
+	assert.throws(() => writePrimitive(DotNetBinaryReader.PrimitiveTypeEnumeration.Int64, 0x8000000000000000n), /Invalid Int64: 9223372036854775808/);
+
+	assert.throws(() => writePrimitive(DotNetBinaryReader.PrimitiveTypeEnumeration.UInt64, -1n), /Invalid UInt64: -1/);
+
+	assert.throws(() => writePrimitive(DotNetBinaryReader.PrimitiveTypeEnumeration.UInt64, 0x10000000000000000n), /Invalid UInt64/);
+
+	assert.throws(() => writePrimitive(DotNetBinaryReader.PrimitiveTypeEnumeration.Int64, 1.5), /Invalid Int64: 1.5/);
+
+	writePrimitive(DotNetBinaryReader.PrimitiveTypeEnumeration.Int64, -0x8000000000000000n);
+
+	writePrimitive(DotNetBinaryReader.PrimitiveTypeEnumeration.UInt64, 0xFFFFFFFFFFFFFFFFn);
+});
+
+test("rejects a DateTime Kind that doesn't fit in two bits", () =>
+{
+	assert.throws(() => writePrimitive(DotNetBinaryReader.PrimitiveTypeEnumeration.DateTime,
+		{
+			Kind: 4,
+			Value: "2022-09-28T22:13:20.0000000",
+		}), /Invalid DateTime Kind: 4/);
+});
+
+test("rejects a Char that isn't a single UTF-16 code unit", () =>
+{
+	assert.throws(() => writePrimitive(DotNetBinaryReader.PrimitiveTypeEnumeration.Char, "ab"), /Invalid Char: ab/);
+
+	assert.throws(() => writePrimitive(DotNetBinaryReader.PrimitiveTypeEnumeration.Char, "🦆"), /Invalid Char/);
+
+	assert.throws(() => writePrimitive(DotNetBinaryReader.PrimitiveTypeEnumeration.Char, "\uD83E"), /Invalid Char/);
+
+	assert.throws(() => writePrimitive(DotNetBinaryReader.PrimitiveTypeEnumeration.Char, ""), /Invalid Char/);
+
+	writePrimitive(DotNetBinaryReader.PrimitiveTypeEnumeration.Char, "€");
+});
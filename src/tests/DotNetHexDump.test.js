@@ -0,0 +1,63 @@
+//
+// Imports
+//
+
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import test from "node:test";
+
+import { DotNetBinaryReader } from "../classes/DotNetBinaryReader.js";
+import { DotNetHexDump } from "../classes/DotNetHexDump.js";
+
+import { fixturesDirUrl, readFixtureBytes } from "./helpers.js";
+
+//
+// Functions
+//
+
+/**
+ * Reads a file with annotations and makes a hex dump of it, even if it can't be read all the way through.
+ * 
+ * @param {Uint8Array} bytes
+ * @returns {String}
+ */
+function makeHexDump(bytes)
+{
+	const binaryReader = new DotNetBinaryReader(bytes.buffer,
+		{
+			annotate: true,
+		});
+
+	try
+	{
+		binaryReader.read();
+	}
+	catch
+	{
+		// Note: The annotations still cover everything read before the error
+	}
+
+	return DotNetHexDump.stringify(binaryReader.annotations, bytes.buffer);
+}
+
+//
+// Tests
+//
+
+test("lists every record and field of class-with-id.dat with its offset, length and bytes", () =>
+{
+	const expectedHexDump = fs.readFileSync(new URL("hex-dumps/class-with-id.dat.txt", fixturesDirUrl), "utf8");
+
+	assert.equal(makeHexDump(readFixtureBytes("class-with-id.dat")), expectedHexDump);
+});
+
+test("ends a hex dump of a truncated file where reading stopped, with the bytes that weren't read", () =>
+{
+	const lines = makeHexDump(readFixtureBytes("class-with-id.dat").slice(0, 0x2B)).trimEnd().split("\n");
+
+	assert.deepEqual(lines.slice(-2),
+		[
+			"00000028       1  04                                                   ClassInfo MemberNames[0] length = 4",
+			"00000029       2  6E 61                                            Unread bytes",
+		]);
+});
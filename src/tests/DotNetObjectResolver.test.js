@@ -0,0 +1,165 @@
+//
+// Imports
+//
+
+import assert from "node:assert/strict";
+import test from "node:test";
+
+import { DotNetBinaryReader } from "../classes/DotNetBinaryReader.js";
+import { DotNetObjectResolver } from "../classes/DotNetObjectResolver.js";
+
+import { readFixture } from "./helpers.js";
+
+//
+// Constants
+//
+
+/**
+ * The RecordTypeEnum values, for building records by hand.
+ */
+const RecordType = DotNetBinaryReader.RecordTypeEnumeration;
+
+//
+// Tests
+//
+
+test("writes a shared object in full where it's first used and as a $ref everywhere else", () =>
+{
+	const tree = new DotNetObjectResolver(readFixture("shared-references.dat")).resolve();
+
+	assert.deepEqual(tree.grid,
+		[
+			{
+				$id: 8,
+				$values: [ 3 ],
+			},
+			{
+				$ref: 8,
+			},
+			null,
+		]);
+
+	assert.deepEqual(tree.arr, [ 1, 2 ]);
+});
+
+test("writes a reference back to an object that contains it as a $ref", () =>
+{
+	const tree = new DotNetObjectResolver(readFixture("shared-references.dat")).resolve();
+
+	assert.equal(tree.$id, 1);
+
+	assert.deepEqual(tree.child,
+		{
+			$type: "Child",
+			v: 5,
+			parent:
+			{
+				$ref: 1,
+			},
+		});
+
+	assert.deepEqual(tree.ref.parent,
+		{
+			$ref: 6,
+		});
+});
+
+test("follows a MemberReference to a record later in the stream", () =>
+{
+	const records = readFixture("shared-references.dat");
+
+	const resolver = new DotNetObjectResolver(records);
+
+	assert.equal(resolver.getReferencedRecord(records[2].MemberValues[4]), records[3]);
+
+	assert.equal(resolver.getClassRecord(records[3]), records[2].MemberValues[2]);
+
+	assert.deepEqual(resolver.resolve().ref,
+		{
+			$id: 6,
+			$type: "Child",
+			v: 9,
+			parent:
+			{
+				$ref: 6,
+			},
+		});
+});
+
+test("expands runs of nulls into one null per element", () =>
+{
+	const records =
+	[
+		{
+			RecordTypeEnum: RecordType.SerializedStreamHeader,
+			RootId: 1,
+			HeaderId: -1,
+			MajorVersion: 1,
+			MinorVersion: 0,
+		},
+		{
+			RecordTypeEnum: RecordType.ArraySingleObject,
+			ArrayInfo:
+			{
+				ObjectId: 1,
+				Length: 262,
+			},
+			ElementValues:
+			[
+				{
+					RecordTypeEnum: RecordType.BinaryObjectString,
+					ObjectId: 2,
+					Value: "a",
+				},
+				{
+					RecordTypeEnum: RecordType.ObjectNullMultiple256,
+					NullCount: 3,
+				},
+				{
+					RecordTypeEnum: RecordType.ObjectNull,
+				},
+				{
+					RecordTypeEnum: RecordType.ObjectNullMultiple,
+					NullCount: 256,
+				},
+				{
+					RecordTypeEnum: RecordType.MemberReference,
+					IdRef: 2,
+				},
+			],
+		},
+	];
+
+	assert.deepEqual(new DotNetObjectResolver(records).resolve(), [ "a", ...new Array(260).fill(null), "a" ]);
+});
+
+test("throws on a MemberReference to an ObjectId no record has", () =>
+{
+	const records =
+	[
+		{
+			RecordTypeEnum: RecordType.SerializedStreamHeader,
+			RootId: 1,
+			HeaderId: -1,
+			MajorVersion: 1,
+			MinorVersion: 0,
+		},
+		{
+			RecordTypeEnum: RecordType.ArraySingleObject,
+			ArrayInfo:
+			{
+				ObjectId: 1,
+				Length: 1,
+			},
+			ElementValues:
+			[
+				{
+					RecordTypeEnum: RecordType.MemberReference,
+					IdRef: 5,
+				},
+			],
+		},
+	];
+
+	assert.throws(() => new DotNetObjectResolver(records).resolve(), /No record has the referenced ObjectId: 5/);
+});
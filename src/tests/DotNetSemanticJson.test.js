@@ -0,0 +1,81 @@
+//
+// Imports
+//
+
+import assert from "node:assert/strict";
+import test from "node:test";
+
+import { DotNetBinaryReader } from "../classes/DotNetBinaryReader.js";
+import { DotNetSemanticJson } from "../classes/DotNetSemanticJson.js";
+
+import { readFixtureBytes, writeRecords } from "./helpers.js";
+
+//
+// Constants
+//
+
+/**
+ * The fixtures that hold a whole object graph, reachable from their root.
+ * 
+ * The rest are lists of records for testing how each one is read, which the semantic view can't represent.
+ */
+const fileNames =
+[
+	"byte-order-mark.dat",
+	"class-with-id.dat",
+	"empty-dictionary.dat",
+	"inline-binary-libraries.dat",
+	"lists-and-dictionaries.dat",
+	"multi-dimensional-array.dat",
+	"primitives.dat",
+	"shared-references.dat",
+	"strings-and-nulls.dat",
+	"system-classes.dat",
+	"typed-members.dat",
+	"utf8-strings.dat",
+];
+
+//
+// Functions
+//
+
+/**
+ * Reads a file into the semantic view, as it would be dumped.
+ * 
+ * @param {Uint8Array} bytes
+ * @returns {Object}
+ */
+function readSemanticView(bytes)
+{
+	const records = new DotNetBinaryReader(bytes.buffer).read();
+
+	return JSON.parse(DotNetSemanticJson.stringify(records));
+}
+
+//
+// Tests
+//
+
+for (const fileName of fileNames)
+{
+	test(`imports the semantic view of ${ fileName } back into a file with the same semantic view`, () =>
+	{
+		const view = readSemanticView(readFixtureBytes(fileName));
+
+		assert.deepEqual(readSemanticView(writeRecords(DotNetSemanticJson.toRecords(view))), view);
+	});
+}
+
+test("keeps the Version and HashSize of Dictionaries, including empty ones", () =>
+{
+	const view = readSemanticView(readFixtureBytes("empty-dictionary.dat"));
+
+	assert.deepEqual(view.$root.cleared, { $version: 4, $hashSize: 7 });
+
+	const records = DotNetSemanticJson.toRecords(view);
+
+	const clearedRecord = records.find((record) => record.ClassInfo?.Name.startsWith("System.Collections.Generic.Dictionary"));
+
+	assert.equal(clearedRecord.MemberValues[0], 4);
+	assert.equal(clearedRecord.MemberValues[2], 7);
+});
@@ -0,0 +1,24 @@
+//
+// Imports
+//
+
+import assert from "node:assert/strict";
+import test from "node:test";
+
+import { DotNetTypedJson } from "../classes/DotNetTypedJson.js";
+
+import { getFixtureFileNames, readFixture, readFixtureBytes, writeRecords } from "./helpers.js";
+
+//
+// Tests
+//
+
+for (const fileName of getFixtureFileNames())
+{
+	test(`converts the records read from ${ fileName } to typed JSON and back into identical bytes`, () =>
+	{
+		const records = DotNetTypedJson.parse(DotNetTypedJson.stringify(readFixture(fileName)));
+
+		assert.deepEqual(writeRecords(records), readFixtureBytes(fileName));
+	});
+}
@@ -0,0 +1,115 @@
+//
+// Imports
+//
+
+import assert from "node:assert/strict";
+import test from "node:test";
+
+import { Logger } from "../classes/Logger.js";
+
+//
+// Functions
+//
+
+/**
+ * Makes a logger at the given level that collects every message it writes.
+ * 
+ * @param {import("../classes/Logger.js").LoggerLevel} level
+ * @returns {{ logger: Logger, messages: Array[] }} The logger, and the level and arguments of every message it wrote.
+ */
+function makeLogger(level)
+{
+	const messages = [];
+
+	const logger = new Logger(
+		{
+			level,
+			write: (messageLevel, ...args) => messages.push([ messageLevel, ...args ]),
+		});
+
+	return { logger, messages };
+}
+
+/**
+ * Logs one message at every level.
+ * 
+ * @param {Logger} logger
+ */
+function logEveryLevel(logger)
+{
+	logger.error("error", 1);
+	logger.info("info", 2);
+	logger.debug("debug", 3);
+	logger.trace("trace", 4);
+}
+
+//
+// Tests
+//
+
+test("only writes messages at or below its level", () =>
+{
+	const expectedMessages =
+	[
+		[ "error", "error", 1 ],
+		[ "info", "info", 2 ],
+		[ "debug", "debug", 3 ],
+		[ "trace", "trace", 4 ],
+	];
+
+	for (const [ index, level ] of [ "silent", "error", "info", "debug", "trace" ].entries())
+	{
+		const { logger, messages } = makeLogger(level);
+
+		logEveryLevel(logger);
+
+		assert.deepEqual(messages, expectedMessages.slice(0, index), level);
+	}
+});
+
+test("says whether a level is enabled, which silent never is", () =>
+{
+	const { logger } = makeLogger("debug");
+
+	assert.equal(logger.isEnabled("debug"), true);
+
+	assert.equal(logger.isEnabled("trace"), false);
+
+	assert.equal(logger.isEnabled("silent"), false);
+});
+
+test("writes info messages to stdout and every other message to stderr by default", () =>
+{
+	const { log, error } = console;
+
+	const stdout = [];
+
+	const stderr = [];
+
+	console.log = (...args) => stdout.push(args);
+
+	console.error = (...args) => stderr.push(args);
+
+	try
+	{
+		logEveryLevel(new Logger(
+			{
+				level: "trace",
+			}));
+	}
+	finally
+	{
+		console.log = log;
+
+		console.error = error;
+	}
+
+	assert.deepEqual(stdout, [ [ "info", 2 ] ]);
+
+	assert.deepEqual(stderr, [ [ "error", 1 ], [ "debug", 3 ], [ "trace", 4 ] ]);
+});
+
+test("rejects a level it doesn't have", () =>
+{
+	assert.throws(() => new Logger({ level: "verbose" }), /Invalid log level: verbose \(MUST be one of silent, error, info, debug, trace\)/);
+});
@@ -0,0 +1,105 @@
+//
+// Imports
+//
+
+import assert from "node:assert/strict";
+import test from "node:test";
+
+import { ValveDataFormat } from "../classes/ValveDataFormat.js";
+
+//
+// Tests
+//
+
+test("parses nested blocks into nested objects", () =>
+{
+	const text = `"libraryfolders"
+{
+	"0"
+	{
+		"path"		"/home/user/.local/share/Steam"
+		"apps"
+		{
+			"1062520"		"123456"
+		}
+	}
+	"1"
+	{
+		"path"		"/mnt/games/SteamLibrary"
+	}
+}
+`;
+
+	assert.deepEqual(ValveDataFormat.parse(text),
+		{
+			libraryfolders:
+			{
+				0:
+				{
+					path: "/home/user/.local/share/Steam",
+					apps:
+					{
+						1062520: "123456",
+					},
+				},
+				1:
+				{
+					path: "/mnt/games/SteamLibrary",
+				},
+			},
+		});
+});
+
+test("unescapes backslashes, quotes, newlines and tabs in quoted strings", () =>
+{
+	const text = String.raw`"path" "C:\\Program Files (x86)\\Steam" "quote" "say \"hi\"" "lines" "a\nb\tc"`;
+
+	assert.deepEqual(ValveDataFormat.parse(text),
+		{
+			path: "C:\\Program Files (x86)\\Steam",
+			quote: "say \"hi\"",
+			lines: "a\nb\tc",
+		});
+});
+
+test("reads unquoted strings up to whitespace or a brace, and keeps the last value of a repeated key", () =>
+{
+	assert.deepEqual(ValveDataFormat.parse("root{key value key other\nblock{a b}}"),
+		{
+			root:
+			{
+				key: "other",
+				block:
+				{
+					a: "b",
+				},
+			},
+		});
+});
+
+test("skips comments and conditionals", () =>
+{
+	const text = `// A comment
+"key" "value" [$WIN32]
+"other" "value" // Another comment
+`;
+
+	assert.deepEqual(ValveDataFormat.parse(text),
+		{
+			key: "value",
+			other: "value",
+		});
+});
+
+test("rejects text that isn't well formed, with the line the problem is on", () =>
+{
+	assert.throws(() => ValveDataFormat.parse("\"key\"\n\"unterminated"), /Unterminated string at line 2/);
+
+	assert.throws(() => ValveDataFormat.parse("\"key\" \"value\"\n}"), /Unexpected } at line 2/);
+
+	assert.throws(() => ValveDataFormat.parse("{"), /Unexpected { at line 1 without a key before it/);
+
+	assert.throws(() => ValveDataFormat.parse("\"block\" {"), /Unexpected end of KeyValues text/);
+
+	assert.throws(() => ValveDataFormat.parse("\"key\" [$WIN32"), /Unterminated conditional at line 1/);
+});
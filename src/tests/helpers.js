@@ -0,0 +1,131 @@
+//
+// Imports
+//
+
+import { spawnSync } from "node:child_process";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+import { DotNetBinaryReader } from "../classes/DotNetBinaryReader.js";
+import { DotNetBinaryWriter } from "../classes/DotNetBinaryWriter.js";
+
+//
+// Constants
+//
+
+/**
+ * The directory containing the .dat files the tests read.
+ * 
+ * The files in its invalid folder break the rules of the format on purpose, so they're only read by the tests of those rules.
+ */
+export const fixturesDirUrl = new URL("fixtures/", import.meta.url);
+
+/**
+ * The path of the script that runs the command line tool.
+ */
+const indexPath = fileURLToPath(new URL("../index.js", import.meta.url));
+
+//
+// Functions
+//
+
+/**
+ * Makes an empty directory in the system's temporary directory, passes its path to a function and deletes it afterwards.
+ * 
+ * @param {(dir: String) => *} callback
+ * @returns {*} Whatever the function returned.
+ */
+export function withTempDir(callback)
+{
+	const dir = fs.mkdtempSync(path.join(os.tmpdir(), "dinkum-save-converter-"));
+
+	try
+	{
+		return callback(dir);
+	}
+	finally
+	{
+		fs.rmSync(dir,
+			{
+				recursive: true,
+				force: true,
+			});
+	}
+}
+
+/**
+ * Runs the command line tool and waits for it to exit.
+ * 
+ * @param {String[]} args The arguments to pass to it.
+ * @param {Object} [env] Environment variables to set on top of those of the tests.
+ * @returns {{ status: Number, stdout: String, stderr: String }}
+ */
+export function runCommand(args, env = {})
+{
+	const result = spawnSync(process.execPath, [ indexPath, ...args ],
+		{
+			encoding: "utf8",
+			env:
+			{
+				...process.env,
+				...env,
+			},
+			timeout: 60000,
+		});
+
+	return {
+		status: result.status,
+		stdout: result.stdout,
+		stderr: result.stderr,
+	};
+}
+
+/**
+ * Gets the names of the fixtures every round trip test is run against, which are all of those that follow the rules of the format.
+ * 
+ * @returns {String[]}
+ */
+export function getFixtureFileNames()
+{
+	return fs.readdirSync(fixturesDirUrl).filter((fileName) => fileName.endsWith(".dat")).sort();
+}
+
+/**
+ * Reads the bytes of a fixture.
+ * 
+ * @param {String} fileName The path of a file in the fixtures directory.
+ * @returns {Uint8Array}
+ */
+export function readFixtureBytes(fileName)
+{
+	return new Uint8Array(fs.readFileSync(new URL(fileName, fixturesDirUrl)));
+}
+
+/**
+ * Reads the records of a fixture.
+ * 
+ * @param {String} fileName The path of a file in the fixtures directory.
+ * @param {import("../classes/DotNetBinaryReader.js").DotNetBinaryReaderOptions} [options]
+ * @returns {Object[]} The records in the file.
+ */
+export function readFixture(fileName, options)
+{
+	return new DotNetBinaryReader(readFixtureBytes(fileName).buffer, options).read();
+}
+
+/**
+ * Writes records into a serialization stream.
+ * 
+ * @param {Object[]} records
+ * @returns {Uint8Array}
+ */
+export function writeRecords(records)
+{
+	const binaryWriter = new DotNetBinaryWriter();
+
+	binaryWriter.write(records);
+
+	return new Uint8Array(binaryWriter.toArrayBuffer());
+}
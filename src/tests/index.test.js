@@ -0,0 +1,288 @@
+//
+// Imports
+//
+
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import test from "node:test";
+
+import { readFixture, readFixtureBytes, runCommand, withTempDir, writeRecords } from "./helpers.js";
+
+//
+// Functions
+//
+
+/**
+ * Makes a save directory in a temporary directory, containing copies of the given fixtures.
+ * 
+ * @param {String} dir The temporary directory.
+ * @param {String[]} fileNames The paths of files in the fixtures directory.
+ * @returns {String} The path of the save directory.
+ */
+function makeSave(dir, fileNames)
+{
+	const saveDir = path.join(dir, "Slot0");
+
+	fs.mkdirSync(saveDir);
+
+	for (const fileName of fileNames)
+	{
+		fs.writeFileSync(path.join(saveDir, path.basename(fileName)), readFixtureBytes(fileName));
+	}
+
+	return saveDir;
+}
+
+/**
+ * Writes a versionCheck.dat to a save directory with a different version to the one in the fixture.
+ * 
+ * @param {String} saveDir
+ * @param {Number} version
+ */
+function writeVersionCheck(saveDir, version)
+{
+	const records = readFixture("versionCheck.dat");
+
+	records[2].MemberValues[0] = version;
+
+	fs.writeFileSync(path.join(saveDir, "versionCheck.dat"), writeRecords(records));
+}
+
+//
+// Tests
+//
+
+test("exits with 0 when every file is dumped", () =>
+{
+	withTempDir((dir) =>
+	{
+		const saveDir = makeSave(dir, [ "class-with-id.dat" ]);
+
+		assert.equal(runCommand([ "dump", saveDir, "--quiet" ]).status, 0);
+
+		assert.ok(fs.existsSync(path.join(saveDir, "_JSON_DUMP", "class-with-id.dat.json")));
+	});
+});
+
+test("exits with 1 when a file fails validation", () =>
+{
+	withTempDir((dir) =>
+	{
+		const saveDir = makeSave(dir, [ "class-with-id.dat", "invalid/root-id-without-record.dat" ]);
+
+		const result = runCommand([ "validate", saveDir ]);
+
+		assert.equal(result.status, 1);
+
+		assert.match(result.stderr, /FAIL root-id-without-record\.dat/);
+
+		assert.equal(runCommand([ "validate", saveDir, "--lenient", "--quiet" ]).status, 0);
+	});
+});
+
+test("exits with 2 when the command line isn't valid", () =>
+{
+	const result = runCommand([ "dump", "--nope" ]);
+
+	assert.equal(result.status, 2);
+
+	assert.match(result.stderr, /Unknown option '--nope'/);
+
+	assert.equal(runCommand([ "dump", "--slot", "two", "--quiet" ]).status, 2);
+});
+
+test("exits with 3 when the save directory doesn't exist", () =>
+{
+	withTempDir((dir) =>
+	{
+		const result = runCommand([ "dump", path.join(dir, "Slot9") ]);
+
+		assert.equal(result.status, 3);
+
+		assert.match(result.stderr, /Directory not found/);
+	});
+});
+
+test("exits with 4 when diff can't read one of the files", () =>
+{
+	withTempDir((dir) =>
+	{
+		const truncatedPath = path.join(dir, "truncated.dat");
+
+		fs.writeFileSync(truncatedPath, readFixtureBytes("class-with-id.dat").subarray(0, 20));
+
+		const beforePath = path.join(dir, "class-with-id.dat");
+
+		fs.writeFileSync(beforePath, readFixtureBytes("class-with-id.dat"));
+
+		const result = runCommand([ "diff", beforePath, truncatedPath ]);
+
+		assert.equal(result.status, 4);
+
+		assert.match(result.stderr, /couldn't be read: Unexpected end of data/);
+
+		assert.equal(runCommand([ "diff", beforePath, beforePath, "--quiet" ]).status, 0);
+	});
+});
+
+test("dumps, imports and validates .dat files in subdirectories of a save in the same place", () =>
+{
+	withTempDir((dir) =>
+	{
+		const saveDir = makeSave(dir, [ "class-with-id.dat" ]);
+
+		fs.mkdirSync(path.join(saveDir, "Houses"));
+
+		fs.writeFileSync(path.join(saveDir, "Houses", "house0.dat"), readFixtureBytes("primitives.dat"));
+
+		assert.equal(runCommand([ "dump", saveDir, "--quiet" ]).status, 0);
+
+		assert.ok(fs.existsSync(path.join(saveDir, "_JSON_DUMP", "Houses", "house0.dat.json")));
+
+		const outDir = path.join(dir, "out");
+
+		assert.equal(runCommand([ "import", saveDir, "--out", outDir, "--quiet" ]).status, 0);
+
+		assert.deepEqual(new Uint8Array(fs.readFileSync(path.join(outDir, "Houses", "house0.dat"))), readFixtureBytes("primitives.dat"));
+
+		const result = runCommand([ "validate", saveDir ]);
+
+		assert.equal(result.status, 0);
+
+		assert.match(result.stdout, /PASS Houses[\\/]house0\.dat/);
+
+		assert.match(result.stdout, /Validated 2 file\(s\)/);
+	});
+});
+
+test("imports a dump into a save from the same game version, without dumping or importing versionCheck.dat", () =>
+{
+	withTempDir((dir) =>
+	{
+		const saveDir = makeSave(dir, [ "class-with-id.dat", "versionCheck.dat" ]);
+
+		assert.equal(runCommand([ "dump", saveDir, "--quiet" ]).status, 0);
+
+		assert.ok(!fs.existsSync(path.join(saveDir, "_JSON_DUMP", "versionCheck.dat.json")));
+
+		const manifest = JSON.parse(fs.readFileSync(path.join(saveDir, "_JSON_DUMP", "manifest.json"), "utf8"));
+
+		assert.deepEqual(manifest.gameVersion,
+			{
+				version: 71,
+				build: "0.7.1",
+			});
+
+		const outDir = path.join(dir, "out");
+
+		assert.equal(runCommand([ "import", saveDir, "--out", outDir, "--quiet" ]).status, 0);
+
+		assert.deepEqual(fs.readdirSync(outDir), [ "class-with-id.dat" ]);
+	});
+});
+
+test("refuses to import a dump into a save from a different game version unless forced", () =>
+{
+	withTempDir((dir) =>
+	{
+		const saveDir = makeSave(dir, [ "class-with-id.dat", "versionCheck.dat" ]);
+
+		assert.equal(runCommand([ "dump", saveDir, "--quiet" ]).status, 0);
+
+		writeVersionCheck(saveDir, 72);
+
+		const outDir = path.join(dir, "out");
+
+		const result = runCommand([ "import", saveDir, "--out", outDir ]);
+
+		assert.equal(result.status, 1);
+
+		assert.match(result.stderr, /The dump is from game version version=71, build="0\.7\.1", but the save is from game version version=72, build="0\.7\.1"\./);
+
+		assert.ok(!fs.existsSync(outDir));
+
+		const forcedResult = runCommand([ "import", saveDir, "--out", outDir, "--force" ]);
+
+		assert.equal(forcedResult.status, 0);
+
+		assert.match(forcedResult.stdout, /Importing anyway as --force was given\./);
+
+		assert.ok(fs.existsSync(path.join(outDir, "class-with-id.dat")));
+	});
+});
+
+test("imports without checking the game version when the dump has no manifest or versionCheck.dat can't be read", () =>
+{
+	withTempDir((dir) =>
+	{
+		const saveDir = makeSave(dir, [ "class-with-id.dat", "versionCheck.dat" ]);
+
+		assert.equal(runCommand([ "dump", saveDir, "--quiet" ]).status, 0);
+
+		fs.rmSync(path.join(saveDir, "_JSON_DUMP", "manifest.json"));
+
+		writeVersionCheck(saveDir, 72);
+
+		const result = runCommand([ "import", saveDir, "--out", path.join(dir, "out") ]);
+
+		assert.equal(result.status, 0);
+
+		assert.match(result.stdout, /Not checking the game version as .* doesn't record which game version it was dumped from\./);
+
+		fs.writeFileSync(path.join(saveDir, "versionCheck.dat"), readFixtureBytes("versionCheck.dat").subarray(0, 30));
+
+		const dumpResult = runCommand([ "dump", saveDir ]);
+
+		assert.equal(dumpResult.status, 0);
+
+		assert.match(dumpResult.stdout, /Couldn't read versionCheck\.dat, so the game version won't be recorded/);
+
+		assert.equal(JSON.parse(fs.readFileSync(path.join(saveDir, "_JSON_DUMP", "manifest.json"), "utf8")).gameVersion, null);
+
+		const unreadableResult = runCommand([ "import", saveDir, "--out", path.join(dir, "out") ]);
+
+		assert.equal(unreadableResult.status, 0);
+
+		assert.match(unreadableResult.stdout, /Not checking the game version as it couldn't be read: Unexpected end of data/);
+	});
+});
+
+test("backs up a save before importing into it, and restores the backup", () =>
+{
+	withTempDir((dir) =>
+	{
+		const saveDir = makeSave(dir, [ "class-with-id.dat" ]);
+
+		assert.equal(runCommand([ "dump", saveDir, "--quiet" ]).status, 0);
+
+		// Note: Changes the save after dumping, so the import can be told apart from the backup
+		fs.writeFileSync(path.join(saveDir, "class-with-id.dat"), readFixtureBytes("primitives.dat"));
+
+		assert.equal(runCommand([ "import", saveDir, "--quiet" ]).status, 0);
+
+		assert.deepEqual(new Uint8Array(fs.readFileSync(path.join(saveDir, "class-with-id.dat"))), readFixtureBytes("class-with-id.dat"));
+
+		const backupsDir = path.join(dir, "_BACKUPS", "Slot0");
+
+		const [ backupName ] = fs.readdirSync(backupsDir);
+
+		assert.deepEqual(new Uint8Array(fs.readFileSync(path.join(backupsDir, backupName, "class-with-id.dat"))), readFixtureBytes("primitives.dat"));
+
+		fs.writeFileSync(path.join(saveDir, "added.dat"), readFixtureBytes("primitives.dat"));
+
+		const listResult = runCommand([ "restore", saveDir ]);
+
+		assert.equal(listResult.status, 0);
+
+		assert.match(listResult.stdout, new RegExp(`${ backupName } \\(1 file\\(s\\)\\)`));
+
+		assert.equal(runCommand([ "restore", saveDir, "--backup", backupName, "--quiet" ]).status, 0);
+
+		assert.deepEqual(fs.readdirSync(saveDir).sort(), [ "_JSON_DUMP", "class-with-id.dat" ]);
+
+		assert.deepEqual(new Uint8Array(fs.readFileSync(path.join(saveDir, "class-with-id.dat"))), readFixtureBytes("primitives.dat"));
+
+		assert.equal(runCommand([ "restore", saveDir, "--backup", "missing", "--quiet" ]).status, 3);
+	});
+});